@@ -0,0 +1,94 @@
+(function (global) {
+  // ===== RacingVibes catch-up assist (rubber band) =====
+  // Optional adaptive difficulty from the start menu's Race Settings. Each AI car's maxThrottle
+  // and corneringGrip are scaled by how far it is from the player in race time: a car well
+  // ahead eases off, a car well behind finds a little extra. Within `deadband` seconds nothing
+  // changes; at `fullGap` the level's limits apply. Multipliers move at most `rate` per
+  // second so no car visibly jumps. Off in Time Trial.
+  const CATCH_UP_CFG = {
+    deadband: 1.0, // s either side of the player with no assist
+    fullGap: 8, // s gap where the limits are reached
+    lappedGap: 90, // s counted for a car a lap or more away
+    rate: 0.05, // Largest change of a multiplier per second
+    levels: {
+      // ahead: multipliers for a car ahead of the player; behind: for a car behind
+      light: {
+        ahead: { maxThrottle: 0.9, corneringGrip: 0.95 },
+        behind: { maxThrottle: 1.1, corneringGrip: 1.04 },
+      },
+      strong: {
+        ahead: { maxThrottle: 0.8, corneringGrip: 0.88 },
+        behind: { maxThrottle: 1.2, corneringGrip: 1.1 },
+      },
+    },
+  };
+  const CATCH_UP_LEVELS = ['off', 'light', 'strong'];
+
+  const clamp = (v, lo, hi) => (v < lo ? lo : v > hi ? hi : v);
+  const NEUTRAL = { maxThrottle: 1, corneringGrip: 1 };
+
+  function normalizeLevel(level) {
+    return CATCH_UP_LEVELS.includes(level) ? level : 'off';
+  }
+
+  /**
+   * Target multipliers for an AI car `gapSeconds` from the player.
+   * @param {number|null} gapSeconds - > 0 when the AI car is ahead of the player, < 0 behind;
+   *   null when unknown (no assist)
+   * @param {string} level - 'off' | 'light' | 'strong'
+   * @returns {{maxThrottle:number, corneringGrip:number}}
+   */
+  function catchUpScale(gapSeconds, level) {
+    const limits = CATCH_UP_CFG.levels[normalizeLevel(level)];
+    if (!limits || !Number.isFinite(gapSeconds)) return { ...NEUTRAL };
+    const cfg = CATCH_UP_CFG;
+    const t = clamp((Math.abs(gapSeconds) - cfg.deadband) / (cfg.fullGap - cfg.deadband), 0, 1);
+    const side = gapSeconds > 0 ? limits.ahead : limits.behind;
+    return {
+      maxThrottle: 1 + (side.maxThrottle - 1) * t,
+      corneringGrip: 1 + (side.corneringGrip - 1) * t,
+    };
+  }
+
+  /**
+   * Signed race-time gap of `car` to `player` from a RacerStandings.computeStandings() result:
+   * positive when the car is ahead. Lapped cars count as CATCH_UP_CFG.lappedGap; null until
+   * the two share a timed checkpoint.
+   * @param {Array<object>} standings
+   * @param {object} car
+   * @param {object} player
+   * @param {number} checkpointCount
+   */
+  function gapToPlayer(standings, car, player, checkpointCount) {
+    const standingsApi = global.RacerStandings;
+    if (!standingsApi || !Array.isArray(standings)) return null;
+    const mine = standings.find((entry) => entry.car === player);
+    const theirs = standings.find((entry) => entry.car === car);
+    if (!mine || !theirs) return null;
+    const ahead = theirs.position < mine.position;
+    const front = ahead ? theirs : mine;
+    const back = ahead ? mine : theirs;
+    const gap = standingsApi.timeGap(front.car, back.car, checkpointCount, front.progress, back.progress);
+    if (gap.laps > 0) return ahead ? CATCH_UP_CFG.lappedGap : -CATCH_UP_CFG.lappedGap;
+    if (gap.ms == null) return null;
+    return (ahead ? 1 : -1) * gap.ms / 1000;
+  }
+
+  // Move `current` multipliers toward `target` by at most CATCH_UP_CFG.rate per second
+  function approachScale(current, target, dt) {
+    const step = CATCH_UP_CFG.rate * Math.max(0, dt);
+    const base = current || NEUTRAL;
+    return {
+      maxThrottle: base.maxThrottle + clamp(target.maxThrottle - base.maxThrottle, -step, step),
+      corneringGrip: base.corneringGrip + clamp(target.corneringGrip - base.corneringGrip, -step, step),
+    };
+  }
+
+  const existing = global.RacerAI || {};
+  existing.CATCH_UP_CFG = CATCH_UP_CFG;
+  existing.CATCH_UP_LEVELS = CATCH_UP_LEVELS;
+  existing.catchUpScale = catchUpScale;
+  existing.gapToPlayer = gapToPlayer;
+  existing.approachScale = approachScale;
+  global.RacerAI = existing;
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,204 @@
+(function (global) {
+  // ===== RacingVibes AI collision avoidance =====
+  // The last line of defence on top of each AI controller's output: a car closing on another
+  // car in its path (AI or human) steers away from it and, when it is closing fast, lifts and
+  // brakes. racer.html runs it every step for each AI car, over every car on track.
+  const AI_COLLISION_AVOIDANCE_CFG = {
+    // Detection ranges
+    detectRange: 120,            // Max distance to detect other cars (px)
+    dangerRange: 60,             // Distance at which aggressive avoidance is triggered (braking + throttle cut)
+    minDetectionDistance: 1,     // Minimum distance to consider (px) - prevents divide by zero
+    sideDetectAngle: 0.6,        // Radians - how wide to check for cars to the side (~35 deg)
+    forwardDetectAngle: 0.35,    // Radians - narrower cone for cars directly ahead (~20 deg)
+    forwardDotThreshold: 0.1,    // Dot product threshold - car must be this much "ahead" to be a threat
+    combinedCollisionRadius: 50, // Approximate collision radius for two cars (px)
+
+    // Response tuning
+    steerAvoidGain: 0.6,         // How strongly to steer away (0-1)
+    brakeThreshold: 0.4,         // Relative speed fraction threshold to trigger braking
+    throttleCutFactor: 0.5,      // How much to reduce throttle when avoiding
+    minAvoidSpeed: 80,           // Below this speed, don't slow down for avoidance
+    emergencyBrakeFactor: 0.3,   // Brake force multiplier for emergency avoidance
+    throttleReductionFactor: 0.3, // Throttle reduction for moderate threat
+
+    // Priority tuning - balance between racing and avoiding
+    avoidancePriority: 0.6,      // 0 = ignore other cars, 1 = always avoid
+    racingLinePriority: 0.7,     // How much to prefer staying on racing line vs avoiding
+    speedCostThreshold: 0.15,    // Only avoid if speed cost is less than this fraction
+    emergencyUrgencyThreshold: 0.8, // Above this urgency, always avoid regardless of cost
+
+    // Timing
+    predictionTime: 0.5,         // Seconds to look ahead for collision prediction
+    reactionDelay: 0.1           // Minimum time between avoidance adjustments
+  };
+
+  const clamp = (v, lo, hi) => (v < lo ? lo : v > hi ? hi : v);
+
+  function normalizeAngle(a) {
+    while (a > Math.PI) a -= Math.PI * 2;
+    while (a < -Math.PI) a += Math.PI * 2;
+    return a;
+  }
+
+  function getCarSpeed(car) {
+    if (!car) return 0;
+    const vx = (car.physics && car.physics.vx) || car.vx || 0;
+    const vy = (car.physics && car.physics.vy) || car.vy || 0;
+    return Math.hypot(vx, vy);
+  }
+
+  /**
+   * Adjust an AI car's control to avoid the cars in its path.
+   * @param {object} car - the AI car
+   * @param {{throttle:number, brake:number, steer:number}} control - the controller's output
+   * @param {number} dt - step length in seconds
+   * @param {Array<object>} allCars - every car on track; `car` itself is skipped
+   * @param {object} [player] - also avoided when not in allCars
+   * @returns {{throttle:number, brake:number, steer:number}} control, or a changed copy
+   */
+  function applyCollisionAvoidance(car, control, dt, allCars, player) {
+    if (!car || !control) return control;
+
+    const cfg = AI_COLLISION_AVOIDANCE_CFG;
+    const carSpeed = getCarSpeed(car);
+
+    // Skip avoidance at very low speeds - just race
+    if (carSpeed < cfg.minAvoidSpeed) return control;
+
+    // Car's forward direction (used for detecting cars ahead)
+    const carAngle = car.angle || 0;
+    const fwdX = Math.cos(carAngle);
+    const fwdY = Math.sin(carAngle);
+
+    // Get car velocity for prediction
+    const vx = (car.physics && car.physics.vx) || car.vx || 0;
+    const vy = (car.physics && car.physics.vy) || car.vy || 0;
+
+    // Collect all other cars (AI + player)
+    const otherCars = [];
+    if (Array.isArray(allCars)) {
+      for (const other of allCars) {
+        if (other && other !== car) otherCars.push(other);
+      }
+    }
+    if (player && player !== car && !otherCars.includes(player)) {
+      otherCars.push(player);
+    }
+
+    // Find closest car in our path that we need to avoid
+    let closestThreat = null;
+    let closestDist = Infinity;
+    let threatSide = 0; // -1 = left, 1 = right, 0 = directly ahead
+
+    for (const other of otherCars) {
+      if (!other) continue;
+
+      // Vector from car to other
+      const dx = other.x - car.x;
+      const dy = other.y - car.y;
+      const dist = Math.hypot(dx, dy);
+
+      // Skip if too far away or too close (avoid divide by zero)
+      if (dist > cfg.detectRange || dist < cfg.minDetectionDistance) continue;
+
+      // Check if other car is ahead of us
+      const dotForward = (dx * fwdX + dy * fwdY) / dist;
+      if (dotForward < cfg.forwardDotThreshold) continue; // Behind us or beside us, not a concern
+
+      // Calculate angle to other car
+      const angleToOther = Math.atan2(dy, dx);
+      const angleDiff = normalizeAngle(angleToOther - carAngle);
+
+      // Check if within detection cone
+      const absAngleDiff = Math.abs(angleDiff);
+      const isDirectlyAhead = absAngleDiff < cfg.forwardDetectAngle;
+      const isInSideCone = absAngleDiff < cfg.sideDetectAngle;
+
+      if (!isInSideCone) continue;
+
+      // Predict future positions
+      const otherVx = (other.physics && other.physics.vx) || other.vx || 0;
+      const otherVy = (other.physics && other.physics.vy) || other.vy || 0;
+
+      // Predicted positions after predictionTime
+      const myFutureX = car.x + vx * cfg.predictionTime;
+      const myFutureY = car.y + vy * cfg.predictionTime;
+      const otherFutureX = other.x + otherVx * cfg.predictionTime;
+      const otherFutureY = other.y + otherVy * cfg.predictionTime;
+
+      const futureDist = Math.hypot(otherFutureX - myFutureX, otherFutureY - myFutureY);
+
+      // Check if collision is predicted:
+      // 1. Predicted positions will be within collision radius (future collision)
+      // 2. OR car is directly ahead and already within danger range (imminent collision)
+      const predictedCollision = futureDist < cfg.combinedCollisionRadius;
+      const imminentCollision = isDirectlyAhead && dist < cfg.dangerRange;
+      const willCollide = predictedCollision || imminentCollision;
+
+      if (willCollide && dist < closestDist) {
+        closestDist = dist;
+        closestThreat = other;
+        // Determine which side the other car is on (for steering away)
+        // positive angleDiff = other is to our left, so threatSide=1
+        // negative angleDiff = other is to our right, so threatSide=-1
+        // steerAdjustment uses -threatSide, so: left threat → steer right, right threat → steer left
+        threatSide = angleDiff > 0 ? 1 : -1;
+      }
+    }
+
+    // If no threat, return original control
+    if (!closestThreat) return control;
+
+    // Calculate avoidance response
+    const urgency = 1 - (closestDist / cfg.detectRange); // 0 at max range, 1 at contact
+    const avoidanceStrength = urgency * cfg.avoidancePriority;
+
+    // Calculate the cost of avoidance - if avoiding would significantly hurt our speed, don't do it
+    const originalThrottle = control.throttle || 0;
+    const speedCost = avoidanceStrength * cfg.throttleCutFactor;
+
+    // Only apply avoidance if cost is acceptable
+    // Racing takes priority - AI will not avoid if doing so would hurt lap time significantly
+    if (speedCost > cfg.speedCostThreshold && urgency < cfg.emergencyUrgencyThreshold) {
+      return control;
+    }
+
+    // Create modified control
+    const newControl = { ...control };
+
+    // Steer away from threat
+    // steerAdjustment is negative when threatSide is positive (threat on left → steer right)
+    const steerAdjustment = -threatSide * cfg.steerAvoidGain;
+    const baseSteer = control.steer || 0;
+
+    // Blend between racing line steering and avoidance steering
+    // As avoidance strength increases, blend more toward avoidance steering
+    // racingLinePriority determines baseline preference for racing line
+    const avoidWeight = avoidanceStrength * (1 - cfg.racingLinePriority);
+    const raceWeight = 1 - avoidWeight;
+    const blendedSteer = baseSteer * raceWeight + steerAdjustment * avoidWeight;
+    newControl.steer = clamp(blendedSteer, -1, 1);
+
+    // Reduce throttle if car ahead is slower
+    const threatSpeed = getCarSpeed(closestThreat);
+    const relativeSpeed = carSpeed - threatSpeed;
+
+    // Only apply braking if we're moving fast enough and closing faster than threshold
+    // Note: carSpeed is already guaranteed > minAvoidSpeed from early return at function start
+    if (relativeSpeed > carSpeed * cfg.brakeThreshold && closestDist < cfg.dangerRange) {
+      // We're approaching significantly faster than the car ahead - slow down
+      newControl.throttle = Math.max(0, originalThrottle * (1 - avoidanceStrength * cfg.throttleCutFactor));
+      newControl.brake = Math.min(1, (control.brake || 0) + avoidanceStrength * cfg.emergencyBrakeFactor);
+    } else if (urgency > 0.5) {
+      // Moderate threat - just ease off throttle slightly
+      newControl.throttle = originalThrottle * (1 - avoidanceStrength * cfg.throttleReductionFactor);
+    }
+
+    return newControl;
+  }
+
+  const existing = global.RacerAI || {};
+  existing.AI_COLLISION_AVOIDANCE_CFG = AI_COLLISION_AVOIDANCE_CFG;
+  existing.applyCollisionAvoidance = applyCollisionAvoidance;
+  global.RacerAI = existing;
+})(typeof window !== 'undefined' ? window : this);
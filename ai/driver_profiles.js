@@ -0,0 +1,112 @@
+(function (global) {
+  // ===== RacingVibes AI drivers =====
+  // The roster of AI driver personalities. The difficulty preset (RacerAI.AISkill) sets how
+  // good the field is; a profile makes each car in it drive differently:
+  //   pace            - corner speed multiplier on top of the preset (about +-2%)
+  //   consistency     - 0..1, how little the corner speed varies from one corner to the next
+  //   brakingVariance - +- share the braking point moves from one braking zone to the next
+  //   mistakeChance   - chance of a mistake in each corner, times the preset's mistakeScale;
+  //                     mistakes picks the kind by weight
+  //   wetSkill        - corner speed multiplier on low-grip surfaces (ice)
+  //   dirtSkill       - corner speed multiplier on loose surfaces (dirt, field)
+  //   aggression      - added to the preset's overtake/defend aggression
+  // createController({ driver }) applies a profile; assignDrivers hands them out to a grid.
+  const DRIVER_PROFILES = [
+    {
+      id: 'vale', name: 'Marco Vale', code: 'VAL',
+      pace: 1.02, consistency: 0.9, brakingVariance: 0.05, mistakeChance: 0.02,
+      mistakes: { wide: 0.6, lockup: 0.3, spin: 0.1 },
+      wetSkill: 1.0, dirtSkill: 0.94, aggression: 0.1,
+    },
+    {
+      id: 'okafor', name: 'Ada Okafor', code: 'OKA',
+      pace: 1.01, consistency: 0.95, brakingVariance: 0.04, mistakeChance: 0.015,
+      mistakes: { wide: 0.5, lockup: 0.4, spin: 0.1 },
+      wetSkill: 1.06, dirtSkill: 1.0, aggression: -0.1,
+    },
+    {
+      id: 'lindqvist', name: 'Erik Lindqvist', code: 'LIN',
+      pace: 1.0, consistency: 0.75, brakingVariance: 0.1, mistakeChance: 0.04,
+      mistakes: { wide: 0.4, lockup: 0.2, spin: 0.4 },
+      wetSkill: 1.04, dirtSkill: 1.08, aggression: 0.2,
+    },
+    {
+      id: 'tanaka', name: 'Rin Tanaka', code: 'TAN',
+      pace: 1.015, consistency: 0.8, brakingVariance: 0.12, mistakeChance: 0.045,
+      mistakes: { wide: 0.3, lockup: 0.5, spin: 0.2 },
+      wetSkill: 0.95, dirtSkill: 0.97, aggression: 0.3,
+    },
+    {
+      id: 'moreau', name: 'Camille Moreau', code: 'MOR',
+      pace: 0.995, consistency: 0.92, brakingVariance: 0.06, mistakeChance: 0.02,
+      mistakes: { wide: 0.6, lockup: 0.3, spin: 0.1 },
+      wetSkill: 1.08, dirtSkill: 0.98, aggression: -0.2,
+    },
+    {
+      id: 'silva', name: 'Bruno Silva', code: 'SIL',
+      pace: 1.005, consistency: 0.65, brakingVariance: 0.15, mistakeChance: 0.06,
+      mistakes: { wide: 0.5, lockup: 0.3, spin: 0.2 },
+      wetSkill: 0.97, dirtSkill: 1.02, aggression: 0.25,
+    },
+    {
+      id: 'novak', name: 'Petra Novak', code: 'NOV',
+      pace: 0.99, consistency: 0.85, brakingVariance: 0.08, mistakeChance: 0.03,
+      mistakes: { wide: 0.4, lockup: 0.4, spin: 0.2 },
+      wetSkill: 1.0, dirtSkill: 1.1, aggression: 0,
+    },
+    {
+      id: 'hughes', name: 'Sam Hughes', code: 'HUG',
+      pace: 0.985, consistency: 0.7, brakingVariance: 0.18, mistakeChance: 0.07,
+      mistakes: { wide: 0.5, lockup: 0.4, spin: 0.1 },
+      wetSkill: 0.92, dirtSkill: 0.95, aggression: -0.25,
+    },
+    {
+      id: 'rahman', name: 'Zara Rahman', code: 'RAH',
+      pace: 1.0, consistency: 0.88, brakingVariance: 0.07, mistakeChance: 0.025,
+      mistakes: { wide: 0.5, lockup: 0.3, spin: 0.2 },
+      wetSkill: 1.03, dirtSkill: 1.03, aggression: 0.05,
+    },
+    {
+      id: 'kowalski', name: 'Jan Kowalski', code: 'KOW',
+      pace: 0.98, consistency: 0.6, brakingVariance: 0.2, mistakeChance: 0.08,
+      mistakes: { wide: 0.3, lockup: 0.3, spin: 0.4 },
+      wetSkill: 0.96, dirtSkill: 1.06, aggression: 0.15,
+    },
+  ];
+
+  function makeRng(seed) {
+    let s = seed >>> 0 || 1;
+    return () => {
+      s = (Math.imul(s, 1664525) + 1013904223) >>> 0;
+      return s / 4294967296;
+    };
+  }
+
+  function getDriverProfile(id) {
+    return DRIVER_PROFILES.find((profile) => profile.id === id) || null;
+  }
+
+  /**
+   * Pick a driver for each of `count` grid slots: a shuffled roster, so every driver appears
+   * once before any repeats. The same seed gives the same field.
+   * @param {number} count
+   * @param {number} [seed] - defaults to a random seed
+   * @returns {Array<object>} DRIVER_PROFILES entries, one per slot
+   */
+  function assignDrivers(count, seed) {
+    const rand = makeRng(Number.isFinite(seed) ? seed : Math.random() * 4294967296);
+    const order = DRIVER_PROFILES.slice();
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(rand() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    const n = Math.max(0, count | 0);
+    return Array.from({ length: n }, (_, i) => order[i % order.length]);
+  }
+
+  const existing = global.RacerAI || {};
+  existing.DRIVER_PROFILES = DRIVER_PROFILES;
+  existing.getDriverProfile = getDriverProfile;
+  existing.assignDrivers = assignDrivers;
+  global.RacerAI = existing;
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,178 @@
+(function (global) {
+  // ===== RacingVibes "Matched" difficulty =====
+  // An AI preset calibrated to the player's own pace on a track. One `level` (0..1) moves the
+  // pace-setting parameters of the preset between MATCHED_CFG.slow and MATCHED_CFG.fast:
+  //   corneringGrip          - corner speed the racing line plans for
+  //   brakeAggro             - how hard it brakes
+  //   lookaheadBase/Speed    - how far ahead it steers
+  //   brakingLookaheadFactor - how early it brakes
+  // calibrateMatched() bisects the level, timing a flying lap for each guess, until the AI's lap
+  // is within `tolerance` of the player's best. The game stores the result per track and vehicle
+  // (TrackStore.saveCalibration) and only calibrates again once the player's best moves.
+  const MATCHED_CFG = {
+    version: 1, // Bump when the mapping below changes; stored calibrations are redone
+    base: 'realistic', // Preset the other parameters come from
+    slow: { maxThrottle: 0.6, corneringGrip: 0.35, brakeAggro: 0.7, lookaheadBase: 35, lookaheadSpeed: 0.12, brakingLookaheadFactor: 1.5 },
+    fast: { maxThrottle: 5.0, corneringGrip: 1.1, brakeAggro: 2.0, lookaheadBase: 80, lookaheadSpeed: 0.25, brakingLookaheadFactor: 0.6 },
+    tolerance: 0.015, // Accepted AI lap time error, as a share of the target lap
+    maxIterations: 8,
+    maxLapTime: 300, // s before a simulated lap counts as failed
+    maxOffTrack: 0.5, // s off the road before a lap counts as overdriven (too fast a level)
+    minLapTime: 5, // s; start-line crossings closer together than this are ignored
+    dt: 1 / 120,
+  };
+
+  const clamp = (v, lo, hi) => (v < lo ? lo : v > hi ? hi : v);
+
+  /**
+   * The Matched preset at `level`: 0 is MATCHED_CFG.slow, 1 is MATCHED_CFG.fast, everything
+   * else comes from the MATCHED_CFG.base preset.
+   * @param {number} level - 0..1
+   * @returns {object} a preset object for RacerAI.createController
+   */
+  function matchedPreset(level) {
+    const presets = global.RacerAI && global.RacerAI.AISkill;
+    const base = (presets && presets[MATCHED_CFG.base]) || {};
+    const t = clamp(Number.isFinite(level) ? level : 0.5, 0, 1);
+    const preset = { ...base, id: 'matched', matchedLevel: t };
+    for (const key of Object.keys(MATCHED_CFG.slow)) {
+      preset[key] = MATCHED_CFG.slow[key] + (MATCHED_CFG.fast[key] - MATCHED_CFG.slow[key]) * t;
+    }
+    return preset;
+  }
+
+  // Same test as the game's updateCar: at least 3 of the 4 corners and the centre on the road
+  function carOnRoad(car, onRoad) {
+    const hl = car.length / 2;
+    const hw = car.width / 2;
+    const c = Math.cos(car.angle);
+    const s = Math.sin(car.angle);
+    let count = onRoad(car.x, car.y) ? 1 : 0;
+    for (const [lx, ly] of [[hl, hw], [hl, -hw], [-hl, -hw], [-hl, hw]]) {
+      if (onRoad(car.x + lx * c - ly * s, car.y + lx * s + ly * c)) count++;
+    }
+    return count >= 3;
+  }
+
+  // Side of the start line a point is on: > 0 on one side, < 0 on the other
+  function lineSide(line, x, y) {
+    return (line.b.x - line.a.x) * (y - line.a.y) - (line.b.y - line.a.y) * (x - line.a.x);
+  }
+
+  function crossesSegment(line, x0, y0, x1, y1) {
+    const s0 = lineSide(line, x0, y0);
+    const s1 = lineSide(line, x1, y1);
+    if ((s0 < 0) === (s1 < 0)) return 0;
+    // Where the step crosses the line's infinite extension must lie within the segment
+    const t = s0 / (s0 - s1);
+    const px = x0 + (x1 - x0) * t - line.a.x;
+    const py = y0 + (y1 - y0) * t - line.a.y;
+    const lx = line.b.x - line.a.x;
+    const ly = line.b.y - line.a.y;
+    const u = (px * lx + py * ly) / Math.max(1e-9, lx * lx + ly * ly);
+    if (u < 0 || u > 1) return 0;
+    return s1 > s0 ? 1 : -1;
+  }
+
+  /**
+   * Time a flying lap of `car` driven by `controller` on its own, with the physics' legacy
+   * integrator (no Planck world, no walls, no other cars). Start the car on the grid behind the
+   * start line: the lap runs from its first crossing to the next crossing in the same direction.
+   * @param {object} physics - RacerPhysics (initCar / updateCar)
+   * @param {object} car - a car after physics.initCar; switched to the legacy integrator
+   * @param {object} controller - RacerAI.createController for `car`
+   * @param {{startLine:{a:{x:number,y:number},b:{x:number,y:number}}, onRoad:function(number, number):boolean, surface?:string, dt?:number, maxLapTime?:number}} opts
+   * @returns {{lapTime:number, offTrack:number}|null} lap and off-road time in seconds; null when
+   *   no lap was completed in time
+   */
+  function simulateLap(physics, car, controller, opts) {
+    const dt = opts.dt || MATCHED_CFG.dt;
+    const maxLapTime = opts.maxLapTime || MATCHED_CFG.maxLapTime;
+    car.physics.params.usePlanck = false;
+    let time = 0;
+    let startedAt = null;
+    let direction = 0;
+    let offTrack = 0;
+    // The run-up to the line counts towards the time limit too
+    const limit = maxLapTime * 2;
+    while (time < limit) {
+      const x0 = car.x;
+      const y0 = car.y;
+      const control = controller.update(car, dt);
+      const onRoad = carOnRoad(car, opts.onRoad);
+      physics.updateCar(car, control, { onRoad, type: opts.surface }, dt);
+      time += dt;
+      if (startedAt !== null) {
+        if (!onRoad) offTrack += dt;
+        if (time - startedAt > maxLapTime) return null;
+      }
+      const crossed = crossesSegment(opts.startLine, x0, y0, car.x, car.y);
+      if (!crossed) continue;
+      if (startedAt === null) {
+        startedAt = time;
+        direction = crossed;
+      } else if (crossed === direction && time - startedAt >= MATCHED_CFG.minLapTime) {
+        return { lapTime: time - startedAt, offTrack };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the Matched level whose lap time is closest to `targetLap`, bisecting on the level
+   * (a higher level laps faster). A lap that fails to finish or spends more than
+   * MATCHED_CFG.maxOffTrack off the road counts as too fast: the AI is overdriving.
+   * @param {number} targetLap - the player's best lap, in seconds
+   * @param {function(object):({lapTime:number, offTrack:number}|null|Promise<object|null>)} runLap -
+   *   simulateLap() with the given preset; may be async so the caller can yield between laps
+   * @param {{tolerance?:number, maxIterations?:number}} [opts]
+   * @returns {Promise<{level:number, preset:object, lapTime:number|null, targetLap:number, iterations:number, converged:boolean, version:number}>}
+   */
+  async function calibrateMatched(targetLap, runLap, opts = {}) {
+    const tolerance = (opts.tolerance ?? MATCHED_CFG.tolerance) * targetLap;
+    const maxIterations = opts.maxIterations ?? MATCHED_CFG.maxIterations;
+    let lo = 0;
+    let hi = 1;
+    let best = null;
+    let iterations = 0;
+    while (iterations < maxIterations) {
+      const level = (lo + hi) / 2;
+      const lap = await runLap(matchedPreset(level));
+      iterations++;
+      const clean = !!lap && Number.isFinite(lap.lapTime) && lap.offTrack <= MATCHED_CFG.maxOffTrack;
+      const error = clean ? Math.abs(lap.lapTime - targetLap) : Infinity;
+      if (!best || error < best.error) best = { level, lapTime: clean ? lap.lapTime : null, error };
+      if (error <= tolerance) break;
+      if (clean && lap.lapTime > targetLap) lo = level;
+      else hi = level;
+    }
+    return {
+      level: best.level,
+      preset: matchedPreset(best.level),
+      lapTime: best.lapTime,
+      targetLap,
+      iterations,
+      converged: best.error <= tolerance,
+      version: MATCHED_CFG.version,
+    };
+  }
+
+  /**
+   * Whether a stored calibration still fits the player's best lap.
+   * @param {object|null} calibration - a calibrateMatched() result (as stored)
+   * @param {number} targetLap
+   */
+  function isCalibrationCurrent(calibration, targetLap) {
+    if (!calibration || calibration.version !== MATCHED_CFG.version) return false;
+    if (!Number.isFinite(calibration.targetLap) || !Number.isFinite(calibration.level)) return false;
+    return Math.abs(calibration.targetLap - targetLap) <= MATCHED_CFG.tolerance * targetLap;
+  }
+
+  const existing = global.RacerAI || {};
+  existing.MATCHED_CFG = MATCHED_CFG;
+  existing.matchedPreset = matchedPreset;
+  existing.simulateLap = simulateLap;
+  existing.calibrateMatched = calibrateMatched;
+  existing.isCalibrationCurrent = isCalibrationCurrent;
+  global.RacerAI = existing;
+})(typeof window !== 'undefined' ? window : this);
@@ -40,6 +40,9 @@
       searchWindow: 48,
       corneringGrip: 0.75,
       slipThreshold: 0.8, // Stay well within limits
+      overtakeAggression: 0.2, // Only passes with plenty of room, prefers the outside
+      defendAggression: 0.1, // Barely covers the inside
+      mistakeScale: 1.6, // Multiplies the driver profile's mistake chance per corner
     },
     medium: {
       maxThrottle: 1.0,
@@ -52,6 +55,9 @@
       searchWindow: 56,
       corneringGrip: 0.98, // More confident cornering (was 0.95)
       slipThreshold: 0.98, // More combined input allowed (was 0.95)
+      overtakeAggression: 0.5,
+      defendAggression: 0.35,
+      mistakeScale: 1.0,
     },
     hard: {
       maxThrottle: 1.5,
@@ -62,6 +68,9 @@
       searchWindow: 80, // Track line better
       corneringGrip: 1.02, // Slightly above physics limits for aggressive cornering (was 0.99)
       slipThreshold: 1.0, // 100% Limit (No sliding allowance)
+      overtakeAggression: 0.75, // Dives down the inside into braking zones
+      defendAggression: 0.6,
+      mistakeScale: 0.6,
     },
     realistic: {
       maxThrottle: 5.0, // Unlocked potential
@@ -74,9 +83,53 @@
       searchWindow: 80, // Reduced from 120 to prevent hopping to adjacent track legs
       corneringGrip: 1.3, // "Cheating" grip level for superhuman cornering
       slipThreshold: 1.2, // Uses more than 100% of available physics grip
+      overtakeAggression: 0.9,
+      defendAggression: 0.8,
+      mistakeScale: 0.25,
     },
   };
 
+  // Racecraft: overtaking and defending off the racing line. Distances in px, speeds in px/s.
+  // The per-preset overtakeAggression / defendAggression (0..1) scale how readily a driver
+  // commits, how small a gap it accepts and how far it moves across.
+  const RACECRAFT_CFG = {
+    scanAheadBase: 220, // How far ahead (plus speed * scanAheadSpeed) a car counts as "in front"
+    scanAheadSpeed: 0.35,
+    scanBehind: 180, // How close behind an attacker must be before defending
+    pathWidthFactor: 1.5, // Car ahead is "in our path" within this many car widths laterally
+    closingSpeed: 60, // Closing speed that triggers a pass at zero aggression (halved at full)
+    heldUpFactor: 0.96, // Car ahead below this share of our line speed is holding us up
+    cornerScan: 480, // Distance ahead scanned to decide which side is the inside
+    cornerTurn: 0.3, // Heading change (rad) over cornerScan below which it counts as a straight
+    sideGapFactor: 1.15, // Car widths kept between cars side by side
+    edgeMargin: 6, // Kept clear of the road edge
+    passCommitTime: 3.0, // Give up a pass not completed within this many seconds
+    defendHoldTime: 1.6, // One defensive move, held this long (no weaving)
+    lateralRate: 110, // px/s the target line moves across at full aggression
+    lineSpeedPenalty: 0.1, // Corner speed lost at full lock to the road edge off the line
+    outbrakeFactor: 0.2, // Braking point moved later on an inside pass at full aggression
+    slipstreamDraft: 0.2, // Tow share (car.physics.draft from RacerPhysics.updateSlipstream) worth sitting in
+    slipstreamStraight: 900, // Straight still ahead needed to start a slipstream pass
+    pullOutStraight: 350, // Pull out of the tow when the braking point is this close...
+    pullOutGap: 1.6, // ...or once within this many car lengths of the car ahead
+  };
+
+  // Driver personality (options.driver, a RacerAI.DRIVER_PROFILES entry): corner speed and
+  // braking point vary from corner to corner, and mistakes start in corners or braking zones.
+  const DRIVER_CFG = {
+    cornerSpread: 0.05, // +- corner speed variation at zero consistency
+    dirtSurfaces: ['rally-dirt', 'field'], // Use the profile's dirtSkill
+    wetSurfaces: ['glacier'], // Use the profile's wetSkill
+    minSpeed: 400, // px/s; no mistakes below this
+    cornerSteer: 0.3, // Steering input that counts as cornering
+    cornerExit: 0.6, // s out of a corner before the next one counts as a new corner
+    brakingInput: 0.2, // Brake input that counts as a braking zone
+    cooldown: 4, // s after a mistake before the next one can start
+    wide: { time: 1.0, speed: 1.12, brake: 0.3, steer: 0.6 }, // Too much speed in, light on the brakes, understeers
+    lockup: { time: 0.5, steer: 0.3 }, // Full brake, the front wheels stop steering
+    spin: { time: 0.6 }, // Full brake at full lock snaps the rear round
+  };
+
   function mapThrottleToSpeedScale(value) {
     const raw = Number.isFinite(value) ? value : 1;
     const normalized = clamp((raw - 0.6) / 0.6, 0, 1);
@@ -532,6 +585,11 @@
       const rawSpeed = Math.sqrt(Math.max(0, cfg.roadFriction * g * radiusPx));
       const targetSpeed = clamp(rawSpeed, cfg.cornerSpeedFloor, cfg.straightSpeed);
 
+      // Lateral position on the road (+ = left of the centerline), so racecraft knows how
+      // much room there is either side of the line
+      const center = points[idx];
+      const offset = (pt.x - center.x) * normals[idx].x + (pt.y - center.y) * normals[idx].y;
+
       return {
         index: idx,
         s: arc,
@@ -542,6 +600,8 @@
         curvature,
         radius: radiusPx,
         targetSpeed,
+        offset,
+        halfWidth,
       };
     });
   }
@@ -671,7 +731,342 @@
     return a;
   }
 
-  function createController(initialLine, preset = 'medium', initialState = null) {
+  // ===== Racecraft =====
+
+  function lineHeading(line, i) {
+    const n = line.length;
+    const a = line[((i % n) + n) % n];
+    const b = line[(((i + 1) % n) + n) % n];
+    return Math.atan2(b.y - a.y, b.x - a.x);
+  }
+
+  // Walk the line from idx for `distance` px, calling visit(node, travelled) on each node
+  // passed; a visit returning true stops the walk. Returns the index reached.
+  function walkLine(line, idx, distance, visit) {
+    const n = line.length;
+    let i = idx;
+    let travelled = 0;
+    for (let steps = 0; steps < n && travelled < distance; steps++) {
+      const next = (i + 1) % n;
+      travelled += Math.hypot(line[next].x - line[i].x, line[next].y - line[i].y);
+      i = next;
+      if (visit && visit(line[i], travelled) === true) break;
+    }
+    return i;
+  }
+
+  // Distance along the line before the car at `speed` has to brake (capped at `limit`)
+  function straightAhead(line, idx, speed, limit) {
+    let reach = limit;
+    walkLine(line, idx, limit, (node, travelled) => {
+      if (!(node.targetSpeed < speed * 0.9)) return false;
+      reach = travelled;
+      return true;
+    });
+    return reach;
+  }
+
+  // Lateral room either side of the racing line (+ = left) for the car's centre over the
+  // next `distance` px. Lines loaded from storage carry no offsets, so assume the line may sit
+  // near either edge.
+  function roomAhead(line, idx, distance, fallbackHalfWidth, halfCar) {
+    const margin = halfCar + RACECRAFT_CFG.edgeMargin;
+    const room = { left: Infinity, right: Infinity };
+    const visit = (node) => {
+      if (Number.isFinite(node.halfWidth) && Number.isFinite(node.offset)) {
+        room.left = Math.min(room.left, node.halfWidth - node.offset - margin);
+        room.right = Math.min(room.right, node.halfWidth + node.offset - margin);
+      } else {
+        const guess = fallbackHalfWidth * 0.35 - margin;
+        room.left = Math.min(room.left, guess);
+        room.right = Math.min(room.right, guess);
+      }
+    };
+    visit(line[idx]);
+    walkLine(line, idx, distance, visit);
+    return { left: Math.max(0, room.left), right: Math.max(0, room.right) };
+  }
+
+  function createRacecraftState() {
+    return { mode: 'race', side: 0, depth: 0, target: 0, offset: 0, timer: 0, cooldown: 0, rival: null, outbrake: 0 };
+  }
+
+  /**
+   * Decide where to drive relative to the racing line: follow it ('race'), sit in the tow of
+   * the car ahead on a long straight ('slipstream'), commit to a pass on one side of a slower
+   * car ahead ('overtake') or make one move to cover the inside from a car close behind
+   * ('defend'). Never steers into a car alongside.
+   * Mutates and returns state; state.offset is the lateral shift to drive (+ = left of line).
+   */
+  function updateRacecraft(state, ctx) {
+    const { line, idx, car, speed, skill, opponents, dt, halfWidth } = ctx;
+    const cfg = RACECRAFT_CFG;
+    const node = line[idx];
+    const heading = node.tangent ? Math.atan2(node.tangent.y, node.tangent.x) : lineHeading(line, idx);
+    const tx = Math.cos(heading);
+    const ty = Math.sin(heading);
+    const carWidth = car.width || car.colliderWidth || 22;
+    const carLength = car.length || car.colliderLength || 44;
+    const passAggr = clamp(skill.overtakeAggression ?? 0, 0, 1);
+    const defendAggr = clamp(skill.defendAggression ?? 0, 0, 1);
+
+    const horizon = cfg.scanAheadBase + speed * cfg.scanAheadSpeed;
+    const room = roomAhead(line, idx, horizon, halfWidth, carWidth * 0.5);
+    const turn = normalizeAngle(lineHeading(line, walkLine(line, idx, cfg.cornerScan)) - heading);
+    const inside = Math.abs(turn) > cfg.cornerTurn ? Math.sign(turn) : 0;
+    const myLat = (car.x - node.x) * -ty + (car.y - node.y) * tx;
+
+    // Opponents in line coordinates: along (+ = ahead of us), lat (relative to the line)
+    const near = [];
+    for (const other of opponents) {
+      if (!other || other === car) continue;
+      const dx = other.x - car.x;
+      const dy = other.y - car.y;
+      const along = dx * tx + dy * ty;
+      const across = dx * -ty + dy * tx;
+      if (along > horizon || along < -cfg.scanBehind || Math.abs(across) > halfWidth * 2.2) continue;
+      const ovx = (other.physics && other.physics.vx) || other.vx || 0;
+      const ovy = (other.physics && other.physics.vy) || other.vy || 0;
+      const speedAlong = ovx * tx + ovy * ty;
+      near.push({ car: other, along, across, lat: myLat + across, speedAlong, closing: speed - speedAlong });
+    }
+
+    state.timer = Math.max(0, state.timer - dt);
+    state.cooldown = Math.max(0, state.cooldown - dt);
+    const sideGap = carWidth * cfg.sideGapFactor;
+    const clampToRoom = (v) => clamp(v, -room.right, room.left);
+    const gapBeside = (rival, side) => (side > 0 ? room.left - rival.lat : rival.lat + room.right);
+    const release = (cooldown) => {
+      state.mode = 'race';
+      state.side = 0;
+      state.rival = null;
+      state.target = 0;
+      state.cooldown = cooldown;
+    };
+
+    const passTarget = (rival, side) => clampToRoom(rival.lat + side * (sideGap + carWidth * 0.4 * (1 - passAggr)));
+    // Commit to a pass if there is a gap on a side this driver will use: timid drivers want a
+    // wide gap and the outside, aggressive ones take the inside
+    const tryPass = (rival) => {
+      const need = sideGap * (1.5 - 0.5 * passAggr);
+      const order = inside
+        ? (passAggr >= 0.4 ? [inside, -inside] : [-inside, inside])
+        : (gapBeside(rival, 1) >= gapBeside(rival, -1) ? [1, -1] : [-1, 1]);
+      const side = order.find((s) => gapBeside(rival, s) >= need);
+      if (!side) return false;
+      state.mode = 'overtake';
+      state.side = side;
+      state.rival = rival.car;
+      state.timer = cfg.passCommitTime;
+      state.target = passTarget(rival, side);
+      return true;
+    };
+
+    if (state.mode === 'overtake') {
+      const rival = near.find((e) => e.car === state.rival);
+      if (!rival || rival.along < -carLength || state.timer <= 0) {
+        release(rival ? 1.0 : 0);
+      } else if (rival.along > carLength * 0.5 && gapBeside(rival, state.side) < sideGap) {
+        // Door closed before we got alongside: back out and tuck in behind
+        release(1.5);
+      } else {
+        state.target = passTarget(rival, state.side);
+      }
+    } else if (state.mode === 'slipstream') {
+      // Stay in the wake while the tow closes the gap, then pull out before the braking zone
+      const rival = near.find((e) => e.car === state.rival);
+      if (!rival || rival.along <= carLength * 0.5) {
+        release(0);
+      } else if (rival.along < carLength * cfg.pullOutGap ||
+          straightAhead(line, idx, speed, cfg.pullOutStraight) < cfg.pullOutStraight) {
+        if (!tryPass(rival)) release(1.0);
+      } else {
+        state.target = clampToRoom(rival.lat);
+      }
+    } else if (state.cooldown <= 0 && passAggr > 0) {
+      let ahead = null;
+      for (const e of near) {
+        if (e.along <= carLength * 0.5 || Math.abs(e.across) > carWidth * cfg.pathWidthFactor) continue;
+        if (!ahead || e.along < ahead.along) ahead = e;
+      }
+      const draft = (car.physics && car.physics.draft) || 0;
+      const heldUp = ahead && ahead.along < carLength * 3 && ahead.speedAlong < (node.targetSpeed || speed) * cfg.heldUpFactor;
+      if (ahead && draft >= cfg.slipstreamDraft && ahead.along > carLength * cfg.pullOutGap &&
+          straightAhead(line, idx, speed, cfg.slipstreamStraight) >= cfg.slipstreamStraight) {
+        state.mode = 'slipstream';
+        state.side = 0;
+        state.rival = ahead.car;
+        state.target = clampToRoom(ahead.lat);
+      } else if (ahead && (ahead.closing > cfg.closingSpeed * (1 - 0.5 * passAggr) || heldUp)) {
+        tryPass(ahead);
+      }
+    }
+
+    if (state.mode === 'race' || state.mode === 'defend') {
+      let attacker = null;
+      for (const e of near) {
+        if (e.along >= -carLength * 0.5) continue;
+        if (!attacker || e.along > attacker.along) attacker = e;
+      }
+      if (state.mode === 'defend') {
+        if (state.timer <= 0 || !attacker) release(0.5);
+      } else if (attacker && inside && defendAggr > 0 && attacker.closing < cfg.closingSpeed) {
+        state.mode = 'defend';
+        state.side = inside;
+        state.rival = attacker.car;
+        state.timer = cfg.defendHoldTime;
+        state.depth = (inside > 0 ? room.left : room.right) * defendAggr * 0.8;
+      }
+      if (state.mode === 'defend') {
+        state.target = state.side * state.depth;
+      } else {
+        state.target = 0;
+      }
+    }
+
+    // Leave a car's width to anyone alongside
+    for (const e of near) {
+      if (Math.abs(e.along) > carLength * 1.1 || Math.abs(e.across) > carWidth * 2.5) continue;
+      if (e.across > 0) state.target = Math.min(state.target, e.lat - sideGap);
+      else state.target = Math.max(state.target, e.lat + sideGap);
+    }
+    state.target = clampToRoom(state.target);
+
+    const aggr = state.mode === 'overtake' || state.mode === 'slipstream' ? passAggr : state.mode === 'defend' ? defendAggr : 0.5;
+    const step = cfg.lateralRate * (0.4 + 0.6 * aggr) * dt;
+    state.offset += clamp(state.target - state.offset, -step, step);
+    state.outbrake = state.mode === 'overtake' && state.side === inside ? cfg.outbrakeFactor * passAggr : 0;
+    return state;
+  }
+
+  function makeRng(seed) {
+    let s = seed >>> 0 || 1;
+    return () => {
+      s = (Math.imul(s, 1664525) + 1013904223) >>> 0;
+      return s / 4294967296;
+    };
+  }
+
+  function createDriverState(driver, surface, random) {
+    let surfaceSkill = 1;
+    if (DRIVER_CFG.dirtSurfaces.includes(surface)) surfaceSkill = driver.dirtSkill ?? 1;
+    else if (DRIVER_CFG.wetSurfaces.includes(surface)) surfaceSkill = driver.wetSkill ?? 1;
+    const state = {
+      driver,
+      random,
+      paceScale: (driver.pace ?? 1) * surfaceSkill,
+      corner: 1, // This corner's speed multiplier
+      brake: 1, // This braking zone's braking lookahead multiplier
+      braking: false,
+      inCorner: false,
+      straight: 0, // s since the last corner input
+      mistake: null,
+      steer: 0, // Steering direction held through a spin
+      timer: 0,
+      cooldown: DRIVER_CFG.cooldown,
+      mistakes: 0,
+    };
+    rollVariation(state);
+    return state;
+  }
+
+  // New corner speed and braking point, drawn once per braking zone
+  function rollVariation(state) {
+    const { driver, random } = state;
+    const spread = (1 - clamp(driver.consistency ?? 1, 0, 1)) * DRIVER_CFG.cornerSpread;
+    state.corner = 1 + (random() * 2 - 1) * spread;
+    state.brake = 1 + (random() * 2 - 1) * (driver.brakingVariance || 0);
+  }
+
+  function pickMistake(driver, random, braking) {
+    const weights = driver.mistakes || { wide: 1 };
+    const kinds = ['wide', 'lockup', 'spin'].filter((kind) => weights[kind] > 0 && (kind !== 'lockup' || braking));
+    const total = kinds.reduce((sum, kind) => sum + weights[kind], 0);
+    let roll = random() * total;
+    for (const kind of kinds) {
+      roll -= weights[kind];
+      if (roll < 0) return kind;
+    }
+    return 'wide';
+  }
+
+  // Count down the current mistake and the cooldown after it
+  function tickDriver(state, dt) {
+    if (state.mistake) {
+      state.timer -= dt;
+      if (state.timer <= 0) {
+        state.mistake = null;
+        state.cooldown = DRIVER_CFG.cooldown;
+      }
+    } else {
+      state.cooldown = Math.max(0, state.cooldown - dt);
+    }
+  }
+
+  /**
+   * Apply the driver's mistakes to the controller's intended inputs, maybe starting a new one:
+   * running wide (too much corner speed, light braking, understeer), locking up (full brake
+   * with the fronts not steering) or spinning (full brake at full lock).
+   * Mutates state; returns the inputs to use.
+   */
+  function applyDriver(state, ctx) {
+    const { dt, speed, skill } = ctx;
+    let { throttle, brake, steer } = ctx;
+    const cfg = DRIVER_CFG;
+    if (brake > cfg.brakingInput) {
+      state.braking = true;
+    } else if (state.braking && brake < 0.05) {
+      state.braking = false;
+      rollVariation(state);
+    }
+
+    // One roll per corner, on the way in
+    const braking = brake > cfg.brakingInput;
+    const cornering = speed > cfg.minSpeed && (braking || Math.abs(steer) > cfg.cornerSteer);
+    state.straight = cornering ? 0 : state.straight + dt;
+    const entering = cornering && !state.inCorner;
+    if (cornering) state.inCorner = true;
+    else if (state.straight > cfg.cornerExit) state.inCorner = false;
+    if (entering && !state.mistake && state.cooldown <= 0) {
+      const chance = (state.driver.mistakeChance || 0) * (skill.mistakeScale ?? 1);
+      if (state.random() < chance) {
+        state.mistake = pickMistake(state.driver, state.random, braking);
+        state.timer = cfg[state.mistake].time;
+        state.steer = steer >= 0 ? 1 : -1;
+        state.mistakes++;
+      }
+    }
+
+    if (state.mistake === 'wide') {
+      brake *= cfg.wide.brake;
+      steer *= cfg.wide.steer;
+    } else if (state.mistake === 'lockup') {
+      brake = 1;
+      throttle = 0;
+      steer *= cfg.lockup.steer;
+    } else if (state.mistake === 'spin') {
+      throttle = 0;
+      brake = 1;
+      steer = state.steer;
+    }
+    return { throttle, brake, steer };
+  }
+
+  // options.gripScale: road grip of the track surface relative to tarmac
+  // (RacerPhysics.getSurfaceGrip), so corner speeds drop on dirt or ice
+  // options.roadWidth: road width in px, used for overtaking room on lines without offsets
+  // options.driver: a RacerAI.DRIVER_PROFILES entry (driver_profiles.js) giving this car its
+  // own pace, consistency, braking points, mistakes, surface skill and aggression
+  // options.surface: track surface id, picks the driver's dirt or wet skill
+  // options.seed: seeds the driver's variation and mistakes (random when omitted)
+  function createController(initialLine, preset = 'medium', initialState = null, options = {}) {
+    const gripScale = Number.isFinite(options.gripScale) && options.gripScale > 0 ? options.gripScale : 1;
+    const fallbackHalfWidth = Number.isFinite(options.roadWidth) && options.roadWidth > 0 ? options.roadWidth / 2 : 0;
+    const racecraft = createRacecraftState();
+    const driver = options.driver && typeof options.driver === 'object' ? options.driver : null;
+    const driverState = driver
+      ? createDriverState(driver, options.surface, makeRng(Number.isFinite(options.seed) ? options.seed : Math.random() * 4294967296))
+      : null;
     let line = Array.isArray(initialLine) ? initialLine : [];
     let idx = 0;
     let prevError = 0;
@@ -681,7 +1076,7 @@
       idx = findClosestIndexGlobal(line, initialState.x, initialState.y);
     }
 
-    const resolveSkill = (level) => {
+    const resolvePreset = (level) => {
       if (typeof level === 'string' && SKILL_PRESETS[level]) {
         return { ...SKILL_PRESETS[level], id: level };
       }
@@ -690,8 +1085,20 @@
       }
       return { ...SKILL_PRESETS.medium, id: 'medium' };
     };
+    // The driver's aggression shifts the preset's
+    const resolveSkill = (level) => {
+      const resolved = resolvePreset(level);
+      if (driver && driver.aggression) {
+        resolved.overtakeAggression = clamp((resolved.overtakeAggression ?? 0.5) + driver.aggression, 0, 1);
+        resolved.defendAggression = clamp((resolved.defendAggression ?? 0.35) + driver.aggression, 0, 1);
+      }
+      return resolved;
+    };
 
     let skill = resolveSkill(preset);
+    // Runtime multipliers on the preset (catch-up assist); corneringGrip is applied to corner
+    // speeds as sqrt(grip) because the racing line's speeds are shared by every controller
+    let skillScale = { maxThrottle: 1, corneringGrip: 1 };
 
     // --- Runtime Line Sanitization ---
     // Re-calculate speeds to ensure they match physics, regardless of how the line was saved.
@@ -715,7 +1122,7 @@
       // MATCHED to physics.js: muLatRoad=1.4
       const BASE_FRICTION = 1.4;
       const difficultyGrip = skill.corneringGrip || 0.90;
-      const FRICTION_LIMIT = BASE_FRICTION * difficultyGrip;
+      const FRICTION_LIMIT = BASE_FRICTION * difficultyGrip * gripScale;
 
       const GRAVITY = 750;
       const MAX_SPEED_CAP = 5000; // Unlocked speed for maximum performance
@@ -756,7 +1163,32 @@
       setDifficulty(level) {
         skill = resolveSkill(level);
       },
-      update(car, dt) {
+      // Scale the preset's maxThrottle / corneringGrip without rebuilding the controller
+      setSkillScale(scale) {
+        const pick = (v) => (Number.isFinite(v) && v > 0 ? v : 1);
+        skillScale = { maxThrottle: pick(scale && scale.maxThrottle), corneringGrip: pick(scale && scale.corneringGrip) };
+      },
+      getSkillScale() {
+        return { ...skillScale };
+      },
+      // Current racecraft decision, for debugging overlays and tests
+      getRacecraft() {
+        return { mode: racecraft.mode, side: racecraft.side, offset: racecraft.offset, target: racecraft.target };
+      },
+      // Driver profile state (null without options.driver), for debugging overlays and tests
+      getDriver() {
+        if (!driverState) return null;
+        return {
+          id: driver.id,
+          name: driver.name,
+          mistake: driverState.mistake,
+          mistakes: driverState.mistakes,
+          corner: driverState.paceScale * driverState.corner,
+          brake: driverState.brake,
+        };
+      },
+      // context.opponents: the other cars on track, for overtaking and defending
+      update(car, dt, context) {
         if (!line.length || !car) return { throttle: 0, brake: 1, steer: 0 };
 
         const speed = Math.hypot(
@@ -766,6 +1198,15 @@
 
         // Pass car angle and speed to nearestIndex to prevent latching onto opposite track segments (e.g. hairpins)
         idx = nearestIndex(line, idx, car.x, car.y, skill.searchWindow, car.angle, speed);
+        if (driverState) tickDriver(driverState, dt);
+
+        const opponents = context && Array.isArray(context.opponents) ? context.opponents : null;
+        const halfWidth = Number.isFinite(line[idx].halfWidth) ? line[idx].halfWidth : fallbackHalfWidth;
+        const hasRivals = opponents && halfWidth > 0 && opponents.some((other) => other && other !== car);
+        if (hasRivals || racecraft.offset !== 0) {
+          updateRacecraft(racecraft, { line, idx, car, speed, skill, opponents: opponents || [], dt, halfWidth });
+        }
+        const lineOffset = racecraft.offset;
 
         const lookahead = skill.lookaheadBase + speed * skill.lookaheadSpeed;
         const sample = sampleAlongLine(line, idx, lookahead) || {
@@ -773,6 +1214,14 @@
           targetSpeed: line[idx].targetSpeed,
           nextIndex: idx,
         };
+        if (lineOffset !== 0) {
+          // Aim at the same point shifted across the road
+          const sampleHeading = lineHeading(line, sample.index ?? idx);
+          sample.point = {
+            x: sample.point.x - Math.sin(sampleHeading) * lineOffset,
+            y: sample.point.y + Math.cos(sampleHeading) * lineOffset,
+          };
+        }
         // BUG FIX: Do NOT update idx to the lookahead index. 
         // idx must track the car's current position (closest point), not the target.
         // Updating it causes the search window to race ahead of the car, leading to tracking loss.
@@ -801,6 +1250,8 @@
         if (normal && Number.isFinite(normal.x) && Number.isFinite(normal.y)) {
           lateralOffset = dx * normal.x + dy * normal.y; // positive = left of line, negative = right
         }
+        // Measured from the line we are driving (shifted when passing or defending)
+        lateralOffset -= lineOffset;
 
         // Blend tangent direction (following the line) with lookahead direction (anticipating turns)
         const tangentError = normalizeAngle(tangentHeading - car.angle);
@@ -880,7 +1331,7 @@
           lateralCorrection;
         const error = normalizeAngle(blendedError);
 
-        const targetSteerRaw = clamp(
+        let targetSteerRaw = clamp(
           error * skill.steerP + ((error - prevError) / Math.max(1e-3, dt)) * skill.steerD,
           -1,
           1,
@@ -888,12 +1339,22 @@
         prevError = error;
 
         // --- Speed Control ---
-        const targetSpeedRaw = currentNode.targetSpeed;
-        const difficultyMax = 1000 * mapThrottleToSpeedScale(skill.maxThrottle);
+        // Off the racing line the corners are tighter
+        const offLineScale = lineOffset !== 0 && halfWidth > 0
+          ? 1 - RACECRAFT_CFG.lineSpeedPenalty * Math.min(1, Math.abs(lineOffset) / halfWidth)
+          : 1;
+        // The driver's pace and this corner's variation; running wide carries too much speed in
+        const driverScale = driverState
+          ? driverState.paceScale * driverState.corner * (driverState.mistake === 'wide' ? DRIVER_CFG.wide.speed : 1)
+          : 1;
+        const speedScale = offLineScale * driverScale * Math.sqrt(skillScale.corneringGrip);
+        const targetSpeedRaw = currentNode.targetSpeed * speedScale;
+        const maxThrottle = (skill.maxThrottle ?? 1) * skillScale.maxThrottle;
+        const difficultyMax = 1000 * mapThrottleToSpeedScale(maxThrottle);
         const targetSpeed = Math.min(difficultyMax, targetSpeedRaw);
 
         const speedError = targetSpeed - speed;
-        const throttleGain = clamp(skill.maxThrottle ?? 1, 0.1, 3.0);
+        const throttleGain = clamp(maxThrottle, 0.1, 3.0);
 
         let targetThrottle = 0;
         if (speedError > 0) {
@@ -902,7 +1363,8 @@
 
         // Enhanced corner braking anticipation
         const brakingLookaheadBase = 150;
-        const brakingLookaheadSpeedFactor = skill.brakingLookaheadFactor || 1.4;
+        const brakingLookaheadSpeedFactor = (skill.brakingLookaheadFactor || 1.4) * (1 - racecraft.outbrake)
+          * (driverState ? driverState.brake : 1);
         const brakingLookahead = brakingLookaheadBase + speed * brakingLookaheadSpeedFactor;
 
         // Sample multiple points ahead
@@ -914,7 +1376,7 @@
           const sampleDist = (brakingLookahead / numBrakingSamples) * i;
           const futureSample = sampleAlongLine(line, idx, sampleDist);
           if (futureSample && Number.isFinite(futureSample.targetSpeed)) {
-            const limit = futureSample.targetSpeed;
+            const limit = futureSample.targetSpeed * speedScale;
             if (limit < minFutureSpeed) {
               minFutureSpeed = limit;
               brakingDistance = sampleDist;
@@ -1020,6 +1482,15 @@
           }
         }
 
+        if (driverState) {
+          const applied = applyDriver(driverState, {
+            dt, speed, skill, throttle: targetThrottle, brake: targetBrake, steer: targetSteerRaw,
+          });
+          targetThrottle = applied.throttle;
+          targetBrake = applied.brake;
+          targetSteerRaw = applied.steer;
+        }
+
         // 3. Input Filtering (Low Pass Filter)
         // Simulates physical speed of pedals/wheel.
         // Use different speeds for attack vs release for pro feel.
@@ -1051,6 +1522,8 @@
   existing.sampleRacingLine = sampleAlongLine;
   existing.createController = createController;
   existing.AISkill = SKILL_PRESETS;
+  existing.RACECRAFT_CFG = RACECRAFT_CFG;
+  existing.DRIVER_CFG = DRIVER_CFG;
   existing.DEFAULT_LINE_CFG = DEFAULT_LINE_CFG;
   global.RacerAI = existing;
 })(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,245 @@
+(function (global) {
+  // ===== RacingVibes ghost file (.rvghost) =====
+  // A portable, versioned wrapper around the {x, y, angle, t} lap frames recorded in
+  // racer.html. Frames are stored in track-source coordinates (before GEO_SCALE and
+  // world centering) so a ghost replays correctly regardless of the racer's scale settings.
+  const FORMAT_ID = 'rvghost';
+  const FORMAT_VERSION = 1;
+  const FILE_EXTENSION = '.rvghost';
+
+  // Quantization for frame compression: 0.1 px, 1 mrad, 1 ms
+  const POS_SCALE = 10;
+  const ANGLE_SCALE = 1000;
+  const FIELDS_PER_FRAME = 4;
+
+  // FNV-1a over the rounded source centerline + road width. Two tracks with the same
+  // fingerprint have the same geometry, so ghost coordinates line up.
+  function trackFingerprint(points, roadWidth) {
+    let h = 0x811c9dc5;
+    const mix = (n) => {
+      const v = n | 0;
+      for (let shift = 0; shift < 32; shift += 8) {
+        h ^= (v >>> shift) & 0xff;
+        h = Math.imul(h, 0x01000193) >>> 0;
+      }
+    };
+    const list = Array.isArray(points) ? points : [];
+    mix(list.length);
+    for (const p of list) {
+      mix(Math.round(Number(p && p.x) || 0));
+      mix(Math.round(Number(p && p.y) || 0));
+    }
+    mix(Math.round(Number(roadWidth) || 80));
+    return h.toString(16).padStart(8, '0');
+  }
+
+  function zigzag(n) {
+    return n >= 0 ? n * 2 : -n * 2 - 1;
+  }
+
+  function unzigzag(n) {
+    return n % 2 === 0 ? n / 2 : -(n + 1) / 2;
+  }
+
+  function bytesToBase64(bytes) {
+    let binary = '';
+    const chunk = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunk) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+    }
+    return btoa(binary);
+  }
+
+  function base64ToBytes(str) {
+    const binary = atob(str);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  // Quantize, delta-encode and varint-pack frames into a base64 string.
+  function encodeFrames(frames) {
+    const list = Array.isArray(frames) ? frames : [];
+    const out = [];
+    const prev = [0, 0, 0, 0];
+    for (const f of list) {
+      const q = [
+        Math.round((Number(f.x) || 0) * POS_SCALE),
+        Math.round((Number(f.y) || 0) * POS_SCALE),
+        Math.round((Number(f.angle) || 0) * ANGLE_SCALE),
+        Math.round(Number(f.t) || 0),
+      ];
+      for (let k = 0; k < FIELDS_PER_FRAME; k++) {
+        let v = zigzag(q[k] - prev[k]);
+        prev[k] = q[k];
+        while (v >= 0x80) {
+          out.push((v % 0x80) | 0x80);
+          v = Math.floor(v / 0x80);
+        }
+        out.push(v);
+      }
+    }
+    return bytesToBase64(Uint8Array.from(out));
+  }
+
+  function decodeFrames(encoded) {
+    const bytes = base64ToBytes(encoded || '');
+    const frames = [];
+    const acc = [0, 0, 0, 0];
+    const values = [];
+    let i = 0;
+    while (i < bytes.length) {
+      let v = 0;
+      let mult = 1;
+      let b;
+      do {
+        if (i >= bytes.length) throw new Error('Ghost frame data is truncated');
+        b = bytes[i++];
+        v += (b & 0x7f) * mult;
+        mult *= 0x80;
+      } while (b & 0x80);
+      values.push(unzigzag(v));
+      if (values.length === FIELDS_PER_FRAME) {
+        for (let k = 0; k < FIELDS_PER_FRAME; k++) acc[k] += values[k];
+        frames.push({
+          x: acc[0] / POS_SCALE,
+          y: acc[1] / POS_SCALE,
+          angle: acc[2] / ANGLE_SCALE,
+          t: acc[3],
+        });
+        values.length = 0;
+      }
+    }
+    if (values.length) throw new Error('Ghost frame data is truncated');
+    return frames;
+  }
+
+  /**
+   * Build the serializable ghost document.
+   * @param {{trackId:string, trackName?:string, fingerprint:string, kind:string, modeId?:string, lapTime:number, frames:Array}} ghost
+   */
+  function createGhostFile(ghost) {
+    if (!ghost || !Array.isArray(ghost.frames) || ghost.frames.length < 2) {
+      throw new Error('Ghost needs at least two recorded frames');
+    }
+    if (!Number.isFinite(ghost.lapTime) || ghost.lapTime <= 0) {
+      throw new Error('Ghost needs a valid lap time');
+    }
+    return {
+      format: FORMAT_ID,
+      version: FORMAT_VERSION,
+      track: {
+        id: ghost.trackId || null,
+        name: ghost.trackName || ghost.trackId || null,
+        fingerprint: ghost.fingerprint,
+      },
+      car: { kind: ghost.kind || 'GT' },
+      mode: ghost.modeId || 'grip',
+      lapTime: ghost.lapTime,
+      recordedAt: ghost.recordedAt || new Date().toISOString(),
+      frameCount: ghost.frames.length,
+      frames: encodeFrames(ghost.frames),
+    };
+  }
+
+  function serialize(ghost) {
+    return JSON.stringify(createGhostFile(ghost));
+  }
+
+  /**
+   * Parse and validate a ghost document (string or object).
+   * Throws an Error with a user-facing message when the file is not usable.
+   * Frames are left encoded; call decodeFrames(result.frames) when needed.
+   */
+  function parse(input) {
+    let doc = input;
+    if (typeof input === 'string') {
+      try {
+        doc = JSON.parse(input);
+      } catch (_) {
+        throw new Error('Not a RacingVibes ghost file (invalid JSON).');
+      }
+    }
+    if (!doc || typeof doc !== 'object' || doc.format !== FORMAT_ID) {
+      throw new Error('Not a RacingVibes ghost file.');
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+      throw new Error('Ghost file has no valid format version.');
+    }
+    if (doc.version > FORMAT_VERSION) {
+      throw new Error(`Ghost file version ${doc.version} is newer than this game supports (v${FORMAT_VERSION}).`);
+    }
+    if (!doc.track || typeof doc.track.fingerprint !== 'string' || !doc.track.fingerprint) {
+      throw new Error('Ghost file is missing its track fingerprint.');
+    }
+    if (!Number.isFinite(doc.lapTime) || doc.lapTime <= 0) {
+      throw new Error('Ghost file has an invalid lap time.');
+    }
+    if (typeof doc.frames !== 'string' || !doc.frames) {
+      throw new Error('Ghost file contains no frames.');
+    }
+    let frameCount;
+    try {
+      frameCount = decodeFrames(doc.frames).length;
+    } catch (_) {
+      throw new Error('Ghost file frame data is corrupted.');
+    }
+    if (frameCount < 2 || (Number.isInteger(doc.frameCount) && doc.frameCount !== frameCount)) {
+      throw new Error('Ghost file frame data is corrupted.');
+    }
+    return {
+      version: doc.version,
+      trackId: doc.track.id || null,
+      trackName: doc.track.name || doc.track.id || 'Unknown track',
+      fingerprint: doc.track.fingerprint,
+      kind: (doc.car && doc.car.kind) || 'GT',
+      modeId: doc.mode || 'grip',
+      lapTime: doc.lapTime,
+      recordedAt: doc.recordedAt || null,
+      frameCount,
+      frames: doc.frames,
+    };
+  }
+
+  /**
+   * Throw a user-facing error when a parsed ghost was recorded on other geometry.
+   */
+  function assertTrackMatch(parsed, fingerprint) {
+    if (!parsed || parsed.fingerprint !== fingerprint) {
+      const name = parsed && parsed.trackName ? `"${parsed.trackName}"` : 'another track';
+      throw new Error(`This ghost was recorded on ${name} with a different track layout and cannot be raced here.`);
+    }
+    return true;
+  }
+
+  function download(ghost) {
+    const utils = global.RacerUtils;
+    const base = `${ghost.trackName || ghost.trackId || 'track'}_${ghost.kind || 'car'}_${(ghost.lapTime || 0).toFixed(3)}`;
+    const safeName = utils && typeof utils.sanitizeFilename === 'function'
+      ? utils.sanitizeFilename(base)
+      : base.replace(/[^a-z0-9_-]+/gi, '_');
+    const blob = new Blob([serialize(ghost)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${safeName}${FILE_EXTENSION}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  global.RacerGhostFile = {
+    FORMAT_ID,
+    FORMAT_VERSION,
+    FILE_EXTENSION,
+    trackFingerprint,
+    encodeFrames,
+    decodeFrames,
+    createGhostFile,
+    serialize,
+    parse,
+    assertTrackMatch,
+    download,
+  };
+})(typeof window !== 'undefined' ? window : this);
@@ -1,6 +1,9 @@
 import { createWorld, stepWorld, meters, pixels, PPM_DEFAULT } from './physics/planckWorld.js';
 import { buildTrackBodies } from './trackCollision.js';
-import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG, suggestGearRatios } from './gearbox.js';
+import { FUEL_CFG, burnFuel, createFuel, fuelMass, fuelPower } from './physics/fuel.js';
+import { TYRE_CFG, cloneTyres, createTyres, tyreGrip, updateTyres } from './physics/tyres.js';
+import { DAMAGE_CFG, DAMAGE_MODES, applyImpact, createDamage, damageEffects, impactArea, normalizeDamageMode } from './physics/damage.js';
+import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG, suggestGearRatios, getGearboxClockMs } from './gearbox.js';
 
 (function () {
   "use strict";
@@ -56,6 +59,9 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
       accelDurationMult: 5.0,
       maxSpeed: 10000, // px/s - top speed cap (default: effectively unlimited)
       gearCount: 6, // number of forward gears
+      fuelCapacity: 110, // L - full tank
+      fuelBurn: 0.36, // L/s at full throttle at the redline
+      fuelMassPerL: 0.0018, // mass added per litre on board
       brakeForce: 600,
       maxSteer: 0.55,
       steerSpeed: 6.0,
@@ -99,6 +105,9 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
       accelDurationMult: 3.5,
       maxSpeed: 10000, // px/s - top speed cap (default: effectively unlimited)
       gearCount: 6, // number of forward gears
+      fuelCapacity: 100, // L - full tank
+      fuelBurn: 0.30, // L/s at full throttle at the redline
+      fuelMassPerL: 0.0020, // mass added per litre on board
       brakeForce: 500,
       maxSteer: 0.50,
       steerSpeed: 5.0,
@@ -143,6 +152,9 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
       accelDurationMult: 3.5,
       maxSpeed: 10000, // px/s - top speed cap (default: effectively unlimited)
       gearCount: 6, // number of forward gears
+      fuelCapacity: 70, // L - full tank
+      fuelBurn: 0.27, // L/s at full throttle at the redline
+      fuelMassPerL: 0.0020, // mass added per litre on board
       brakeForce: 600,
       maxSteer: 0.58,
       steerSpeed: 6.5,
@@ -187,6 +199,9 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
       accelDurationMult: 3.5,
       maxSpeed: 10000, // px/s - top speed cap (default: effectively unlimited)
       gearCount: 6, // number of forward gears
+      fuelCapacity: 300, // L - full tank
+      fuelBurn: 0.60, // L/s at full throttle at the redline
+      fuelMassPerL: 0.0010, // mass added per litre on board
       brakeForce: 850,
       maxSteer: 0.40,
       steerSpeed: 3.5,
@@ -231,6 +246,9 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
       accelDurationMult: 5.0,
       maxSpeed: 10000, // px/s - top speed cap (default: effectively unlimited)
       gearCount: 6, // number of forward gears
+      fuelCapacity: 30, // L - full tank
+      fuelBurn: 0.12, // L/s at full throttle at the redline
+      fuelMassPerL: 0.0020, // mass added per litre on board
       brakeForce: 380,
       maxSteer: 0.52,
       steerSpeed: 5.5,
@@ -265,6 +283,120 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
     }
   };
 
+  // Tyre behaviour per track surface, keyed by the TrackBuilder SURFACE_TYPES ids that tracks
+  // store in textureId. Each surface has a road zone and an off-track zone:
+  //   grip  - multiplies the vehicle's mu (muLat/muLongRoad on the road, ...Grass off it)
+  //   roll  - multiplies rollK (rolling resistance)
+  //   drag  - multiplies aero dragK
+  //   scrub - extra speed-squared drag (keeps corner cutting slow)
+  // kindGrip scales grip per vehicle kind (dirt suits the Rallycross car, not the F1).
+  // 'tarmac-pro' reproduces the original road/grass behaviour exactly.
+  const DEFAULT_SURFACE = 'tarmac-pro';
+  const SURFACE_TYPES = {
+    'tarmac-pro': {
+      name: 'Tarmac Pro',
+      road: { grip: 1.00, roll: 1.0, drag: 1.0, scrub: 0 },
+      offTrack: { grip: 1.00, roll: 1.6, drag: 0.7, scrub: 0.0015 } // grass
+    },
+    'rally-dirt': {
+      name: 'Rally Dirt',
+      road: { grip: 0.72, roll: 1.5, drag: 1.0, scrub: 0.0002 },
+      offTrack: { grip: 0.90, roll: 2.0, drag: 0.7, scrub: 0.0018 }, // loose gravel
+      kindGrip: { Rallycross: 1.30, Truck: 1.10, Bubble: 0.90, F1: 0.85 }
+    },
+    field: {
+      name: 'Field',
+      road: { grip: 0.88, roll: 1.3, drag: 1.0, scrub: 0.0001 },
+      offTrack: { grip: 1.00, roll: 1.8, drag: 0.7, scrub: 0.0015 }, // meadow
+      kindGrip: { Rallycross: 1.12, Truck: 1.05, F1: 0.92 }
+    },
+    'neon-city': {
+      name: 'Neon City',
+      road: { grip: 1.05, roll: 0.95, drag: 1.0, scrub: 0 },
+      offTrack: { grip: 1.60, roll: 1.1, drag: 0.85, scrub: 0.0006 } // concrete run-off
+    },
+    glacier: {
+      name: 'Glacier',
+      road: { grip: 0.45, roll: 0.8, drag: 1.0, scrub: 0 },
+      offTrack: { grip: 0.70, roll: 2.2, drag: 0.7, scrub: 0.0020 }, // packed snow
+      kindGrip: { Rallycross: 1.15, Truck: 1.05, F1: 0.90 }
+    }
+  };
+  // Track editor texture ids are visual styles of tarmac
+  const SURFACE_ALIASES = { default: DEFAULT_SURFACE, vintage: DEFAULT_SURFACE, modern: DEFAULT_SURFACE, night: DEFAULT_SURFACE };
+
+  function resolveSurfaceId(id) {
+    const key = (typeof id === 'string' && SURFACE_ALIASES[id]) || id;
+    return SURFACE_TYPES[key] ? key : DEFAULT_SURFACE;
+  }
+
+  // Road grip multiplier of a surface, optionally for one vehicle kind (AI corner speeds use this)
+  function getSurfaceGrip(id, kind) {
+    const type = SURFACE_TYPES[resolveSurfaceId(id)];
+    const kindGrip = (kind && type.kindGrip && type.kindGrip[kind]) || 1;
+    return type.road.grip * kindGrip;
+  }
+
+  // Slipstream: a car inside the trailing cone of another gets less aero drag (the tow),
+  // strongest right behind the leader and fading with distance and with the angle off its
+  // tail. The leader loses a little downforce when followed closely. updateSlipstream() stores
+  // both shares (0..1) on car.physics.draft / car.physics.wakeLoss once per step and
+  // updateCar() applies them, so AI controllers can read them too.
+  const SLIPSTREAM_CFG = {
+    range: 480,              // px behind the leader where the tow runs out
+    minGap: 30,              // px; the tow is full this close
+    coneAngle: 0.3,          // rad half-angle of the wake behind the leader
+    minSpeed: 300,           // px/s leader speed below which there is no useful wake
+    maxDragReduction: 0.35,  // share of drag removed at full tow
+    wakeRange: 160,          // px behind the leader within which it loses downforce
+    maxDownforceLoss: 0.12   // share of downforce the leader loses with a car right behind
+  };
+
+  /**
+   * Wake of `leader` felt by `follower`.
+   * @returns {{draft:number, wakeLoss:number}} draft: the follower's tow share;
+   *   wakeLoss: the leader's downforce loss share (both 0..1)
+   */
+  function slipstreamBetween(leader, follower) {
+    const none = { draft: 0, wakeLoss: 0 };
+    if (!leader || !follower || leader === follower || !leader.physics) return none;
+    const cfg = SLIPSTREAM_CFG;
+    const cos = Math.cos(leader.angle || 0);
+    const sin = Math.sin(leader.angle || 0);
+    const dx = follower.x - leader.x;
+    const dy = follower.y - leader.y;
+    const behind = -(dx * cos + dy * sin);
+    if (behind <= 0 || behind >= cfg.range) return none;
+    const across = Math.abs(-dx * sin + dy * cos);
+    const coneShare = 1 - Math.atan2(across, behind) / cfg.coneAngle;
+    if (coneShare <= 0) return none;
+    const leaderSpeed = Math.hypot(leader.physics.vx || 0, leader.physics.vy || 0);
+    const speedShare = clamp((leaderSpeed - cfg.minSpeed) / cfg.minSpeed, 0, 1);
+    const aligned = Math.max(0, Math.cos((follower.angle || 0) - (leader.angle || 0)));
+    const distShare = 1 - clamp((behind - cfg.minGap) / (cfg.range - cfg.minGap), 0, 1);
+    return {
+      draft: distShare * coneShare * speedShare * aligned,
+      wakeLoss: behind < cfg.wakeRange ? (1 - behind / cfg.wakeRange) * coneShare * speedShare : 0
+    };
+  }
+
+  // Refresh car.physics.draft / wakeLoss for every car from the positions at the start of a step
+  function updateSlipstream(cars) {
+    const list = (Array.isArray(cars) ? cars : []).filter((car) => car && car.physics);
+    for (const car of list) {
+      car.physics.draft = 0;
+      car.physics.wakeLoss = 0;
+    }
+    for (const leader of list) {
+      for (const follower of list) {
+        if (leader === follower) continue;
+        const wake = slipstreamBetween(leader, follower);
+        if (wake.draft > follower.physics.draft) follower.physics.draft = wake.draft;
+        if (wake.wakeLoss > leader.physics.wakeLoss) leader.physics.wakeLoss = wake.wakeLoss;
+      }
+    }
+  }
+
   const fallbackClamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
   const clamp = window.RacerUtils && typeof window.RacerUtils.clamp === 'function'
     ? window.RacerUtils.clamp
@@ -1108,6 +1240,9 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
     destroyPlanckWorld();
     const world = createWorld({ gravityY: planckState.gravityY, doSleep: planckState.doSleep });
     planckState.world = world;
+    if (world && typeof world.on === 'function') {
+      world.on('post-solve', handlePlanckImpact);
+    }
     // Wall behavior permanently disabled - cars can freely drive over curbs onto grass
     planckState.trackBody = null;
 
@@ -1177,6 +1312,33 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
     }
   }
 
+  // Contacts resolved by the Planck solver: record damage on the cars involved and feed the
+  // crash sound (car.sfxImpact), as handleCollisions in racer.html does without Planck
+  function handlePlanckImpact(contact, impulse) {
+    if (!contact || !impulse || !impulse.normalImpulses) return;
+    const bodyA = contact.getFixtureA().getBody();
+    const bodyB = contact.getFixtureB().getBody();
+    const carA = bodyA.getUserData && bodyA.getUserData();
+    const carB = bodyB.getUserData && bodyB.getUserData();
+    if (!carA && !carB) return;
+    let normalImpulse = 0;
+    for (let i = 0; i < (contact.getManifold().pointCount || 0); i++) normalImpulse += impulse.normalImpulses[i] || 0;
+    if (normalImpulse <= 0) return;
+    const ppm = planckState.ppm || PPM_DEFAULT;
+    const manifold = contact.getWorldManifold(null);
+    const nx = manifold ? manifold.normal.x : 0;
+    const ny = manifold ? manifold.normal.y : 0;
+    // The manifold normal points from A to B
+    const sides = [[carA, bodyA, nx, ny], [carB, bodyB, -nx, -ny]];
+    for (const [car, body, dirX, dirY] of sides) {
+      if (!car) continue;
+      const deltaV = pixels(normalImpulse / Math.max(0.01, body.getMass()), ppm);
+      applyImpact(car, dirX, dirY, deltaV);
+      const impact = Math.min(1, pixels(normalImpulse, ppm) * 0.003);
+      car.sfxImpact = Math.max(car.sfxImpact || 0, impact);
+    }
+  }
+
   function removePlanckBody(car) {
     if (!car) return;
     const entry = planckState.carEntries.get(car);
@@ -1230,10 +1392,24 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
       friction: 0.45,
       restitution: P && typeof P.restitution === 'number' ? P.restitution : planckState.restitution
     });
+    if (typeof body.setUserData === 'function') body.setUserData(car);
     car.physics.planckBody = body;
     return body;
   }
 
+  // Keep a body's mass in step with the car's (fuel burns off). The yaw inertia stays as built,
+  // matching the legacy integrator's fixed Izz: fuel sits near the CG
+  function syncBodyMass(body, mass) {
+    const pl = window.planck;
+    if (!pl || typeof body.getMass !== 'function' || typeof body.setMassData !== 'function') return;
+    const current = body.getMass();
+    if (!(current > 0) || !(mass > 0) || Math.abs(current - mass) < current * 0.002) return;
+    const data = { mass: 0, center: pl.Vec2(0, 0), I: 0 };
+    body.getMassData(data);
+    data.mass = mass;
+    body.setMassData(data);
+  }
+
   function ensurePlanckBody(car, P) {
     if (!car || !P || !P.usePlanck) {
       removePlanckBody(car);
@@ -1336,6 +1512,73 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
     return false;
   }
 
+  // ===== Replay snapshots =====
+  // Plain-data copy of everything updateCar integrates between frames (pose, velocities,
+  // steering filter, gearbox state, damage, tyres, fuel). restoreCarState() also moves the Planck body so the
+  // next step continues from the snapshot instead of the body's old pose.
+  const SNAPSHOT_CAR_FIELDS = ['x', 'y', 'angle', 'vx', 'vy', 'speed'];
+
+  function copyPrimitives(src) {
+    const out = {};
+    for (const key of Object.keys(src)) {
+      const v = src[key];
+      if (v === null || typeof v === 'number' || typeof v === 'boolean' || typeof v === 'string') {
+        out[key] = v;
+      }
+    }
+    return out;
+  }
+
+  function captureCarState(car) {
+    if (!car) return null;
+    const snap = { car: {}, physics: null, gearbox: null };
+    for (const key of SNAPSHOT_CAR_FIELDS) snap.car[key] = car[key];
+    if (car.damage) snap.car.damage = { ...car.damage };
+    if (car.tyres) snap.car.tyres = cloneTyres(car.tyres);
+    if (car.fuel) snap.car.fuel = { ...car.fuel };
+    if (car.pit) snap.car.pit = { ...car.pit };
+    if (car.physics) {
+      snap.physics = copyPrimitives(car.physics);
+      if (car.physics.steeringState) snap.physics.steeringState = { ...car.physics.steeringState };
+    }
+    if (car.gearbox && car.gearbox.state) {
+      const state = copyPrimitives(car.gearbox.state);
+      // lastShiftMs lives on the shared gearbox clock; keep only its age
+      state.lastShiftMs = state.lastShiftMs - getGearboxClockMs();
+      snap.gearbox = { state, lastRequestedForce: car.gearbox.lastRequestedForce };
+    }
+    return snap;
+  }
+
+  function restoreCarState(car, snap) {
+    if (!car || !snap) return;
+    Object.assign(car, snap.car);
+    if (snap.car.damage) car.damage = { ...snap.car.damage };
+    if (snap.car.tyres) car.tyres = cloneTyres(snap.car.tyres);
+    if (snap.car.fuel) car.fuel = { ...snap.car.fuel };
+    if (snap.car.pit) car.pit = { ...snap.car.pit };
+    if (car.physics && snap.physics) {
+      Object.assign(car.physics, snap.physics);
+      if (snap.physics.steeringState) car.physics.steeringState = { ...snap.physics.steeringState };
+    }
+    if (car.gearbox && car.gearbox.state && snap.gearbox) {
+      Object.assign(car.gearbox.state, snap.gearbox.state);
+      car.gearbox.state.lastShiftMs = snap.gearbox.state.lastShiftMs + getGearboxClockMs();
+      car.gearbox.lastRequestedForce = snap.gearbox.lastRequestedForce;
+      if (typeof car.gearbox.applyState === 'function') car.gearbox.applyState();
+    }
+    const entry = planckState.carEntries.get(car);
+    const pl = window.planck;
+    if (entry && entry.body && pl) {
+      const ppm = entry.ppm || planckState.ppm || PPM_DEFAULT;
+      const p = car.physics || {};
+      entry.body.setTransform(pl.Vec2(meters(car.x || 0, ppm), meters(car.y || 0, ppm)), car.angle || 0);
+      entry.body.setLinearVelocity(pl.Vec2(meters(p.vx || 0, ppm), meters(p.vy || 0, ppm)));
+      entry.body.setAngularVelocity(p.r || 0);
+      entry.body.setAwake(true);
+    }
+  }
+
   function initCar(car, kind) {
     const k = kind || car.kind || 'GT';
     const base = VEHICLE_DEFAULTS[k] || VEHICLE_DEFAULTS.GT;
@@ -1402,7 +1645,9 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
 
   function updateCar(car, input, surface, dt) {
     // input: {throttle:0..1, brake:0..1, steer:-1..1}
-    // surface: {onRoad:boolean}
+    // surface: {onRoad:boolean, type?:string, speedLimit?:number, grip?:number} - type is a
+    // SURFACE_TYPES id (track textureId); speedLimit (px/s) caps the speed on top of maxSpeed, e.g.
+    // in the pit lane; grip scales the zone's grip, e.g. for standing water
     if (!car.physics) initCar(car, car.kind);
     const P = car.physics.params;
     if (car.gearbox) {
@@ -1416,13 +1661,15 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
     let usePlanck = !!(P && P.usePlanck);
     let ppm = P.pixelsPerMeter || planckState.ppm || PPM_DEFAULT;
     let planckBody = null;
-    const mass = P.mass;
+    // Fuel on board adds to the mass; it sits near the CG, so the yaw inertia is left alone
+    const mass = P.mass + fuelMass(car.fuel, P);
     if (usePlanck) {
       planckBody = ensurePlanckBody(car, P);
       if (!planckBody) {
         usePlanck = false;
       } else {
         ppm = planckState.ppm || ppm;
+        syncBodyMass(planckBody, mass);
         const vel = planckBody.getLinearVelocity();
         const angle = planckBody.getAngle();
         const omega = planckBody.getAngularVelocity();
@@ -1442,12 +1689,22 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
     const Izz = car.physics.Izz || inferIzz(P.mass, inertiaLength, inertiaWidth);
     const a = car.physics.a, b = car.physics.b, L = a + b;
     const onRoad = surface && surface.onRoad !== false;
-    const muLat = onRoad ? P.muLatRoad : P.muLatGrass;
-    const muLong = onRoad ? P.muLongRoad : P.muLongGrass;
+    const surfaceId = resolveSurfaceId(surface && surface.type);
+    const surfaceType = SURFACE_TYPES[surfaceId];
+    const zone = onRoad ? surfaceType.road : surfaceType.offTrack;
+    const conditionGrip = surface && Number.isFinite(surface.grip) && surface.grip > 0 ? surface.grip : 1;
+    const gripMul = zone.grip * ((surfaceType.kindGrip && surfaceType.kindGrip[car.kind]) || 1) * conditionGrip;
+    const muLat = (onRoad ? P.muLatRoad : P.muLatGrass) * gripMul;
+    const muLong = (onRoad ? P.muLongRoad : P.muLongGrass) * gripMul;
+    // Tyre temperature and wear scale the road grip of each axle
+    const tyre = onRoad ? tyreGrip(car.tyres) : { front: 1, rear: 1 };
     const accelDurMult = (P.accelDurationMult != null) ? P.accelDurationMult : 1.0;
     const accelDurMultSq = accelDurMult * accelDurMult;
-    const dragK = (P.dragK / accelDurMultSq) * (onRoad ? 1 : 0.7); // slightly less aero on grass due to lower speeds
-    const rollK = P.rollK * (onRoad ? 1.0 : 1.6); // higher rolling on grass
+    const draft = clamp(car.physics.draft || 0, 0, 1);
+    const damage = damageEffects(car.damage);
+    const dragK = (P.dragK / accelDurMultSq) * zone.drag // off-track zones carry less aero due to lower speeds
+      * (1 - draft * SLIPSTREAM_CFG.maxDragReduction) * damage.drag;
+    const rollK = P.rollK * zone.roll;
 
     // Body-frame velocity
     const vb = worldToBody(car.physics.vx, car.physics.vy, car.angle);
@@ -1515,7 +1772,8 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
     }
     let steerEff = car.physics.steer;
     if (reversing) steerEff *= REVERSE_CFG.steerScale;
-    const delta = steerEff;
+    // Bent suspension from damage pulls the wheels off straight
+    const delta = steerEff + damage.steer;
     const deltaEff = delta; // body-frame wheel angle; reverse handled in slipF
     car.physics.visualSteerTarget = deltaEff;
     car.physics.visualSteerLimit = Math.max(1e-3, (steerMax || 0) * (reversing ? REVERSE_CFG.steerScale : 1));
@@ -1533,7 +1791,8 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
     // Speed-based downforce split by static distribution
     {
       const vDF = Math.hypot(car.physics.vx, car.physics.vy);
-      const DF = (P.downforceK != null ? P.downforceK : 0) * vDF * vDF;
+      const wakeLoss = clamp(car.physics.wakeLoss || 0, 0, 1);
+      const DF = (P.downforceK != null ? P.downforceK : 0) * vDF * vDF * (1 - wakeLoss * SLIPSTREAM_CFG.maxDownforceLoss) * damage.downforce;
       const frontShare = b / (a + b);
       const rearShare = a / (a + b);
       Fzf += DF * frontShare;
@@ -1545,8 +1804,8 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
     // Define reference loads for load sensitivity
     const Fzf_ref = loadsStatic.Fzf, Fzr_ref = loadsStatic.Fzr;
     const loadSenseK = (P.loadSenseK != null ? P.loadSenseK : 0.08);
-    let muLatF = muLat * (1 - loadSenseK * (Fzf / Math.max(1e-6, Fzf_ref) - 1));
-    let muLatR = muLat * (1 - loadSenseK * (Fzr / Math.max(1e-6, Fzr_ref) - 1));
+    let muLatF = muLat * tyre.front * (1 - loadSenseK * (Fzf / Math.max(1e-6, Fzf_ref) - 1));
+    let muLatR = muLat * tyre.rear * (1 - loadSenseK * (Fzr / Math.max(1e-6, Fzr_ref) - 1));
     let Cf = muLatF * Fzf / slip0;
     let Cr = muLatR * Fzr / slip0;
 
@@ -1700,7 +1959,11 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
       if (typeof gb.applyState === 'function') {
         gb.applyState();
       }
-      Fx_drive = getDriveForce(gbState, speedForGearbox, throttle);
+      Fx_drive = getDriveForce(gbState, speedForGearbox, throttle) * damage.power * fuelPower(car.fuel);
+      if (car.fuel) {
+        const redline = gbState.redlineRpm || GEARBOX_CONFIG.redlineRpm;
+        burnFuel(car.fuel, P, throttle, (gbState.rpm || 0) / redline, dt);
+      }
       gb.lastRequestedForce = Fx_drive;
       const wheelRadius = gbState.tireRadiusM ?? gbState.wheelRadius ?? GEARBOX_CONFIG.tireRadiusM;
       car.physics.lastGb = {
@@ -1736,8 +1999,8 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
     const ux_bx = vx / vmag; // projection of velocity direction on body X
     const F_drag = dragK * vmag * vmag * ux_bx;
     const F_roll = rollK * vmag * ux_bx;
-    // Additional grass drag - speed-dependent deceleration to prevent corner cutting
-    const grassDragK = onRoad ? 0 : 0.0015;
+    // Additional surface scrub (grass, gravel, snow) - speed-dependent deceleration to prevent corner cutting
+    const grassDragK = zone.scrub;
     const F_grassDrag = grassDragK * vmag * vmag * ux_bx;
 
     // Compute command-only acceleration estimate for load transfer
@@ -1766,8 +2029,8 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
       car.physics.lastLoadFront = Fzf;
       car.physics.lastLoadRear = Fzr;
       // Recompute load-sensitive mu and cornering stiffness with updated loads
-      muLatF = muLat * (1 - loadSenseK * (Fzf / Math.max(1e-6, Fzf_ref) - 1));
-      muLatR = muLat * (1 - loadSenseK * (Fzr / Math.max(1e-6, Fzr_ref) - 1));
+      muLatF = muLat * tyre.front * (1 - loadSenseK * (Fzf / Math.max(1e-6, Fzf_ref) - 1));
+      muLatR = muLat * tyre.rear * (1 - loadSenseK * (Fzr / Math.max(1e-6, Fzr_ref) - 1));
       Cf = muLatF * Fzf / slip0;
       Cr = muLatR * Fzr / slip0;
     }
@@ -1783,8 +2046,8 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
 
     // Longitudinal load-sensitivity for grip (effective muLong per axle)
     const kL = (P.muLongLoadSenseK != null ? P.muLongLoadSenseK : 0.04);
-    const muLongEffF = muLong * (1 - kL * (Fzf / Math.max(1e-6, Fzf_ref) - 1));
-    const muLongEffR = muLong * (1 - kL * (Fzr / Math.max(1e-6, Fzr_ref) - 1));
+    const muLongEffF = muLong * tyre.front * (1 - kL * (Fzf / Math.max(1e-6, Fzf_ref) - 1));
+    const muLongEffR = muLong * tyre.rear * (1 - kL * (Fzr / Math.max(1e-6, Fzr_ref) - 1));
 
     // Front combined-slip ellipse (trail-braking reduces lateral)
     const frontCircle = (P.frontCircle != null ? P.frontCircle : (P.rearCircle != null ? P.rearCircle : 0.5));
@@ -1919,6 +2182,16 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
       car.angle += car.physics.r * dt;
     }
 
+    if (car.tyres) {
+      updateTyres(car.tyres, {
+        speed: vmag,
+        slipF,
+        slipR,
+        longF: muLongEffF * Fzf > 1e-6 ? FxF_cmd / (muLongEffF * Fzf) : 0,
+        longR: s_req
+      }, dt);
+    }
+
     // Cache debug values
     car.physics.lastSlipF = slipF;
     car.physics.lastSlipR = slipR;
@@ -1929,7 +2202,8 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
     car.physics.lastReversing = reversing;
 
     // Apply top speed cap
-    const maxSpeed = P.maxSpeed != null ? P.maxSpeed : 10000;
+    const speedLimit = surface && Number.isFinite(surface.speedLimit) ? Math.max(0, surface.speedLimit) : Infinity;
+    const maxSpeed = Math.min((P.maxSpeed != null ? P.maxSpeed : 10000) * damage.topSpeed, speedLimit);
     const currentSpeed = Math.hypot(car.physics.vx, car.physics.vy);
     if (currentSpeed > maxSpeed) {
       const scale = maxSpeed / currentSpeed;
@@ -2027,6 +2301,7 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
       skid,
       steerAngle: delta,
       onGrass: !onRoad,
+      surface: surfaceId,
       Fx_long,
       FyR: car.physics._dbgFyR,
       FyR_avail: car.physics._dbgFyR_avail,
@@ -3178,6 +3453,28 @@ import { Gearbox, gearboxDefaults, updateGearbox, getDriveForce, GEARBOX_CONFIG,
     planckStep,
     usesPlanckWorld,
     forcePlanckRefresh,
+    captureCarState,
+    restoreCarState,
+    resolveSurfaceId,
+    getSurfaceGrip,
+    updateSlipstream,
+    slipstreamBetween,
+    slipstream: SLIPSTREAM_CFG,
+    createDamage,
+    applyImpact,
+    damageEffects,
+    impactArea,
+    normalizeDamageMode,
+    damage: DAMAGE_CFG,
+    damageModes: DAMAGE_MODES,
+    createTyres,
+    updateTyres,
+    tyreGrip,
+    tyres: TYRE_CFG,
+    createFuel,
+    fuelPower,
+    fuel: FUEL_CFG,
+    surfaces: SURFACE_TYPES,
     defaults: VEHICLE_DEFAULTS,
     getVehicleDefaults: (kind) => {
       const k = kind || 'GT';
@@ -0,0 +1,95 @@
+// Damage model. Every car carries `car.damage` (createDamage()): a 0..1 share per area (front,
+// rear, left, right) that grows with the energy of each impact on that area. In 'full' mode
+// damageEffects() turns it into handling losses that updateCar applies; 'visual' only tracks it
+// for drawing; 'off' ignores impacts.
+
+export const DAMAGE_MODES = ['off', 'visual', 'full'];
+
+export const DAMAGE_AREAS = ['front', 'rear', 'left', 'right'];
+
+export const DAMAGE_CFG = {
+  minDeltaV: 80,        // px/s velocity change below which an impact leaves no mark
+  fullDeltaV: 700,      // px/s velocity change that wrecks an area in one hit
+  steerPull: 0.012,     // rad of steering misalignment with a wrecked side
+  frontPullShare: 0.5,  // share of front damage added to the misalignment
+  powerLoss: 0.35,      // share of drive force lost with a wrecked front
+  drag: { front: 0.25, rear: 0.15, left: 0.1, right: 0.1 }, // extra share of aero drag per area
+  downforceLoss: { front: 0.2, rear: 0.4 },                  // share of downforce lost per area
+  topSpeedLoss: 0.15    // share of the top speed cap lost with the worst area wrecked
+};
+
+const NEUTRAL_EFFECTS = Object.freeze({ steer: 0, power: 1, drag: 1, downforce: 1, topSpeed: 1 });
+
+const clamp01 = (v) => (v < 0 ? 0 : v > 1 ? 1 : v);
+
+export function normalizeDamageMode(mode) {
+  return DAMAGE_MODES.includes(mode) ? mode : 'off';
+}
+
+export function createDamage(mode) {
+  return { mode: normalizeDamageMode(mode), front: 0, rear: 0, left: 0, right: 0 };
+}
+
+/**
+ * Area of `car` facing the direction (dirX, dirY): a world-space vector from the car's centre
+ * towards the impact (a contact point offset or a contact normal).
+ * @returns {'front'|'rear'|'left'|'right'}
+ */
+export function impactArea(car, dirX, dirY) {
+  const c = Math.cos(car.angle || 0);
+  const s = Math.sin(car.angle || 0);
+  const forward = dirX * c + dirY * s;
+  const right = -dirX * s + dirY * c;
+  const length = car.length || 36;
+  const width = car.width || 18;
+  // Compare against the body's diagonal so the corners split the areas
+  if (Math.abs(forward) * width >= Math.abs(right) * length) return forward >= 0 ? 'front' : 'rear';
+  return right >= 0 ? 'right' : 'left';
+}
+
+/**
+ * Record an impact on `car` that changed its velocity by `deltaV` (px/s) in the direction of
+ * (dirX, dirY) from its centre. Damage grows with the impact energy per unit mass above
+ * DAMAGE_CFG.minDeltaV.
+ * @returns {number} damage added to the area (0 when the impact was too light or damage is off)
+ */
+export function applyImpact(car, dirX, dirY, deltaV) {
+  const damage = car && car.damage;
+  if (!damage || damage.mode === 'off' || !Number.isFinite(deltaV)) return 0;
+  if (!Number.isFinite(dirX) || !Number.isFinite(dirY) || (dirX === 0 && dirY === 0)) return 0;
+  const dv = Math.abs(deltaV);
+  const cfg = DAMAGE_CFG;
+  if (dv <= cfg.minDeltaV) return 0;
+  const minSq = cfg.minDeltaV * cfg.minDeltaV;
+  const added = (dv * dv - minSq) / (cfg.fullDeltaV * cfg.fullDeltaV - minSq);
+  const area = impactArea(car, dirX, dirY);
+  const before = damage[area];
+  damage[area] = clamp01(before + added);
+  return damage[area] - before;
+}
+
+/**
+ * Handling multipliers of a damage state. Neutral unless the mode is 'full'.
+ * @returns {{steer:number, power:number, drag:number, downforce:number, topSpeed:number}}
+ *   steer: rad added to the wheel angle (> 0 pulls right); the rest multiply drive force,
+ *   aero drag, downforce and the top speed cap
+ */
+export function damageEffects(damage) {
+  if (!damage || damage.mode !== 'full') return NEUTRAL_EFFECTS;
+  const cfg = DAMAGE_CFG;
+  const front = clamp01(damage.front || 0);
+  const rear = clamp01(damage.rear || 0);
+  const left = clamp01(damage.left || 0);
+  const right = clamp01(damage.right || 0);
+  // A bent side pulls the car towards it; a bent front adds to whichever side is worse
+  const side = right >= left ? 1 : -1;
+  const pull = Math.max(-1, Math.min(1, right - left + side * front * cfg.frontPullShare));
+  return {
+    steer: pull * cfg.steerPull,
+    power: 1 - cfg.powerLoss * front,
+    drag: 1 + cfg.drag.front * front + cfg.drag.rear * rear + cfg.drag.left * left + cfg.drag.right * right,
+    downforce: clamp01(1 - cfg.downforceLoss.front * front - cfg.downforceLoss.rear * rear),
+    topSpeed: 1 - cfg.topSpeedLoss * Math.max(front, rear, left, right)
+  };
+}
+
@@ -0,0 +1,52 @@
+// Fuel model. A car may carry `car.fuel` (createFuel()): litres left in a tank of the vehicle's
+// `fuelCapacity` (VEHICLE_DEFAULTS). updateCar burns it with burnFuel() at a rate set by the
+// throttle and the engine speed, adds its weight (`fuelMassPerL`) to the car's mass, and scales
+// drive force by fuelPower(), which sputters over the last litre and cuts to nothing when dry.
+
+export const FUEL_CFG = {
+  idleBurn: 0.08,  // share of the full-throttle burn used with the throttle closed
+  reserve: 1.0,    // L; below this the engine starts to starve
+  minLoad: 0.1,    // smallest starting load, as a share of the tank
+};
+
+const clamp = (v, lo, hi) => (v < lo ? lo : v > hi ? hi : v);
+
+/**
+ * A tank of `capacity` litres filled to `load` (a share of the tank).
+ * @returns {{litres:number, capacity:number}|null} null without a usable capacity
+ */
+export function createFuel(capacity, load = 1) {
+  if (!(capacity > 0)) return null;
+  const share = clamp(Number.isFinite(load) ? load : 1, FUEL_CFG.minLoad, 1);
+  return { litres: capacity * share, capacity };
+}
+
+/**
+ * Burn fuel for `dt` seconds. The rate is `params.fuelBurn` (L/s at full throttle at the
+ * redline) scaled by the throttle (down to FUEL_CFG.idleBurn) and the share of the redline.
+ * @param {object} fuel - createFuel() state, updated in place
+ * @param {object} params - vehicle params (fuelBurn)
+ * @param {number} throttle - 0..1
+ * @param {number} rpmShare - engine speed over the redline, 0..1
+ * @param {number} dt
+ * @returns {number} litres burned
+ */
+export function burnFuel(fuel, params, throttle, rpmShare, dt) {
+  if (!fuel || !params || !(params.fuelBurn > 0) || !(dt > 0) || fuel.litres <= 0) return 0;
+  const demand = FUEL_CFG.idleBurn + (1 - FUEL_CFG.idleBurn) * clamp(throttle || 0, 0, 1);
+  const burned = Math.min(fuel.litres, params.fuelBurn * demand * clamp(rpmShare || 0, 0, 1) * dt);
+  fuel.litres -= burned;
+  return burned;
+}
+
+// Mass the fuel on board adds to the car
+export function fuelMass(fuel, params) {
+  if (!fuel || !params || !(params.fuelMassPerL > 0)) return 0;
+  return Math.max(0, fuel.litres) * params.fuelMassPerL;
+}
+
+// Drive force multiplier: 1 with fuel, fading over the reserve, 0 when dry
+export function fuelPower(fuel) {
+  if (!fuel) return 1;
+  return clamp(fuel.litres / FUEL_CFG.reserve, 0, 1);
+}
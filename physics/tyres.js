@@ -0,0 +1,91 @@
+// Tyre model. Every car may carry `car.tyres` (createTyres()): a temperature (°C) and a wear
+// share (0..1) per axle. updateCar feeds updateTyres() the axle's slip angle and longitudinal
+// use each step: sliding heats and wears the tyre, airflow cools it. tyreGrip() turns the state
+// into a multiplier on the road grip (muLatRoad / muLongRoad) of each axle: full grip inside the
+// temperature window, less when cold or overheated, and a wear curve that falls away gently and
+// then steeply past the cliff.
+
+export const TYRE_CFG = {
+  ambient: 25,        // °C the tyres cool towards
+  startTemp: 55,      // °C at the start of a race: a lap to bring them in
+  windowLow: 80,      // °C; full grip from here...
+  windowHigh: 105,    // °C ...to here
+  coldGrip: 0.86,     // grip multiplier at ambient temperature
+  hotLoss: 0.005,     // grip lost per °C above windowHigh
+  hotGrip: 0.8,       // lowest grip multiplier when overheated
+  heat: 0.09,         // °C/s per px/s of sliding speed (speed × slip)
+  longSlip: 0.12,     // slip angle (rad) one unit of longitudinal use counts as
+  cool: 0.05,         // share of the gap to ambient lost per second when standing
+  airCool: 0.8,       // extra cooling per 1000 px/s of speed
+  maxTemp: 160,       // °C cap
+  wear: 1.5e-5,       // wear per px/s of sliding speed per second
+  hotWear: 20,        // °C above windowHigh that doubles the wear rate
+  wearLoss: 0.08,     // grip lost by the time wear reaches the cliff
+  cliff: 0.75,        // wear share where grip starts to fall away
+  cliffLoss: 0.22     // further grip lost from the cliff to fully worn
+};
+
+export const TYRE_AXLES = ['front', 'rear'];
+
+const clamp = (v, lo, hi) => (v < lo ? lo : v > hi ? hi : v);
+
+export function createTyres(temp = TYRE_CFG.startTemp) {
+  return { front: { temp, wear: 0 }, rear: { temp, wear: 0 } };
+}
+
+export function cloneTyres(tyres) {
+  return tyres ? { front: { ...tyres.front }, rear: { ...tyres.rear } } : null;
+}
+
+/**
+ * Advance the tyre state by `dt` seconds.
+ * @param {object} tyres - createTyres() state, updated in place
+ * @param {{speed:number, slipF:number, slipR:number, longF?:number, longR?:number}} inputs -
+ *   speed in px/s, slip angles in rad, longitudinal use of each axle's grip (0..1, braking or
+ *   traction demand over the grip available)
+ * @param {number} dt
+ */
+export function updateTyres(tyres, inputs, dt) {
+  if (!tyres || !inputs || !(dt > 0)) return;
+  const cfg = TYRE_CFG;
+  const speed = Math.max(0, inputs.speed || 0);
+  const cooling = cfg.cool * (1 + cfg.airCool * speed / 1000);
+  const slips = { front: [inputs.slipF, inputs.longF], rear: [inputs.slipR, inputs.longR] };
+  for (const axle of TYRE_AXLES) {
+    const tyre = tyres[axle];
+    if (!tyre) continue;
+    const [slip, long] = slips[axle];
+    const sliding = speed * (Math.abs(slip || 0) + cfg.longSlip * clamp(Math.abs(long || 0), 0, 2));
+    const over = Math.max(0, tyre.temp - cfg.windowHigh);
+    tyre.temp = clamp(tyre.temp + (cfg.heat * sliding - cooling * (tyre.temp - cfg.ambient)) * dt, cfg.ambient, cfg.maxTemp);
+    tyre.wear = clamp(tyre.wear + cfg.wear * sliding * (1 + over / cfg.hotWear) * dt, 0, 1);
+  }
+}
+
+// Grip multiplier from temperature alone
+export function temperatureGrip(temp) {
+  const cfg = TYRE_CFG;
+  if (temp < cfg.windowLow) {
+    return cfg.coldGrip + (1 - cfg.coldGrip) * clamp((temp - cfg.ambient) / (cfg.windowLow - cfg.ambient), 0, 1);
+  }
+  if (temp > cfg.windowHigh) return Math.max(cfg.hotGrip, 1 - cfg.hotLoss * (temp - cfg.windowHigh));
+  return 1;
+}
+
+// Grip multiplier from wear alone
+export function wearGrip(wear) {
+  const cfg = TYRE_CFG;
+  const w = clamp(wear || 0, 0, 1);
+  return 1 - cfg.wearLoss * Math.min(w, cfg.cliff) / cfg.cliff
+    - cfg.cliffLoss * Math.max(0, w - cfg.cliff) / (1 - cfg.cliff);
+}
+
+/**
+ * Road grip multipliers of a tyre state; 1 for both axles without one.
+ * @returns {{front:number, rear:number}}
+ */
+export function tyreGrip(tyres) {
+  if (!tyres) return { front: 1, rear: 1 };
+  const axleGrip = (tyre) => (tyre ? temperatureGrip(tyre.temp) * wearGrip(tyre.wear) : 1);
+  return { front: axleGrip(tyres.front), rear: axleGrip(tyres.rear) };
+}
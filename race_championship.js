@@ -0,0 +1,179 @@
+(function (global) {
+  // ===== RacingVibes championships =====
+  // A championship is an ordered list of rounds (builtin or custom track ids) raced with one
+  // vehicle and one set of race settings, scored with a points table. The start menu creates
+  // it (createChampionship) and launches each round with `championship: {id, round}` in the
+  // start payload; racer.html classifies the round when the player takes the flag and feeds it
+  // back (recordRound), and TrackStore keeps the championship in IndexedDB between rounds.
+  // AI drivers are identified by their driver profile id and the same roster races every round
+  // (the championship's driverSeed), so their points add up across the season.
+
+  // Start menu choices; points[i] goes to position i + 1
+  const POINTS_SYSTEMS = {
+    modern: { label: 'Modern (25-18-15...)', points: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1] },
+    classic: { label: 'Classic (10-8-6...)', points: [10, 8, 6, 5, 4, 3, 2, 1] },
+    sprint: { label: 'Sprint (8-7-6...)', points: [8, 7, 6, 5, 4, 3, 2, 1] },
+    winner: { label: 'Winner takes all', points: [1] },
+  };
+
+  const PLAYER_ID = 'player';
+  const MAX_ROUNDS = 20;
+
+  /**
+   * Points table from a comma/space separated list ("25, 18, 15"); null when it holds no
+   * points. Negative and non-numeric entries are dropped, trailing zeros trimmed.
+   */
+  function parsePoints(text) {
+    const points = String(text || '')
+      .split(/[\s,;]+/)
+      .map(Number)
+      .filter((n) => Number.isFinite(n) && n >= 0)
+      .map((n) => Math.round(n * 10) / 10);
+    while (points.length && points[points.length - 1] === 0) points.pop();
+    return points.length ? points : null;
+  }
+
+  /**
+   * A new championship.
+   * @param {{name?:string, rounds:Array<{trackId:string, trackName?:string}>, points?:number[],
+   *   fastestLap?:number, kind?:string, modeId?:string, settings?:object, driverSeed?:number,
+   *   id?:string, now?:number}} spec - settings are the start payload fields shared by every
+   *   round (laps, difficulty, botCount, gridPos, damage, fuel, weather, ...)
+   * @returns {object} { id, name, rounds: [{trackId, trackName, result}], points, fastestLap,
+   *   kind, modeId, settings, driverSeed, current, createdAt, updatedAt }
+   */
+  function createChampionship(spec) {
+    const rounds = (spec && Array.isArray(spec.rounds) ? spec.rounds : [])
+      .filter((r) => r && typeof r.trackId === 'string' && r.trackId)
+      .slice(0, MAX_ROUNDS)
+      .map((r) => ({ trackId: r.trackId, trackName: r.trackName || r.trackId, result: null }));
+    if (!rounds.length) throw new Error('A championship needs at least one round');
+    const now = Number.isFinite(spec.now) ? spec.now : Date.now();
+    return {
+      id: spec.id || `champ-${now.toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`,
+      name: (spec.name || '').trim() || 'Championship',
+      rounds,
+      points: Array.isArray(spec.points) && spec.points.length ? spec.points.slice() : POINTS_SYSTEMS.modern.points.slice(),
+      fastestLap: Math.max(0, Number(spec.fastestLap) || 0),
+      kind: spec.kind || 'GT',
+      modeId: spec.modeId || 'gt',
+      settings: { ...(spec.settings || {}) },
+      driverSeed: Number.isFinite(spec.driverSeed) ? spec.driverSeed >>> 0 : Math.floor(Math.random() * 4294967296),
+      current: 0,
+      createdAt: now,
+      updatedAt: now,
+    };
+  }
+
+  // Points for finishing `position` (1-based)
+  function pointsFor(champ, position) {
+    const table = champ && Array.isArray(champ.points) ? champ.points : [];
+    return Number.isInteger(position) && position >= 1 ? (table[position - 1] || 0) : 0;
+  }
+
+  function isComplete(champ) {
+    return !!champ && champ.current >= champ.rounds.length;
+  }
+
+  // The round to race next, or null once the season is over
+  function nextRound(champ) {
+    if (!champ || isComplete(champ)) return null;
+    return { index: champ.current, ...champ.rounds[champ.current] };
+  }
+
+  /**
+   * Score a round and move the championship on to the next one. Only the current round can be
+   * recorded, once; returns false (and changes nothing) otherwise.
+   * @param {object} champ
+   * @param {number} roundIndex
+   * @param {Array<{driverId:string, name:string, code?:string, position:number, finished?:boolean,
+   *   fastestLap?:boolean, bestLap?:number|null, totalTime?:number|null}>} classification
+   */
+  function recordRound(champ, roundIndex, classification, now = Date.now()) {
+    if (!champ || roundIndex !== champ.current || isComplete(champ)) return false;
+    const entries = (Array.isArray(classification) ? classification : [])
+      .filter((e) => e && e.driverId && Number.isInteger(e.position))
+      .slice()
+      .sort((a, b) => a.position - b.position)
+      .map((e) => {
+        const finished = e.finished !== false;
+        return {
+          driverId: e.driverId,
+          name: e.name || e.driverId,
+          code: e.code || null,
+          position: e.position,
+          finished,
+          fastestLap: !!e.fastestLap,
+          bestLap: Number.isFinite(e.bestLap) ? e.bestLap : null,
+          totalTime: Number.isFinite(e.totalTime) ? e.totalTime : null,
+          // The fastest-lap bonus only goes to a finisher
+          points: pointsFor(champ, e.position) + (e.fastestLap && finished ? champ.fastestLap : 0),
+        };
+      });
+    if (!entries.length) return false;
+    champ.rounds[roundIndex].result = { entries, recordedAt: now };
+    champ.current = roundIndex + 1;
+    champ.updatedAt = now;
+    return true;
+  }
+
+  /**
+   * Championship table over the rounds raced so far: most points first, ties split on the
+   * best finishes (most wins, then most seconds, ...), then on the latest round.
+   * @returns {Array<{driverId:string, name:string, code:string|null, points:number, wins:number,
+   *   podiums:number, finishes:Array<number|null>, position:number}>} finishes per round
+   */
+  function standings(champ) {
+    if (!champ) return [];
+    const rounds = champ.rounds;
+    const byDriver = new Map();
+    rounds.forEach((round, r) => {
+      if (!round.result) return;
+      for (const e of round.result.entries) {
+        let row = byDriver.get(e.driverId);
+        if (!row) {
+          row = { driverId: e.driverId, name: e.name, code: e.code, points: 0, wins: 0, podiums: 0, finishes: rounds.map(() => null), position: 0 };
+          byDriver.set(e.driverId, row);
+        }
+        row.name = e.name;
+        row.points += e.points;
+        if (e.position === 1) row.wins++;
+        if (e.position <= 3) row.podiums++;
+        row.finishes[r] = e.position;
+      }
+    });
+    const countback = (row) => {
+      const counts = [];
+      for (const p of row.finishes) if (p != null) counts[p - 1] = (counts[p - 1] || 0) + 1;
+      return counts;
+    };
+    const latest = (row) => {
+      for (let r = row.finishes.length - 1; r >= 0; r--) if (row.finishes[r] != null) return row.finishes[r];
+      return Infinity;
+    };
+    const rows = Array.from(byDriver.values());
+    rows.sort((a, b) => {
+      if (b.points !== a.points) return b.points - a.points;
+      const ca = countback(a), cb = countback(b);
+      for (let i = 0; i < Math.max(ca.length, cb.length); i++) {
+        if ((cb[i] || 0) !== (ca[i] || 0)) return (cb[i] || 0) - (ca[i] || 0);
+      }
+      return latest(a) - latest(b);
+    });
+    rows.forEach((row, i) => { row.position = i + 1; });
+    return rows;
+  }
+
+  global.RacerChampionship = {
+    POINTS_SYSTEMS,
+    PLAYER_ID,
+    MAX_ROUNDS,
+    parsePoints,
+    createChampionship,
+    pointsFor,
+    isComplete,
+    nextRound,
+    recordRound,
+    standings,
+  };
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,273 @@
+(function (global) {
+  // ===== RacingVibes race formats =====
+  // The race rules racer.html plays by. createFormat() builds one format's state for a race;
+  // racer.html calls onCheckpoint() from checkLaps after every checkpoint a car crosses and
+  // update() once per physics step, and acts on the events they return ('finish' for a car
+  // that takes the flag, 'out' for a car knocked out, 'flag' when a timed race's clock runs
+  // out). Cars that are out carry car.formatOut and are classified behind every car still in,
+  // by how far they got (orderStandings). Formats:
+  //   race            - first to `laps` laps
+  //   elimination     - the last car across the line each lap is out, until one is left
+  //   timed           - most laps in `timeLimit`: once the clock runs out the leader takes the
+  //                     flag at its next crossing of the line, and every car after it
+  //   reverse_grid    - a race with the quickest drivers (profile pace) starting at the back
+  //   checkpoint_rush - every car has a clock topped up at each checkpoint, by less each lap;
+  //                     a car whose clock runs out is out
+
+  const FORMAT_CFG = {
+    timeLimit: 300,        // s, timed races without a limit in the payload
+    rushStart: 10,         // s on every car's clock at the start
+    rushPace: 650,         // px/s: on the first lap a checkpoint is worth its distance at this speed
+    rushShrink: 0.9,       // the checkpoint bonus shrinks by this factor each lap
+    rushMinBonus: 0.4,     // s, the least a checkpoint is worth
+    coolDownThrottle: 0.5, // max throttle for AI cars that are out of the race
+  };
+
+  // Start menu choices; `laps` says whether the lap count applies, `timeLimit` whether the
+  // time limit does
+  const FORMATS = {
+    race: { label: 'Race', hint: 'First to the flag after the set laps.', laps: true },
+    elimination: { label: 'Elimination', hint: 'The last car across the line each lap is out, until one car is left.', laps: false },
+    timed: { label: 'Timed Race', hint: 'Most laps before the clock runs out. The flag falls at the leader\'s next crossing of the line.', laps: false, timeLimit: true },
+    reverse_grid: { label: 'Reverse Grid', hint: 'The quickest drivers start at the back and have to fight through.', laps: true },
+    checkpoint_rush: { label: 'Checkpoint Rush', hint: 'Every checkpoint tops up your clock, by a little less each lap. Let it run out and you are out.', laps: true },
+  };
+
+  const DEFAULT_FORMAT = 'race';
+
+  function resolveFormat(id) {
+    return FORMATS[id] ? id : DEFAULT_FORMAT;
+  }
+
+  /**
+   * Format state for a race.
+   * @param {string} formatId - a FORMATS key (unknown ids are a plain race)
+   * @param {{laps?:number, timeLimit?:number, segments?:number[]}} [opts] - timeLimit in s;
+   *   segments[i] is the distance (px) from the checkpoint before i to checkpoint i
+   * @returns {object} { id, laps, timeLimit, segments, flag, nextOut, outCount }
+   */
+  function createFormat(formatId, opts = {}) {
+    const id = resolveFormat(formatId);
+    return {
+      id,
+      laps: FORMATS[id].laps ? Math.max(1, opts.laps | 0 || 3) : Infinity,
+      timeLimit: Number.isFinite(opts.timeLimit) && opts.timeLimit > 0 ? opts.timeLimit : FORMAT_CFG.timeLimit,
+      segments: Array.isArray(opts.segments) ? opts.segments.slice() : [],
+      flag: false,   // timed: the clock has run out
+      nextOut: 1,    // elimination: the lap whose last car goes out next
+      outCount: 0,
+    };
+  }
+
+  // Per-car format state, at the start of a race
+  function initCar(format, car) {
+    car.formatOut = null;
+    car.finishLap = null;
+    car.rushLeft = format && format.id === 'checkpoint_rush' ? FORMAT_CFG.rushStart : null;
+  }
+
+  function running(cars) {
+    return cars.filter((car) => car && !car.finished && !car.formatOut);
+  }
+
+  function knockOut(format, car, now, progress) {
+    format.outCount++;
+    car.formatOut = { at: now, lap: car.lap | 0, progress: Number.isFinite(progress) ? progress : 0, order: format.outCount };
+    return { type: 'out', car };
+  }
+
+  /**
+   * createFormat() segments for checkpoints placed at `indices` on a closed centerline:
+   * segments[i] is the distance along the centerline from checkpoint i - 1 to checkpoint i.
+   */
+  function segmentLengths(points, indices) {
+    const n = Array.isArray(points) ? points.length : 0;
+    const K = Array.isArray(indices) ? indices.length : 0;
+    if (n < 2 || !K) return [];
+    const along = [0];
+    for (let i = 1; i <= n; i++) {
+      const a = points[i - 1], b = points[i % n];
+      along.push(along[i - 1] + Math.hypot(b.x - a.x, b.y - a.y));
+    }
+    const loop = along[n];
+    return indices.map((idx, i) => {
+      const from = along[indices[(i - 1 + K) % K]];
+      const to = along[idx];
+      return K === 1 ? loop : ((to - from) % loop + loop) % loop;
+    });
+  }
+
+  // Seconds a checkpoint adds to a Checkpoint Rush clock on the car's current lap
+  function rushBonus(format, cpIndex, lap) {
+    const dist = format.segments[cpIndex] || 0;
+    const bonus = (dist / FORMAT_CFG.rushPace) * Math.pow(FORMAT_CFG.rushShrink, Math.max(0, lap | 0));
+    return Math.max(FORMAT_CFG.rushMinBonus, bonus);
+  }
+
+  /**
+   * A car crossed checkpoint `cpIndex` (after checkLaps moved car.nextCp / car.lap on).
+   * @param {object} format
+   * @param {object} car
+   * @param {Array<object>} cars - the whole field
+   * @param {{cpIndex:number, lapDone:boolean, now:number, leader?:object,
+   *   progress?:function(object):number}} info - lapDone when the crossing completed a lap;
+   *   leader is the running car furthest round (timed races); progress(car) is its race
+   *   progress, kept with cars that go out
+   * @returns {Array<{type:string, car:object}>}
+   */
+  function onCheckpoint(format, car, cars, info) {
+    const events = [];
+    if (!format || !car || car.finished || car.formatOut) return events;
+    const { cpIndex, lapDone, now } = info;
+    if (format.id === 'checkpoint_rush') car.rushLeft += rushBonus(format, cpIndex, car.lap);
+    if (!lapDone) return events;
+
+    if (format.id === 'timed') {
+      // After the clock runs out: the leader first, then everyone at their next crossing
+      const leaderDone = cars.some((c) => c && c.finished);
+      if (format.flag && (leaderDone || info.leader === car)) {
+        car.finishLap = car.lap | 0;
+        events.push({ type: 'finish', car });
+      }
+      return events;
+    }
+
+    if (format.id === 'elimination') {
+      // Each lap, once every car still in but one has completed it, that one is out. The last
+      // car left takes the flag (straight away when it raced alone)
+      for (;;) {
+        const field = running(cars);
+        if (field.length <= 1) break;
+        const behind = field.filter((c) => (c.lap | 0) < format.nextOut);
+        if (!behind.length) { format.nextOut++; continue; } // dead heat on the line: nobody out
+        if (behind.length > 1) break;
+        const last = behind[0];
+        events.push(knockOut(format, last, now, info.progress ? info.progress(last) : 0));
+        format.nextOut++;
+      }
+      const field = running(cars);
+      if (field.length === 1 && (format.outCount > 0 || cars.length === 1)) {
+        field[0].finishLap = field[0].lap | 0;
+        events.push({ type: 'finish', car: field[0] });
+      }
+      return events;
+    }
+
+    if ((car.lap | 0) >= format.laps) {
+      car.finishLap = car.lap | 0;
+      events.push({ type: 'finish', car });
+    }
+    return events;
+  }
+
+  /**
+   * Advance the format's clocks by dt (s) at race time `now` (ms). Call once per physics step.
+   * @param {function(object):number} [progress] - race progress of a car, kept with cars that go out
+   * @returns {Array<{type:string, car?:object}>}
+   */
+  function update(format, cars, now, dt, progress) {
+    const events = [];
+    if (!format || !(dt > 0)) return events;
+    if (format.id === 'timed' && !format.flag && now >= format.timeLimit * 1000) {
+      format.flag = true;
+      events.push({ type: 'flag' });
+    }
+    if (format.id === 'checkpoint_rush') {
+      for (const car of running(cars)) {
+        car.rushLeft -= dt;
+        if (car.rushLeft <= 0) {
+          car.rushLeft = 0;
+          events.push(knockOut(format, car, now, progress ? progress(car) : 0));
+        }
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Starting order of the AI driver profiles, front of the grid first: Reverse Grid puts the
+   * slowest (lowest pace) at the front and the quickest at the back. Returns a new array;
+   * other formats keep the order they were drawn in.
+   */
+  function gridDrivers(format, drivers) {
+    const list = Array.isArray(drivers) ? drivers.slice() : [];
+    if (!format || format.id !== 'reverse_grid') return list;
+    const pace = (driver) => (driver && Number.isFinite(driver.pace) ? driver.pace : 1);
+    return list
+      .map((driver, i) => ({ driver, i }))
+      .sort((a, b) => (pace(a.driver) - pace(b.driver)) || (a.i - b.i))
+      .map(({ driver }) => driver);
+  }
+
+  /**
+   * Reorder RacerStandings.computeStandings() output for the format: finished cars by laps
+   * then finish time, running cars as they are, then the cars that are out, furthest first.
+   * Positions are renumbered; cars that are out lose their gaps.
+   */
+  function orderStandings(format, standings) {
+    const list = Array.isArray(standings) ? standings.slice() : [];
+    const group = (entry) => (entry.car.formatOut ? 2 : (entry.finished ? 0 : 1));
+    const keyed = list.map((entry, i) => ({ entry, i }));
+    keyed.sort((a, b) => {
+      const ga = group(a.entry), gb = group(b.entry);
+      if (ga !== gb) return ga - gb;
+      if (ga === 0) {
+        const la = a.entry.car.finishLap || 0, lb = b.entry.car.finishLap || 0;
+        return (lb - la) || (a.entry.car.finishTime - b.entry.car.finishTime) || (a.i - b.i);
+      }
+      if (ga === 2) {
+        const oa = a.entry.car.formatOut, ob = b.entry.car.formatOut;
+        return (ob.progress - oa.progress) || (ob.order - oa.order);
+      }
+      return a.i - b.i;
+    });
+    return keyed.map(({ entry }, i) => {
+      const out = !!entry.car.formatOut;
+      return {
+        ...entry,
+        position: i + 1,
+        gapAhead: out ? null : entry.gapAhead,
+        gapBehind: out ? null : entry.gapBehind,
+        gapLeader: out ? null : entry.gapLeader,
+      };
+    });
+  }
+
+  /**
+   * HUD line for the format, or null: the time left in a timed race, a car's rush clock, the
+   * cars left in an elimination.
+   * @returns {{label:string, value:string, urgent:boolean}|null}
+   */
+  function hudStatus(format, car, cars, now) {
+    if (!format) return null;
+    if (format.id === 'timed') {
+      if (format.flag) return { label: 'Time', value: 'Last lap', urgent: true };
+      const left = Math.max(0, format.timeLimit - now / 1000);
+      const m = Math.floor(left / 60);
+      const s = Math.floor(left % 60);
+      return { label: 'Time', value: `${m}:${String(s).padStart(2, '0')}`, urgent: left < 30 };
+    }
+    if (format.id === 'checkpoint_rush' && car && car.rushLeft != null) {
+      return { label: 'Clock', value: car.rushLeft.toFixed(1), urgent: car.rushLeft < 3 };
+    }
+    if (format.id === 'elimination') {
+      const left = running(cars || []).length;
+      return { label: 'Cars in', value: String(left), urgent: false };
+    }
+    return null;
+  }
+
+  global.RacerFormats = {
+    FORMAT_CFG,
+    FORMATS,
+    createFormat,
+    initCar,
+    segmentLengths,
+    rushBonus,
+    onCheckpoint,
+    update,
+    gridDrivers,
+    orderStandings,
+    hudStatus,
+  };
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,128 @@
+(function (global) {
+  // ===== RacingVibes local input =====
+  // Keyboard and gamepad mapping for the human drivers on one machine. keyLayout() gives the
+  // key bindings for one or two players (split-screen): alone, WASD and the arrows both drive;
+  // with two players WASD is player 1 and the arrows player 2. Gamepads are handed out in the
+  // order they connected (padFor), read with the standard mapping (padControl) and their
+  // shoulder buttons shift gears (padShifts). splitViewports() lays out one viewport per player.
+
+  const INPUT_CFG = {
+    stickDeadzone: 0.15,   // share of the stick's travel ignored around the centre
+    triggerDeadzone: 0.05, // ... and of the triggers' travel
+  };
+
+  // Standard gamepad mapping (https://w3c.github.io/gamepad/#remapping)
+  const PAD = {
+    steerAxis: 0,
+    throttle: 7,      // right trigger
+    brake: 6,         // left trigger
+    throttleAlt: 0,   // A / cross, for pads without analog triggers
+    brakeAlt: [1, 2], // B / circle and X / square
+    shiftDown: 4,     // left shoulder
+    shiftUp: 5,       // right shoulder
+    left: 14,         // d-pad
+    right: 15,
+  };
+
+  // e.key (lower case) -> action, per player
+  const SOLO_KEYS = {
+    w: 'throttle', arrowup: 'throttle',
+    s: 'brake', arrowdown: 'brake',
+    a: 'left', arrowleft: 'left',
+    d: 'right', arrowright: 'right',
+    q: 'shiftDown', e: 'shiftUp',
+  };
+  const SPLIT_KEYS = [
+    { w: 'throttle', s: 'brake', a: 'left', d: 'right', q: 'shiftDown', e: 'shiftUp' },
+    { arrowup: 'throttle', arrowdown: 'brake', arrowleft: 'left', arrowright: 'right', ',': 'shiftDown', '.': 'shiftUp' },
+  ];
+
+  /**
+   * Key bindings for `players` human drivers (1 or 2): one e.key -> action map per player.
+   */
+  function keyLayout(players) {
+    return players >= 2 ? SPLIT_KEYS.map((map) => ({ ...map })) : [{ ...SOLO_KEYS }];
+  }
+
+  /**
+   * The player and action a key drives, or null.
+   * @returns {{player:number, action:string}|null} action is 'throttle' | 'brake' | 'left' |
+   *   'right' | 'shiftDown' | 'shiftUp'
+   */
+  function keyAction(layout, key) {
+    const k = String(key || '').toLowerCase();
+    for (let i = 0; i < (layout || []).length; i++) {
+      if (Object.prototype.hasOwnProperty.call(layout[i], k)) return { player: i, action: layout[i][k] };
+    }
+    return null;
+  }
+
+  // The gamepad for player `index`: the index-th connected pad in navigator.getGamepads() order
+  function padFor(pads, index) {
+    const connected = Array.from(pads || []).filter((pad) => pad && pad.connected !== false);
+    return connected[index] || null;
+  }
+
+  function button(pad, i) {
+    const b = pad.buttons && pad.buttons[i];
+    if (!b) return 0;
+    return typeof b === 'object' ? (Number.isFinite(b.value) && b.value > 0 ? b.value : (b.pressed ? 1 : 0)) : +b || 0;
+  }
+
+  // Deadzone removed and the rest rescaled to 0..1
+  function dead(value, zone) {
+    const mag = Math.abs(value);
+    if (mag <= zone) return 0;
+    return Math.sign(value) * Math.min(1, (mag - zone) / (1 - zone));
+  }
+
+  /**
+   * Analog control from a gamepad, or null while it is left alone (so the keyboard drives).
+   * @returns {{steer:number, throttle:number, brake:number}|null}
+   */
+  function padControl(pad) {
+    if (!pad) return null;
+    const axis = pad.axes && Number.isFinite(pad.axes[PAD.steerAxis]) ? pad.axes[PAD.steerAxis] : 0;
+    let steer = dead(axis, INPUT_CFG.stickDeadzone);
+    const dpad = button(pad, PAD.right) - button(pad, PAD.left);
+    if (dpad) steer = Math.max(-1, Math.min(1, dpad));
+    const throttle = Math.max(dead(button(pad, PAD.throttle), INPUT_CFG.triggerDeadzone), button(pad, PAD.throttleAlt) > 0.5 ? 1 : 0);
+    const brake = Math.max(dead(button(pad, PAD.brake), INPUT_CFG.triggerDeadzone), ...PAD.brakeAlt.map((i) => (button(pad, i) > 0.5 ? 1 : 0)));
+    if (!steer && !throttle && !brake) return null;
+    return { steer, throttle, brake };
+  }
+
+  /**
+   * Gear shifts from the shoulder buttons since the last call: true on the press, not while
+   * held. `prev` ({up, down}) keeps the button states between calls.
+   */
+  function padShifts(pad, prev) {
+    const up = !!pad && button(pad, PAD.shiftUp) > 0.5;
+    const down = !!pad && button(pad, PAD.shiftDown) > 0.5;
+    const shifts = { up: up && !prev.up, down: down && !prev.down };
+    prev.up = up;
+    prev.down = down;
+    return shifts;
+  }
+
+  /**
+   * One viewport per player on a w x h canvas: the whole canvas alone, side by side for two.
+   * @returns {Array<{x:number, y:number, w:number, h:number}>}
+   */
+  function splitViewports(w, h, players) {
+    if (players < 2) return [{ x: 0, y: 0, w, h }];
+    const half = Math.floor(w / 2);
+    return [{ x: 0, y: 0, w: half, h }, { x: half, y: 0, w: w - half, h }];
+  }
+
+  global.RacerInput = {
+    INPUT_CFG,
+    PAD,
+    keyLayout,
+    keyAction,
+    padFor,
+    padControl,
+    padShifts,
+    splitViewports,
+  };
+})(typeof window !== 'undefined' ? window : this);
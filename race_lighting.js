@@ -0,0 +1,104 @@
+(function (global) {
+  // ===== RacingVibes lighting =====
+  // Time of day for the world renderer. A race starts at a preset hour and, with the clock
+  // running, moves on LIGHTING_CFG.timeScale game seconds per race second, so a long race can
+  // run from daylight through dusk. ambient() turns the hour into the darkness laid over the
+  // world and its tint; racer.html cuts headlight cones, tail lights and lit stadium and
+  // building areas out of that darkness. Everything here is a pure function of the clock, so
+  // replays show the light of the moment being replayed without storing it.
+
+  const LIGHTING_CFG = {
+    timeScale: 20,           // game seconds per race second while the clock runs
+    dawn: [4.5, 7.0],        // hours over which night turns to day
+    dusk: [17.5, 20.5],      // hours over which day turns to night
+    nightDarkness: 0.86,     // share of the world hidden at full night
+    twilightTint: [74, 46, 92], // rgb of the darkness at dawn and dusk
+    nightTint: [6, 10, 28],     // ... and at night
+    lightsOnAt: 0.12,        // darkness from which cars run their lights
+    headlightLength: 300,    // px the beams reach
+    headlightSpread: 0.42,   // rad half-angle of the beams
+    taillightRadius: 26,     // px of red glow behind a car
+    stadiumGlow: 0.8,        // share of the darkness lifted over stadium stands
+    buildingGlow: 0.6,       // ... and over buildings
+  };
+
+  // Start menu choices; 'auto' is night on the night texture, day elsewhere
+  const TIME_PRESETS = {
+    day: { label: 'Day', hour: 13 },
+    dusk: { label: 'Dusk', hour: 17.75 },
+    night: { label: 'Night', hour: 23 },
+    dawn: { label: 'Dawn', hour: 5 },
+  };
+  const NIGHT_TEXTURES = ['night'];
+
+  function clamp(v, lo, hi) {
+    return Math.max(lo, Math.min(hi, v));
+  }
+
+  function wrapHour(hour) {
+    return ((hour % 24) + 24) % 24;
+  }
+
+  // Smooth 0..1 ramp of `t` between a and b
+  function smooth(a, b, t) {
+    const x = clamp((t - a) / (b - a), 0, 1);
+    return x * x * (3 - 2 * x);
+  }
+
+  /**
+   * Starting hour for a TIME_PRESETS id ('auto' or unknown ids follow the track texture).
+   */
+  function startHour(presetId, textureId) {
+    if (TIME_PRESETS[presetId]) return TIME_PRESETS[presetId].hour;
+    return NIGHT_TEXTURES.includes(textureId) ? TIME_PRESETS.night.hour : TIME_PRESETS.day.hour;
+  }
+
+  /**
+   * Hour of day `seconds` into a race that started at `start`.
+   */
+  function clockHour(start, seconds, running = true) {
+    if (!running) return wrapHour(start);
+    return wrapHour(start + (Math.max(0, seconds || 0) * LIGHTING_CFG.timeScale) / 3600);
+  }
+
+  /**
+   * Darkness (0 day .. nightDarkness) and its rgb tint at an hour of day.
+   * @returns {{darkness:number, tint:number[], lights:boolean}}
+   */
+  function ambient(hour) {
+    const cfg = LIGHTING_CFG;
+    const h = wrapHour(hour);
+    // 0 in full daylight, 1 in full night
+    const night = h < 12
+      ? 1 - smooth(cfg.dawn[0], cfg.dawn[1], h)
+      : smooth(cfg.dusk[0], cfg.dusk[1], h);
+    const darkness = night * cfg.nightDarkness;
+    const tint = cfg.twilightTint.map((c, i) => Math.round(c + (cfg.nightTint[i] - c) * night));
+    return { darkness, tint, lights: darkness >= cfg.lightsOnAt };
+  }
+
+  /**
+   * A car's headlight beam: apex at the front of the car, pointing along its heading.
+   * @returns {{x:number, y:number, angle:number, length:number, spread:number}}
+   */
+  function headlightCone(car) {
+    const half = (car.length || 40) / 2;
+    const angle = car.angle || 0;
+    return {
+      x: car.x + Math.cos(angle) * half,
+      y: car.y + Math.sin(angle) * half,
+      angle,
+      length: LIGHTING_CFG.headlightLength,
+      spread: LIGHTING_CFG.headlightSpread,
+    };
+  }
+
+  global.RacerLighting = {
+    LIGHTING_CFG,
+    TIME_PRESETS,
+    startHour,
+    clockHour,
+    ambient,
+    headlightCone,
+  };
+})(typeof window !== 'undefined' ? window : this);
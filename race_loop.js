@@ -0,0 +1,52 @@
+(function (global) {
+  // ===== RacingVibes fixed-step frame loop =====
+  // Physics always advances in fixed PHYSICS_DT slices; the frame loop only decides how many
+  // slices a frame owes and carries the rest over, so lap times depend on inputs, not on the
+  // display's refresh rate. racer.html drives this from requestAnimationFrame and
+  // tests/sim_harness.js drives it with frames at any rate (--frame-hz).
+
+  const PHYSICS_HZ = 120;
+  const PHYSICS_DT = 1 / PHYSICS_HZ;
+  const MAX_FRAME_TIME = 0.1; // Longer frames (hitches, tab switches) are clipped
+  const MAX_PHYSICS_STEPS_PER_FRAME = Math.ceil(MAX_FRAME_TIME * PHYSICS_HZ);
+
+  /**
+   * Create the accumulator that turns frame time into fixed physics steps.
+   * @param {function(number):void} step - runs one fixed step of PHYSICS_DT seconds
+   * @param {function():boolean} [isRunning] - false stops the steps still owed in a frame
+   * @returns {{advance:function(number):number, reset:function():void, alpha:number, accumulator:number}}
+   *   advance(frameDt) runs the steps a frame of frameDt seconds owes and returns the render
+   *   interpolation alpha (0..1) between the last two steps
+   */
+  function createFixedStep(step, isRunning = () => true) {
+    let accumulator = 0; // Unsimulated frame time carried to the next frame
+
+    function advance(frameDt) {
+      accumulator += frameDt;
+      let steps = 0;
+      while (accumulator >= PHYSICS_DT && steps < MAX_PHYSICS_STEPS_PER_FRAME && isRunning()) {
+        step(PHYSICS_DT);
+        accumulator -= PHYSICS_DT;
+        steps++;
+      }
+      // Can't keep up: drop the backlog instead of spiralling
+      if (steps >= MAX_PHYSICS_STEPS_PER_FRAME) accumulator = Math.min(accumulator, PHYSICS_DT);
+      return accumulator / PHYSICS_DT;
+    }
+
+    return {
+      advance,
+      reset() { accumulator = 0; },
+      get alpha() { return accumulator / PHYSICS_DT; },
+      get accumulator() { return accumulator; },
+    };
+  }
+
+  global.RacerLoop = {
+    PHYSICS_HZ,
+    PHYSICS_DT,
+    MAX_FRAME_TIME,
+    MAX_PHYSICS_STEPS_PER_FRAME,
+    createFixedStep,
+  };
+})(typeof window !== 'undefined' ? window : this);
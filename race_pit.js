@@ -0,0 +1,326 @@
+(function (global) {
+  // ===== RacingVibes pit lane =====
+  // A track may carry `pitLane`: a path that branches off the centerline at its first point
+  // (the entry) and rejoins it at its last (the exit), plus the index of the pit box along it.
+  // TrackBuilder draws it and snapPitLane() pins its ends to the centerline; at race time
+  // buildPitLane() measures it against the live centerline. Each car carries `car.pit`:
+  // 'track' on the circuit, 'lane' between the pit entry and exit lines (speed limited), and
+  // 'stop' while stationary in the box, where the crew refuels, fits fresh tyres and repairs
+  // damage. pitGates() gives checkpoints the pit route skips a gate across the lane, so a lap
+  // through the pits counts.
+
+  const PIT_CFG = {
+    speedLimit: 360,     // px/s in the lane (about 27 mph at 30 px/m)
+    limiterDecel: 1200,  // px/s² the limiter sheds when a car arrives too fast
+    laneWidth: 0.6,      // lane width as a share of the road width
+    boxLength: 80,       // px of lane around the box that count as "in the box"
+    stopSpeed: 25,       // px/s; slower than this in the box starts the stop
+    baseTime: 2.0,       // s on the jacks for any stop
+    refuelRate: 12,      // L/s
+    tyreTime: 3.0,       // s for a fresh set, alongside refuelling
+    repairTime: 4.0,     // s per wrecked area (full damage only)
+    snapDistance: 1.0,   // road widths an end may sit from the centerline in the builder
+  };
+
+  const DAMAGE_AREAS = ['front', 'rear', 'left', 'right'];
+
+  function clamp(v, lo, hi) {
+    return Math.max(lo, Math.min(hi, v));
+  }
+
+  function isPoint(p) {
+    return !!p && Number.isFinite(p.x) && Number.isFinite(p.y);
+  }
+
+  function wrap(i, n) {
+    return ((i % n) + n) % n;
+  }
+
+  function nearestIndex(points, p) {
+    let best = -1;
+    let bestD = Infinity;
+    for (let i = 0; i < points.length; i++) {
+      const d = Math.hypot(points[i].x - p.x, points[i].y - p.y);
+      if (d < bestD) { bestD = d; best = i; }
+    }
+    return { index: best, dist: bestD };
+  }
+
+  function cumulative(points) {
+    const cum = [0];
+    for (let i = 1; i < points.length; i++) {
+      cum.push(cum[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+    }
+    return cum;
+  }
+
+  // Nearest point of an open polyline: distance and arc length along it
+  function project(points, cum, x, y) {
+    let best = { dist: Infinity, s: 0, seg: 0 };
+    for (let i = 0; i < points.length - 1; i++) {
+      const a = points[i], b = points[i + 1];
+      const dx = b.x - a.x, dy = b.y - a.y;
+      const len2 = dx * dx + dy * dy || 1;
+      const t = clamp(((x - a.x) * dx + (y - a.y) * dy) / len2, 0, 1);
+      const d = Math.hypot(a.x + dx * t - x, a.y + dy * t - y);
+      if (d < best.dist) best = { dist: d, s: cum[i] + (cum[i + 1] - cum[i]) * t, seg: i };
+    }
+    return best;
+  }
+
+  // Point and heading at arc length s along an open polyline
+  function pointAt(points, cum, s) {
+    const last = points.length - 1;
+    let i = 0;
+    while (i < last - 1 && cum[i + 1] < s) i++;
+    const a = points[i], b = points[Math.min(i + 1, last)];
+    const span = (cum[i + 1] - cum[i]) || 1;
+    const t = clamp((s - cum[i]) / span, 0, 1);
+    return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, angle: Math.atan2(b.y - a.y, b.x - a.x) };
+  }
+
+  // Centerline points from one index to another, driving direction, both ends included
+  function loopSpan(centerline, from, to) {
+    const n = centerline.length;
+    const out = [];
+    for (let k = 0, i = from; k <= n; k++, i = wrap(i + 1, n)) {
+      out.push(centerline[i]);
+      if (i === to) break;
+    }
+    return out;
+  }
+
+  /**
+   * Stored pit lane data, checked and copied; null when unusable.
+   * @param {{points:Array<{x:number,y:number}>, entryIndex?:number, exitIndex?:number, boxIndex?:number}} raw
+   * @returns {{points:Array<{x:number,y:number}>, entryIndex:number|null, exitIndex:number|null, boxIndex:number}|null}
+   */
+  function normalizePitLane(raw) {
+    if (!raw || !Array.isArray(raw.points) || raw.points.length < 2 || !raw.points.every(isPoint)) return null;
+    const points = raw.points.map((p) => ({ x: p.x, y: p.y }));
+    const index = (v) => (Number.isInteger(v) && v >= 0 ? v : null);
+    const box = Number.isInteger(raw.boxIndex) ? raw.boxIndex : Math.floor(points.length / 2);
+    return {
+      points,
+      entryIndex: index(raw.entryIndex),
+      exitIndex: index(raw.exitIndex),
+      boxIndex: clamp(box, 0, points.length - 1),
+    };
+  }
+
+  /**
+   * Pin a drawn pit lane to a closed centerline: its ends move onto the nearest centerline
+   * points and it is turned round if it was drawn against the driving direction. The box
+   * goes halfway along. Null when an end is more than maxDist from the centerline or both
+   * ends land on the same point.
+   */
+  function snapPitLane(stroke, centerline, maxDist) {
+    if (!Array.isArray(stroke) || stroke.length < 2 || !Array.isArray(centerline) || centerline.length < 3) return null;
+    const n = centerline.length;
+    let points = stroke.filter(isPoint).map((p) => ({ x: p.x, y: p.y }));
+    if (points.length < 2) return null;
+    let entry = nearestIndex(centerline, points[0]);
+    let exit = nearestIndex(centerline, points[points.length - 1]);
+    const limit = Number.isFinite(maxDist) ? maxDist : Infinity;
+    if (entry.dist > limit || exit.dist > limit || entry.index === exit.index) return null;
+    if (wrap(exit.index - entry.index, n) > n / 2) {
+      points = points.reverse();
+      [entry, exit] = [exit, entry];
+    }
+    points[0] = { x: centerline[entry.index].x, y: centerline[entry.index].y };
+    points[points.length - 1] = { x: centerline[exit.index].x, y: centerline[exit.index].y };
+    const cum = cumulative(points);
+    const half = cum[cum.length - 1] / 2;
+    let boxIndex = 0;
+    while (boxIndex < points.length - 1 && cum[boxIndex] < half) boxIndex++;
+    return { points, entryIndex: entry.index, exitIndex: exit.index, boxIndex };
+  }
+
+  /**
+   * Race-time pit lane on the live centerline (points already in world space).
+   * startS/endS are the pit entry and exit lines: where the lane leaves and rejoins the road,
+   * the stretch the speed limit applies to.
+   * @returns {object|null} null when the lane never leaves the road
+   */
+  function buildPitLane(lane, centerline, roadWidth) {
+    const src = normalizePitLane(lane);
+    if (!src || !Array.isArray(centerline) || centerline.length < 3 || !(roadWidth > 0)) return null;
+    const points = src.points;
+    const cum = cumulative(points);
+    const length = cum[cum.length - 1];
+    const entryIndex = nearestIndex(centerline, points[0]).index;
+    const exitIndex = nearestIndex(centerline, points[points.length - 1]).index;
+    if (entryIndex === exitIndex || !(length > 0)) return null;
+    const main = loopSpan(centerline, entryIndex, exitIndex);
+    const mainCum = cumulative(main);
+    const roadHalf = roadWidth / 2;
+    let startS = null;
+    let endS = null;
+    for (let i = 0; i < points.length; i++) {
+      if (project(main, mainCum, points[i].x, points[i].y).dist >= roadHalf) {
+        if (startS == null) startS = cum[i];
+        endS = cum[i];
+      }
+    }
+    if (startS == null || endS <= startS) return null;
+    const boxS = clamp(cum[src.boxIndex], startS, endS);
+    return {
+      points,
+      cum,
+      length,
+      entryIndex,
+      exitIndex,
+      main,
+      mainCum,
+      startS,
+      endS,
+      boxS,
+      box: pointAt(points, cum, boxS),
+      halfWidth: roadWidth * PIT_CFG.laneWidth / 2,
+      roadHalf,
+    };
+  }
+
+  // Point and heading at arc length s along a buildPitLane() lane
+  function lanePoint(lane, s) {
+    return pointAt(lane.points, lane.cum, s);
+  }
+
+  /**
+   * Pit-lane gates for the checkpoints the pit route bypasses, keyed by checkpoint: each is a
+   * segment across the lane level with the checkpoint, so crossing either counts.
+   * @param {object} lane - buildPitLane() result
+   * @param {Array<number>} checkpointIndices - centerline index of each checkpoint
+   * @param {number} centerlineLength
+   * @returns {Array<{a:{x:number,y:number}, b:{x:number,y:number}}|null>}
+   */
+  function pitGates(lane, checkpointIndices, centerlineLength) {
+    const list = Array.isArray(checkpointIndices) ? checkpointIndices : [];
+    if (!lane || !(centerlineLength > 0)) return list.map(() => null);
+    const span = wrap(lane.exitIndex - lane.entryIndex, centerlineLength);
+    const half = lane.halfWidth * 1.5;
+    return list.map((idx) => {
+      const along = wrap(idx - lane.entryIndex, centerlineLength);
+      if (along <= 0 || along >= span) return null;
+      const mainPoint = lane.main[along];
+      const s = clamp(project(lane.points, lane.cum, mainPoint.x, mainPoint.y).s, 0, lane.length);
+      const p = lanePoint(lane, s);
+      const nx = -Math.sin(p.angle), ny = Math.cos(p.angle);
+      return { a: { x: p.x + nx * half, y: p.y + ny * half }, b: { x: p.x - nx * half, y: p.y - ny * half } };
+    });
+  }
+
+  function createPitState() {
+    return { state: 'track', s: 0, served: false, stopLeft: 0, stopTotal: 0 };
+  }
+
+  // Seconds the crew needs: jacks, then refuelling and the tyre change side by side, then repairs
+  function pitStopTime(car) {
+    if (!car) return PIT_CFG.baseTime;
+    const fuel = car.fuel && car.fuel.capacity > 0 ? Math.max(0, car.fuel.capacity - car.fuel.litres) / PIT_CFG.refuelRate : 0;
+    const tyres = car.tyres ? PIT_CFG.tyreTime : 0;
+    const damage = car.damage && car.damage.mode === 'full'
+      ? DAMAGE_AREAS.reduce((sum, area) => sum + (car.damage[area] || 0), 0)
+      : 0;
+    return PIT_CFG.baseTime + Math.max(fuel, tyres) + damage * PIT_CFG.repairTime;
+  }
+
+  /**
+   * Work done at the end of a stop: a full tank, `freshTyres` (when the car runs tyre state) and
+   * a repaired body.
+   * @returns {{fuel:number, tyres:boolean, repair:number}} litres added, whether tyres were
+   *   changed and the damage removed (sum over areas)
+   */
+  function servicePit(car, freshTyres) {
+    const work = { fuel: 0, tyres: false, repair: 0 };
+    if (!car) return work;
+    if (car.fuel && car.fuel.capacity > 0) {
+      work.fuel = Math.max(0, car.fuel.capacity - car.fuel.litres);
+      car.fuel.litres = car.fuel.capacity;
+    }
+    if (car.tyres && freshTyres) {
+      car.tyres = freshTyres;
+      work.tyres = true;
+    }
+    if (car.damage) {
+      for (const area of DAMAGE_AREAS) {
+        work.repair += car.damage[area] || 0;
+        car.damage[area] = 0;
+      }
+    }
+    return work;
+  }
+
+  function carSpeed(car) {
+    if (car.physics) return Math.hypot(car.physics.vx || 0, car.physics.vy || 0);
+    return Math.abs(car.speed || 0);
+  }
+
+  /**
+   * Advance a car's pit state by `dt` seconds. Call once per step before the car is driven.
+   * @returns {'enter'|'stop'|'done'|'exit'|null} what happened this step: the car crossed the
+   *   pit entry line, came to rest in the box, finished its stop (service it now), or left
+   */
+  function updatePit(car, lane, dt) {
+    if (!car) return null;
+    const pit = car.pit || (car.pit = createPitState());
+    if (!lane) {
+      pit.state = 'track';
+      return null;
+    }
+    if (pit.state === 'stop') {
+      pit.stopLeft = Math.max(0, pit.stopLeft - (dt || 0));
+      if (pit.stopLeft > 0) return null;
+      pit.state = 'lane';
+      pit.served = true;
+      return 'done';
+    }
+    const p = project(lane.points, lane.cum, car.x, car.y);
+    pit.s = p.s;
+    if (pit.state === 'lane') {
+      if (p.dist > lane.halfWidth * 1.5 || p.s >= lane.endS) {
+        pit.state = 'track';
+        pit.served = false;
+        return 'exit';
+      }
+      if (!pit.served && Math.abs(p.s - lane.boxS) <= PIT_CFG.boxLength / 2 && carSpeed(car) <= PIT_CFG.stopSpeed) {
+        pit.state = 'stop';
+        pit.stopTotal = pit.stopLeft = pitStopTime(car);
+        return 'stop';
+      }
+      return null;
+    }
+    // Into the lane only past the entry line and clear of the racing surface
+    if (p.dist <= lane.halfWidth && p.s >= lane.startS && p.s < lane.endS
+      && project(lane.main, lane.mainCum, car.x, car.y).dist > lane.roadHalf) {
+      pit.state = 'lane';
+      pit.served = false;
+      return 'enter';
+    }
+    return null;
+  }
+
+  /**
+   * Speed cap for a car's pit state: none on track, nothing while stopped, and in the lane the
+   * pit limit, reached at PIT_CFG.limiterDecel from `speed` when the car arrives too fast.
+   */
+  function speedLimit(pit, speed, dt) {
+    if (!pit || pit.state === 'track') return Infinity;
+    if (pit.state === 'stop') return 0;
+    return Math.max(PIT_CFG.speedLimit, (speed || 0) - PIT_CFG.limiterDecel * (dt || 0));
+  }
+
+  global.RacerPit = {
+    PIT_CFG,
+    normalizePitLane,
+    snapPitLane,
+    buildPitLane,
+    lanePoint,
+    pitGates,
+    createPitState,
+    pitStopTime,
+    servicePit,
+    updatePit,
+    speedLimit,
+  };
+})(typeof window !== 'undefined' ? window : this);
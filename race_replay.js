@@ -0,0 +1,285 @@
+(function (global) {
+  // ===== RacingVibes race replay =====
+  // Records a whole race as inputs rather than poses: the starting grid, one snapshot of
+  // every car, then per physics step the dt, each car's normalized {throttle, brake, steer}
+  // and gearbox events. Playback feeds the same inputs back through RacerPhysics.updateCar,
+  // so the race unfolds again exactly as it was simulated. Periodic keyframes (full car
+  // snapshots) make scrubbing cheap: seek restores the nearest earlier keyframe and re-drives
+  // only the steps after it.
+  const REPLAY_VERSION = 1;
+  const SPEEDS = [0.25, 0.5, 1, 2, 4];
+  const DEFAULT_KEYFRAME_INTERVAL = 120; // steps (1 s at the 120 Hz physics rate)
+  const CONTROL_STRIDE = 4; // [carIndex, throttle, brake, steer]
+
+  function clamp(v, lo, hi) {
+    return Math.max(lo, Math.min(hi, v));
+  }
+
+  function clampSpeed(speed) {
+    const n = Number(speed);
+    if (!Number.isFinite(n)) return 1;
+    return clamp(n, SPEEDS[0], SPEEDS[SPEEDS.length - 1]);
+  }
+
+  /**
+   * Create a recorder for one race.
+   * @param {{trackKey?:string, trackName?:string, grid?:object, cars:Array<{label:string, kind?:string, color?:string}>, keyframeInterval?:number, captureWorld?:function():object}} opts
+   *
+   * Per physics step call beginStep(dt, capture) before any car is updated and endStep(capture)
+   * once the world has been stepped; capture() must return one RacerPhysics.captureCarState()
+   * snapshot per car, in the same order as opts.cars. opts.captureWorld(), when given, snapshots
+   * state outside the cars (the weather) into each keyframe's `world`.
+   */
+  function createRecorder(opts = {}) {
+    const cars = Array.isArray(opts.cars) ? opts.cars.map((c, i) => ({
+      label: (c && c.label) || `Car ${i + 1}`,
+      kind: (c && c.kind) || null,
+      color: (c && c.color) || null,
+    })) : [];
+    const keyframeInterval = Math.max(1, Math.round(Number(opts.keyframeInterval) || DEFAULT_KEYFRAME_INTERVAL));
+    const steps = [];
+    const keyframes = [];
+    let duration = 0;
+    let current = null;
+    let pendingEvents = [];
+
+    function addKeyframe(capture) {
+      const last = keyframes[keyframes.length - 1];
+      if (last && last.step === steps.length) return;
+      const keyframe = { step: steps.length, time: duration, cars: capture() };
+      if (typeof opts.captureWorld === 'function') keyframe.world = opts.captureWorld();
+      keyframes.push(keyframe);
+    }
+
+    function beginStep(dt, capture) {
+      if (current) endStep();
+      if (!(dt > 0)) return false;
+      if (!keyframes.length) addKeyframe(capture);
+      current = { dt, controls: [], events: pendingEvents };
+      pendingEvents = [];
+      return true;
+    }
+
+    function recordControl(carIndex, throttle, brake, steer) {
+      if (!current || !Number.isInteger(carIndex)) return;
+      current.controls.push(carIndex, throttle, brake, steer);
+    }
+
+    // Gearbox events ('up', 'down', 'manual') are applied at the start of the step they land in.
+    // Events raised between frames (keyboard) are queued for the next step.
+    function recordEvent(carIndex, type, value) {
+      if (!Number.isInteger(carIndex) || !type) return;
+      const evt = value === undefined ? { car: carIndex, type } : { car: carIndex, type, value };
+      if (current) current.events.push(evt);
+      else pendingEvents.push(evt);
+    }
+
+    function endStep(capture) {
+      if (!current) return;
+      steps.push(current);
+      duration += current.dt;
+      current = null;
+      if (capture && steps.length % keyframeInterval === 0) addKeyframe(capture);
+    }
+
+    // Pin the current state as a keyframe so a viewer can return exactly to "now".
+    function markKeyframe(capture) {
+      if (current) endStep();
+      if (!capture) return;
+      addKeyframe(capture);
+    }
+
+    function getRecording() {
+      return {
+        version: REPLAY_VERSION,
+        trackKey: opts.trackKey || null,
+        trackName: opts.trackName || opts.trackKey || null,
+        grid: opts.grid || null,
+        cars,
+        steps,
+        keyframes,
+        duration,
+      };
+    }
+
+    return {
+      beginStep,
+      recordControl,
+      recordEvent,
+      endStep,
+      markKeyframe,
+      getRecording,
+      get stepCount() { return steps.length; },
+      get duration() { return duration; },
+    };
+  }
+
+  /**
+   * Create a playback controller over a recording.
+   * @param {object} recording - value returned by recorder.getRecording()
+   * @param {{applyStep:function(object, number):void, restore:function(object):void, follow?:number}} hooks
+   *   applyStep(step, index) re-drives the physics for one recorded step;
+   *   restore(keyframe) puts every car back into keyframe.cars (and the world into keyframe.world).
+   */
+  function createPlayback(recording, hooks = {}) {
+    if (!recording || !Array.isArray(recording.steps) || !Array.isArray(recording.keyframes) || !recording.keyframes.length) {
+      throw new Error('Replay has no recorded race data');
+    }
+    const steps = recording.steps;
+    const keyframes = recording.keyframes;
+    const carCount = recording.cars ? recording.cars.length : 0;
+    // stepEnd[i] = race time once step i has been applied
+    const stepEnd = new Float64Array(steps.length);
+    let acc = 0;
+    for (let i = 0; i < steps.length; i++) {
+      acc += steps[i].dt;
+      stepEnd[i] = acc;
+    }
+    const duration = acc;
+    const rewindThreshold = keyframes.length > 1 ? (keyframes[1].step - keyframes[0].step) : steps.length;
+
+    let cursor = 0;
+    let time = 0;
+    let speed = 1;
+    let paused = false;
+    let follow = clamp(Number.isInteger(hooks.follow) ? hooks.follow : 0, 0, Math.max(0, carCount - 1));
+
+    function stepsUpTo(t) {
+      // Number of steps whose end time is <= t (binary search)
+      let lo = 0;
+      let hi = steps.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (stepEnd[mid] <= t + 1e-9) lo = mid + 1;
+        else hi = mid;
+      }
+      return lo;
+    }
+
+    function keyframeAtOrBefore(stepIndex) {
+      let best = keyframes[0];
+      for (const kf of keyframes) {
+        if (kf.step <= stepIndex && kf.step >= best.step) best = kf;
+      }
+      return best;
+    }
+
+    function advanceTo(target) {
+      while (cursor < target) {
+        hooks.applyStep(steps[cursor], cursor);
+        cursor++;
+      }
+    }
+
+    function seek(t) {
+      time = clamp(Number(t) || 0, 0, duration);
+      const target = stepsUpTo(time);
+      if (target < cursor || target - cursor > rewindThreshold) {
+        const kf = keyframeAtOrBefore(target);
+        hooks.restore(kf);
+        cursor = kf.step;
+      }
+      advanceTo(target);
+      if (time >= duration) paused = true;
+      return time;
+    }
+
+    // Restore the last keyframe verbatim (the recorder pins one at the moment the viewer opens),
+    // leaving the cars exactly where the live race stopped.
+    function jumpToEnd() {
+      const kf = keyframes[keyframes.length - 1];
+      hooks.restore(kf);
+      cursor = kf.step;
+      time = kf.step >= steps.length ? duration : stepEnd[kf.step - 1] || 0;
+      paused = true;
+      return time;
+    }
+
+    function update(realDt) {
+      if (paused || !(realDt > 0)) return time;
+      time = Math.min(duration, time + realDt * speed);
+      advanceTo(stepsUpTo(time));
+      if (time >= duration) paused = true;
+      return time;
+    }
+
+    function setSpeed(value) {
+      speed = clampSpeed(value);
+      return speed;
+    }
+
+    // Step to the next/previous entry of SPEEDS
+    function cycleSpeed(direction) {
+      const idx = SPEEDS.findIndex((s) => s >= speed);
+      const next = clamp((idx < 0 ? SPEEDS.length - 1 : idx) + (direction < 0 ? -1 : 1), 0, SPEEDS.length - 1);
+      speed = SPEEDS[next];
+      return speed;
+    }
+
+    function setPaused(value) {
+      paused = !!value;
+      if (!paused && time >= duration) seek(0);
+      return paused;
+    }
+
+    function setFollow(index) {
+      if (!carCount) return follow;
+      const n = Math.round(Number(index) || 0);
+      follow = ((n % carCount) + carCount) % carCount;
+      return follow;
+    }
+
+    hooks.restore(keyframes[0]);
+
+    return {
+      update,
+      seek,
+      jumpToEnd,
+      setSpeed,
+      cycleSpeed,
+      setPaused,
+      togglePause: () => setPaused(!paused),
+      setFollow,
+      cycleFollow: (direction) => setFollow(follow + (direction < 0 ? -1 : 1)),
+      get time() { return time; },
+      get duration() { return duration; },
+      get speed() { return speed; },
+      get paused() { return paused; },
+      get follow() { return follow; },
+      get cursor() { return cursor; },
+      // How far into the next recorded step the clock is (0..1), for pose interpolation
+      get stepFraction() {
+        if (cursor >= steps.length) return 1;
+        const start = cursor > 0 ? stepEnd[cursor - 1] : 0;
+        return clamp((time - start) / steps[cursor].dt, 0, 1);
+      },
+      get cars() { return recording.cars || []; },
+    };
+  }
+
+  // Iterate the flat control list of a recorded step: fn(carIndex, {throttle, brake, steer})
+  function forEachControl(step, fn) {
+    const list = step && step.controls;
+    if (!list) return;
+    for (let i = 0; i + CONTROL_STRIDE - 1 < list.length; i += CONTROL_STRIDE) {
+      fn(list[i], { throttle: list[i + 1], brake: list[i + 2], steer: list[i + 3] });
+    }
+  }
+
+  function formatTime(seconds) {
+    const s = Math.max(0, Number(seconds) || 0);
+    const m = Math.floor(s / 60);
+    const rest = s - m * 60;
+    return `${m}:${rest.toFixed(1).padStart(4, '0')}`;
+  }
+
+  global.RacerReplay = {
+    REPLAY_VERSION,
+    SPEEDS,
+    DEFAULT_KEYFRAME_INTERVAL,
+    createRecorder,
+    createPlayback,
+    forEachControl,
+    formatTime,
+  };
+})(typeof window !== 'undefined' ? window : this);
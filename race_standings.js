@@ -0,0 +1,185 @@
+(function (global) {
+  // ===== RacingVibes race standings =====
+  // Race order from car.lap, car.nextCp and the distance to the next checkpoint, plus
+  // timing-loop gaps: every checkpoint crossing stamps the race clock into car.cpTimes, and the
+  // gap between two cars is how much later the car behind reached the last checkpoint it
+  // shares with the car ahead. Finished cars rank first, by finish time. buildClassification
+  // turns the final order into the post-race results table.
+
+  function clamp(v, lo, hi) {
+    return Math.max(lo, Math.min(hi, v));
+  }
+
+  function center(cp) {
+    return { x: (cp.a.x + cp.b.x) * 0.5, y: (cp.a.y + cp.b.y) * 0.5 };
+  }
+
+  function wrap(i, n) {
+    return ((i % n) + n) % n;
+  }
+
+  // Checkpoints passed since the start of the race (the start line counts once per lap).
+  function progressIndex(car, checkpointCount) {
+    const K = checkpointCount | 0;
+    if (!car || K <= 0) return 0;
+    const next = wrap(car.nextCp | 0, K);
+    const passed = next === 0 ? (car.hasPassedStartLine ? K : 0) : next;
+    return (car.lap | 0) * K + passed;
+  }
+
+  /**
+   * Continuous race progress in checkpoint units: progressIndex plus the share of the way to
+   * the next checkpoint. Cars still behind the start line score <= 0.
+   * @param {object} car - {x, y, lap, nextCp, hasPassedStartLine}
+   * @param {Array<{a:{x:number,y:number}, b:{x:number,y:number}}>} checkpoints
+   */
+  function raceProgress(car, checkpoints) {
+    const K = Array.isArray(checkpoints) ? checkpoints.length : 0;
+    if (!car || !K) return 0;
+    const next = wrap(car.nextCp | 0, K);
+    const target = center(checkpoints[next]);
+    const prev = center(checkpoints[wrap(next - 1, K)]);
+    const span = Math.max(1, Math.hypot(target.x - prev.x, target.y - prev.y));
+    const dist = Math.hypot(car.x - target.x, car.y - target.y);
+    if (next === 0 && !car.hasPassedStartLine) return -dist / span;
+    return progressIndex(car, K) + clamp(1 - dist / span, 0, 0.999);
+  }
+
+  // Stamp the race clock for the checkpoint the car just crossed. Call after checkLaps has
+  // advanced car.nextCp / car.lap.
+  function recordCheckpoint(car, checkpointCount, now) {
+    if (!car) return;
+    if (!Array.isArray(car.cpTimes)) car.cpTimes = [];
+    const idx = progressIndex(car, checkpointCount);
+    if (car.cpTimes[idx] == null) car.cpTimes[idx] = now;
+    car.cpIndex = idx;
+  }
+
+  // Mark a car as finished (first call wins) so it ranks by finish time from now on.
+  function markFinished(car, now) {
+    if (!car || car.finished) return false;
+    car.finished = true;
+    car.finishTime = now;
+    return true;
+  }
+
+  /**
+   * Gap between two cars.
+   * @returns {{ms:number|null, laps:number}} laps > 0 when the car behind is lapped;
+   *   ms is null until both cars have crossed a common checkpoint.
+   */
+  function timeGap(ahead, behind, checkpointCount, progressAhead, progressBehind) {
+    const K = checkpointCount | 0;
+    if (!ahead || !behind || K <= 0) return { ms: null, laps: 0 };
+    if (ahead.finished && behind.finished) {
+      return { ms: Math.max(0, behind.finishTime - ahead.finishTime), laps: 0 };
+    }
+    // A finished car keeps driving, so its progress no longer says how far ahead it is;
+    // its checkpoint times still do.
+    if (!ahead.finished) {
+      const lapDiff = Math.floor(((progressAhead || 0) - (progressBehind || 0)) / K);
+      if (lapDiff >= 1) return { ms: null, laps: lapDiff };
+    }
+    const idx = behind.cpIndex | 0;
+    const tAhead = ahead.cpTimes && ahead.cpTimes[idx];
+    const tBehind = behind.cpTimes && behind.cpTimes[idx];
+    if (idx <= 0 || tAhead == null || tBehind == null) return { ms: null, laps: 0 };
+    return { ms: Math.max(0, tBehind - tAhead), laps: 0 };
+  }
+
+  /**
+   * Order the field.
+   * @param {Array<object>} cars
+   * @param {Array<object>} checkpoints
+   * @returns {Array<{car:object, position:number, progress:number, finished:boolean,
+   *   gapAhead:{ms:number|null, laps:number}|null, gapBehind:{ms:number|null, laps:number}|null,
+   *   gapLeader:{ms:number|null, laps:number}|null}>}
+   */
+  function computeStandings(cars, checkpoints) {
+    const K = Array.isArray(checkpoints) ? checkpoints.length : 0;
+    const list = (Array.isArray(cars) ? cars : []).filter(Boolean).map((car, order) => ({
+      car,
+      order,
+      progress: raceProgress(car, checkpoints),
+      finished: !!car.finished,
+    }));
+    list.sort((a, b) => {
+      if (a.finished !== b.finished) return a.finished ? -1 : 1;
+      if (a.finished) return (a.car.finishTime - b.car.finishTime) || (a.order - b.order);
+      return (b.progress - a.progress) || (a.order - b.order);
+    });
+    const gap = (ahead, behind) => timeGap(ahead.car, behind.car, K, ahead.progress, behind.progress);
+    return list.map((entry, i) => ({
+      car: entry.car,
+      position: i + 1,
+      progress: entry.progress,
+      finished: entry.finished,
+      gapAhead: i > 0 ? gap(list[i - 1], entry) : null,
+      gapBehind: i < list.length - 1 ? gap(entry, list[i + 1]) : null,
+      gapLeader: i > 0 ? gap(list[0], entry) : null,
+    }));
+  }
+
+  /**
+   * Rows for the post-race classification, in finishing order. Times are in seconds;
+   * totalTime is null for cars still running, fastestLap marks the field's best lap and
+   * pitStops counts the car's recorded stops (car.pitStops).
+   * @param {Array<object>} standings - computeStandings() result
+   * @returns {Array<{car:object, position:number, finished:boolean, laps:number,
+   *   lapTimes:number[], bestLap:number|null, totalTime:number|null,
+   *   gap:{ms:number|null, laps:number}|null, pitStops:number, fastestLap:boolean}>}
+   */
+  function buildClassification(standings) {
+    const rows = (Array.isArray(standings) ? standings : []).map((entry) => {
+      const car = entry.car;
+      const lapTimes = Array.isArray(car.lapTimes) ? car.lapTimes.filter(Number.isFinite) : [];
+      return {
+        car,
+        position: entry.position,
+        finished: entry.finished,
+        laps: car.lap | 0,
+        lapTimes,
+        bestLap: lapTimes.length ? Math.min(...lapTimes) : null,
+        totalTime: entry.finished && Number.isFinite(car.finishTime) ? car.finishTime / 1000 : null,
+        gap: entry.gapLeader,
+        pitStops: Array.isArray(car.pitStops) ? car.pitStops.length : 0,
+        fastestLap: false,
+      };
+    });
+    let fastest = null;
+    for (const row of rows) {
+      if (row.bestLap != null && (!fastest || row.bestLap < fastest.bestLap)) fastest = row;
+    }
+    if (fastest) fastest.fastestLap = true;
+    return rows;
+  }
+
+  // "+1.234", "+1 Lap", "+2 Laps" or "--" (no common checkpoint yet)
+  function formatGap(gap) {
+    if (!gap) return '';
+    if (gap.laps > 0) return `+${gap.laps} Lap${gap.laps > 1 ? 's' : ''}`;
+    if (gap.ms == null) return '--';
+    return `+${(gap.ms / 1000).toFixed(gap.ms >= 60000 ? 1 : 3)}`;
+  }
+
+  // Race/lap time in seconds as "1:02.345" or "42.345"
+  function formatTime(seconds) {
+    if (seconds == null || !Number.isFinite(seconds)) return '--';
+    const ms = Math.round(seconds * 1000);
+    const m = Math.floor(ms / 60000);
+    const rest = (ms - m * 60000) / 1000;
+    return m > 0 ? `${m}:${rest.toFixed(3).padStart(6, '0')}` : rest.toFixed(3);
+  }
+
+  global.RacerStandings = {
+    progressIndex,
+    raceProgress,
+    recordCheckpoint,
+    markFinished,
+    timeGap,
+    computeStandings,
+    buildClassification,
+    formatGap,
+    formatTime,
+  };
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,208 @@
+(function (global) {
+  // ===== RacingVibes weather =====
+  // One weather state per race (createWeather()): the rain falling now (0..1, from the chosen
+  // preset's timeline) and the water standing on the track (0..1), which rises while it rains
+  // and evaporates when it stops. The road is split into cells along the centerline and lanes
+  // across it; each cell keeps the share of that water left on it, so cars driving over a cell
+  // clear it and a dry line forms where they run, while rain fills it back in. Road grip falls
+  // with the water under the car (wetGrip()); racer.html passes it to RacerPhysics.updateCar as
+  // the surface `grip`, and reads waterAt() for the spray, the sheen and the tyre hiss.
+
+  const WEATHER_CFG = {
+    wetRate: 0.02,       // water gained per s at full rain, on a dry track
+    dryRate: 0.004,      // water lost per s with no rain
+    cellStride: 4,       // centerline points per cell
+    lanes: 5,            // cells across the road
+    lineClear: 0.03,     // share of a cell's water a car clears driving through it
+    lineMinSpeed: 120,   // px/s; slower cars leave the water where it is
+    lineRecover: 0.005,  // share of the cleared water rain puts back per s at full rain
+    roadWetGrip: 0.62,   // road grip under standing water (water 1)
+    offTrackWetGrip: 0.8, // off-track grip when soaked
+    dampAt: 0.08,        // water from which the track counts as damp
+    wetAt: 0.45,         // ... and as wet
+    rainingAt: 0.05,     // rain below this counts as stopped
+  };
+
+  // Start menu choices: starting water and the rain timeline, [time s, rain 0..1] pairs with
+  // the rain eased linearly between them and held after the last
+  const WEATHER_PRESETS = {
+    dry: { label: 'Dry', water: 0, rain: [[0, 0]] },
+    damp: { label: 'Damp', water: 0.3, rain: [[0, 0.08]] },
+    wet: { label: 'Wet', water: 0.9, rain: [[0, 0.7]] },
+    drying: { label: 'Drying', water: 0.7, rain: [[0, 0]] },
+    changeable: { label: 'Changeable', water: 0, rain: [[0, 0], [45, 0], [75, 0.7], [165, 0.7], [195, 0]] },
+  };
+
+  const DEFAULT_PRESET = 'dry';
+
+  function clamp(v, lo, hi) {
+    return Math.max(lo, Math.min(hi, v));
+  }
+
+  function resolvePreset(id) {
+    return WEATHER_PRESETS[id] ? id : DEFAULT_PRESET;
+  }
+
+  // Rain falling `time` seconds into the race under a preset
+  function rainAt(presetId, time) {
+    const points = WEATHER_PRESETS[resolvePreset(presetId)].rain;
+    if (time <= points[0][0]) return points[0][1];
+    for (let i = 1; i < points.length; i++) {
+      const [t1, r1] = points[i];
+      if (time <= t1) {
+        const [t0, r0] = points[i - 1];
+        return r0 + (r1 - r0) * ((time - t0) / ((t1 - t0) || 1));
+      }
+    }
+    return points[points.length - 1][1];
+  }
+
+  /**
+   * Weather state for a race on a closed centerline.
+   * @param {string} presetId - a WEATHER_PRESETS key (unknown ids are dry)
+   * @param {Array<{x:number, y:number}>} centerline
+   * @param {number} roadWidth - px
+   * @returns {object} { preset, time, rain, water, cells, lanes, halfWidth, cellLength, cx, cy, nx, ny, line }
+   */
+  function createWeather(presetId, centerline, roadWidth) {
+    const preset = resolvePreset(presetId);
+    const pts = Array.isArray(centerline) ? centerline : [];
+    const stride = WEATHER_CFG.cellStride;
+    const cells = pts.length > 2 ? Math.ceil(pts.length / stride) : 0;
+    const cx = new Float32Array(cells), cy = new Float32Array(cells);
+    const nx = new Float32Array(cells), ny = new Float32Array(cells);
+    for (let c = 0; c < cells; c++) {
+      const i = c * stride;
+      const prev = pts[(i - 1 + pts.length) % pts.length];
+      const next = pts[(i + 1) % pts.length];
+      const len = Math.hypot(next.x - prev.x, next.y - prev.y) || 1;
+      cx[c] = pts[i].x;
+      cy[c] = pts[i].y;
+      // Left of the direction of travel
+      nx[c] = (next.y - prev.y) / len;
+      ny[c] = -(next.x - prev.x) / len;
+    }
+    const line = new Float32Array(cells * WEATHER_CFG.lanes).fill(1);
+    let length = 0;
+    for (let i = 0; i < pts.length && cells; i++) {
+      const a = pts[i], b = pts[(i + 1) % pts.length];
+      length += Math.hypot(b.x - a.x, b.y - a.y);
+    }
+    return {
+      preset,
+      time: 0,
+      rain: rainAt(preset, 0),
+      water: WEATHER_PRESETS[preset].water,
+      cells,
+      lanes: WEATHER_CFG.lanes,
+      halfWidth: Math.max(1, (roadWidth || 0) / 2),
+      cellLength: cells ? length / cells : 1,
+      cx, cy, nx, ny,
+      line,
+    };
+  }
+
+  /**
+   * Index into weather.line of the road cell at (x, y), or -1 off the road.
+   */
+  function locate(weather, x, y) {
+    if (!weather || !weather.cells) return -1;
+    let best = -1;
+    let bestD = Infinity;
+    for (let c = 0; c < weather.cells; c++) {
+      const dx = x - weather.cx[c], dy = y - weather.cy[c];
+      const d = dx * dx + dy * dy;
+      if (d < bestD) { bestD = d; best = c; }
+    }
+    const lateral = (x - weather.cx[best]) * weather.nx[best] + (y - weather.cy[best]) * weather.ny[best];
+    if (Math.abs(lateral) > weather.halfWidth) return -1;
+    const lane = clamp(Math.floor((lateral + weather.halfWidth) / (2 * weather.halfWidth) * weather.lanes), 0, weather.lanes - 1);
+    return best * weather.lanes + lane;
+  }
+
+  // Standing water (0..1) at (x, y): the track's water, less what cars have cleared on the road
+  function waterAt(weather, x, y, onRoad = true) {
+    if (!weather || weather.water <= 0) return 0;
+    const idx = onRoad ? locate(weather, x, y) : -1;
+    return idx >= 0 ? weather.water * weather.line[idx] : weather.water;
+  }
+
+  // Grip multiplier for `water` on the road or off it
+  function wetGrip(water, onRoad = true) {
+    const floor = onRoad ? WEATHER_CFG.roadWetGrip : WEATHER_CFG.offTrackWetGrip;
+    return 1 - (1 - floor) * clamp(water || 0, 0, 1);
+  }
+
+  function carSpeed(car) {
+    if (car.physics && Number.isFinite(car.physics.vx)) return Math.hypot(car.physics.vx, car.physics.vy);
+    return Math.abs(car.speed || 0);
+  }
+
+  /**
+   * Advance the weather by dt: rain from the preset, the water it leaves or loses, and the dry
+   * line the `cars` clear. Call once per physics step after the cars have moved.
+   */
+  function updateWeather(weather, cars, dt) {
+    if (!weather || !(dt > 0)) return;
+    const cfg = WEATHER_CFG;
+    weather.time += dt;
+    const rain = rainAt(weather.preset, weather.time);
+    weather.rain = rain;
+    const gain = cfg.wetRate * rain * (1 - weather.water);
+    const loss = cfg.dryRate * (1 - rain) * weather.water;
+    weather.water = clamp(weather.water + (gain - loss) * dt, 0, 1);
+    if (weather.water <= 0) return;
+    const line = weather.line;
+    if (rain > 0) {
+      const refill = Math.min(1, cfg.lineRecover * rain * dt);
+      for (let i = 0; i < line.length; i++) line[i] += (1 - line[i]) * refill;
+    }
+    for (const car of cars || []) {
+      if (!car) continue;
+      const speed = carSpeed(car);
+      if (speed < cfg.lineMinSpeed) continue;
+      const idx = locate(weather, car.x, car.y);
+      if (idx < 0) continue;
+      // lineClear per pass, spread over the steps the car spends in the cell
+      line[idx] *= 1 - Math.min(1, cfg.lineClear * speed * dt / weather.cellLength);
+    }
+  }
+
+  /**
+   * Track conditions for the HUD: 'dry', 'damp', 'wet', or 'drying' once the rain has stopped
+   * on a track that still holds water.
+   */
+  function conditions(weather) {
+    if (!weather || weather.water < WEATHER_CFG.dampAt) return 'dry';
+    if (weather.rain < WEATHER_CFG.rainingAt) return 'drying';
+    return weather.water >= WEATHER_CFG.wetAt ? 'wet' : 'damp';
+  }
+
+  // Snapshot for replay keyframes, and its restore
+  function captureWeather(weather) {
+    if (!weather) return null;
+    return { time: weather.time, rain: weather.rain, water: weather.water, line: weather.line.slice() };
+  }
+
+  function restoreWeather(weather, snap) {
+    if (!weather || !snap) return;
+    weather.time = snap.time;
+    weather.rain = snap.rain;
+    weather.water = snap.water;
+    if (snap.line && snap.line.length === weather.line.length) weather.line.set(snap.line);
+  }
+
+  global.RacerWeather = {
+    WEATHER_CFG,
+    WEATHER_PRESETS,
+    rainAt,
+    createWeather,
+    locate,
+    waterAt,
+    wetGrip,
+    updateWeather,
+    conditions,
+    captureWeather,
+    restoreWeather,
+  };
+})(typeof window !== 'undefined' ? window : this);
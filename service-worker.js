@@ -1,7 +1,7 @@
 // Drift mode fully removed in this release.
 // 'racer.html' is the single entry point; Grip is default.
 // Cache version bumped to evict the old drift page.
-const CACHE_VERSION = 'rv-static-v20260213-stadium-facing-v1';
+const CACHE_VERSION = 'rv-static-v20261019-splitscreen-v2';
 const CORE_ASSETS = [
   'racer_start_menu.html',
   'racer.html',
@@ -16,11 +16,25 @@ const CORE_ASSETS = [
   'manifest.webmanifest',
   'physics.js',
   'physics/planckWorld.js',
+  'physics/damage.js',
+  'physics/tyres.js',
+  'physics/fuel.js',
   'gearbox.js',
   'src/gearbox.js',
   'decor_generator.js',
   'trackCollision.js',
   'track_storage.js',
+  'ghost_file.js',
+  'track_file.js',
+  'race_replay.js',
+  'race_standings.js',
+  'race_pit.js',
+  'race_weather.js',
+  'race_lighting.js',
+  'race_championship.js',
+  'race_formats.js',
+  'race_input.js',
+  'race_loop.js',
   'ui/speedometer.js',
   'assets/decor/decor_atlas.png',
   'assets/vehicles/truck_orange.png',
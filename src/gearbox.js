@@ -126,6 +126,11 @@ function arraysEqual(a, b) {
 
 let msAccumulator = 0;
 
+// Shared shift-timing clock (ms). Exposed so replay snapshots can store lastShiftMs relative to it.
+export function getGearboxClockMs() {
+	return msAccumulator;
+}
+
 function clampGear(gear, state, maxForward) {
 	const allowReverse = state && state.enableReverse !== false;
 	const minGear = allowReverse ? -1 : 0;
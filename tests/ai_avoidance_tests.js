@@ -0,0 +1,52 @@
+/**
+ * AI Collision Avoidance Tests
+ *
+ * Checks RacerAI.applyCollisionAvoidance (ai/collision_avoidance.js): an AI car steers and
+ * brakes for a car in its path, including player 2 in split-screen, who is not in aiCars but
+ * is in the list of every car on track that racer.html passes.
+ * Run with: node tests/ai_avoidance_tests.js
+ */
+const assert = require('assert');
+
+global.window = globalThis;
+require('../ai/collision_avoidance.js');
+const AI = global.RacerAI;
+
+function car(x, y, vx = 0) {
+  return { x, y, angle: 0, vx, vy: 0 };
+}
+
+(async () => {
+  const full = { throttle: 1, brake: 0, steer: 0 };
+  const dt = 1 / 120;
+  const ai = car(0, 0, 300);
+  const player = car(-2000, 0);
+
+  // --- TEST 1: AI cars avoid each other ---
+  const blocker = car(20, 4);
+  const control = AI.applyCollisionAvoidance(ai, full, dt, [ai, blocker], player);
+  assert.ok(control.steer < 0, 'steers away from the car on its left');
+  assert.ok(control.throttle < 1 && control.brake > 0, 'brakes for the slower car');
+  assert.deepStrictEqual(full, { throttle: 1, brake: 0, steer: 0 }, 'the controller output is not changed in place');
+  assert.deepStrictEqual(AI.applyCollisionAvoidance(ai, full, dt, [ai, blocker], player), control, 'same inputs, same answer');
+  console.log('--- TEST PASSED: AI cars avoid each other ---');
+
+  // --- TEST 2: AI cars avoid player 2 ---
+  const p2 = car(20, 4);
+  assert.deepStrictEqual(AI.applyCollisionAvoidance(ai, full, dt, [ai], player), full, 'aiCars alone does not include player 2');
+  assert.deepStrictEqual(AI.applyCollisionAvoidance(ai, full, dt, [player, p2, ai], player), control,
+    'player 2 is avoided like any other car');
+  assert.deepStrictEqual(AI.applyCollisionAvoidance(ai, full, dt, [ai], p2), control, 'the player is avoided even when not listed');
+  console.log('--- TEST PASSED: AI cars avoid player 2 ---');
+
+  // --- TEST 3: Nothing in the way ---
+  assert.deepStrictEqual(AI.applyCollisionAvoidance(ai, full, dt, [ai, car(0, 300)], player), full);
+  assert.deepStrictEqual(AI.applyCollisionAvoidance(ai, full, dt, [ai, car(-20, 4)], player), full, 'cars behind are ignored');
+  const slow = car(0, 0, 40);
+  assert.deepStrictEqual(AI.applyCollisionAvoidance(slow, full, dt, [slow, p2], player), full, 'no avoidance at low speed');
+  assert.strictEqual(AI.applyCollisionAvoidance(null, full, dt, [], player), full);
+  console.log('--- TEST PASSED: Nothing in the way ---');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
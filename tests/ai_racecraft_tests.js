@@ -0,0 +1,108 @@
+/**
+ * AI Racecraft Tests
+ *
+ * Checks the overtaking and defending decisions of RacerAI.createController on a rectangular
+ * track (clockwise on screen, so every corner turns to the +normal side of the line).
+ * Run with: node tests/ai_racecraft_tests.js
+ */
+const assert = require('assert');
+
+global.window = globalThis;
+require('../ai/racer_ai.js');
+const AI = global.RacerAI;
+
+const centerline = [];
+for (let x = 0; x < 2000; x += 50) centerline.push({ x, y: 0 });
+for (let y = 0; y < 1000; y += 50) centerline.push({ x: 2000, y });
+for (let x = 2000; x > 0; x -= 50) centerline.push({ x, y: 1000 });
+for (let y = 1000; y > 0; y -= 50) centerline.push({ x: 0, y });
+
+const DT = 1 / 120;
+const lines = {};
+const lineFor = (roadWidth) => lines[roadWidth] || (lines[roadWidth] = AI.buildRacingLine(centerline, roadWidth, {}));
+
+// A car on the top straight at x, `lat` px left of the racing line, driving +x at `speed`,
+// with `draft` as RacerPhysics.updateSlipstream would set it
+function carOn(line, { x, speed, lat = 0, draft = 0 }) {
+  const node = line.reduce((best, n) => (Math.abs(n.y) < 60 && Math.abs(n.x - x) < Math.abs(best.x - x) ? n : best), line[0]);
+  return { x: node.x + node.normal.x * lat, y: node.y + node.normal.y * lat, angle: 0, vx: speed, vy: 0, width: 24, length: 45, physics: { draft } };
+}
+
+// Racecraft state of `me` after `steps` updates among `others` (car specs for carOn)
+function decide(preset, me, others, roadWidth = 200, steps = 1) {
+  const line = lineFor(roadWidth);
+  const car = carOn(line, me);
+  const field = [car, ...others.map((spec) => carOn(line, spec))];
+  const controller = AI.createController(line, preset, car, { roadWidth });
+  for (let i = 0; i < steps; i++) controller.update(car, DT, { opponents: field });
+  return controller.getRacecraft();
+}
+
+// buildRacingLine records where each node sits on the road
+assert.ok(lineFor(200).every((n) => Number.isFinite(n.offset) && n.halfWidth === 100), 'line nodes carry their road offset');
+
+// --- TEST 1: Presets carry aggression settings ---
+const order = ['easy', 'medium', 'hard', 'realistic'];
+for (const key of ['overtakeAggression', 'defendAggression']) {
+  const values = order.map((p) => AI.AISkill[p][key]);
+  values.forEach((v) => assert.ok(v >= 0 && v <= 1, `${key} in 0..1`));
+  assert.deepStrictEqual([...values].sort((a, b) => a - b), values, `${key} rises with difficulty`);
+}
+console.log('--- TEST PASSED: Preset aggression ---');
+
+// --- TEST 2: Passing a slower car ahead ---
+// Alone on track nothing changes
+assert.strictEqual(decide('medium', { x: 1600, speed: 900 }, []).mode, 'race');
+// Corner ahead: medium and up take the inside (+1), easy the outside
+const slow = { x: 1780, speed: 400 };
+const medium = decide('medium', { x: 1600, speed: 900 }, [slow]);
+assert.strictEqual(medium.mode, 'overtake');
+assert.strictEqual(medium.side, 1);
+assert.ok(medium.target > 0);
+assert.strictEqual(decide('easy', { x: 1600, speed: 900 }, [slow]).side, -1);
+// Cars at the same pace are left alone, and nobody dives into a gap that is not there
+assert.strictEqual(decide('hard', { x: 1600, speed: 900 }, [{ x: 1780, speed: 900 }]).mode, 'race');
+assert.strictEqual(decide('realistic', { x: 1600, speed: 900 }, [slow], 40).mode, 'race');
+// The pass moves the car across gradually
+const moving = decide('medium', { x: 1600, speed: 900 }, [slow], 200, 30);
+assert.strictEqual(moving.mode, 'overtake');
+assert.ok(moving.offset > 10 && moving.offset <= moving.target + 1e-9, `offset ${moving.offset.toFixed(1)} px`);
+console.log('--- TEST PASSED: Overtaking ---');
+
+// --- TEST 3: Slipstream passes on a long straight ---
+// In the tow with the whole straight ahead: sit in the wake rather than pulling out
+const towing = decide('medium', { x: 300, speed: 900, draft: 0.6 }, [{ x: 500, speed: 900 }]);
+assert.strictEqual(towing.mode, 'slipstream');
+assert.strictEqual(towing.side, 0);
+// Without the tow, a car at the same pace is left alone
+assert.strictEqual(decide('medium', { x: 300, speed: 900 }, [{ x: 500, speed: 900 }]).mode, 'race');
+// Near the end of the straight there is no time for a tow pass
+assert.strictEqual(decide('medium', { x: 1500, speed: 900, draft: 0.6 }, [{ x: 1700, speed: 900 }]).mode, 'race');
+// Once the tow has closed the gap, pull out and pass
+const line = lineFor(200);
+const me = carOn(line, { x: 300, speed: 900, draft: 0.6 });
+const leader = carOn(line, { x: 500, speed: 900 });
+const controller = AI.createController(line, 'medium', me, { roadWidth: 200 });
+controller.update(me, DT, { opponents: [me, leader] });
+assert.strictEqual(controller.getRacecraft().mode, 'slipstream');
+Object.assign(me, carOn(line, { x: 440, speed: 950, draft: 0.8 }));
+controller.update(me, DT, { opponents: [me, leader] });
+assert.strictEqual(controller.getRacecraft().mode, 'overtake');
+console.log('--- TEST PASSED: Slipstream ---');
+
+// --- TEST 4: Defending from a car behind ---
+const attacker = { x: 1500, speed: 1000 };
+const defend = decide('hard', { x: 1620, speed: 900 }, [attacker]);
+assert.strictEqual(defend.mode, 'defend');
+assert.strictEqual(defend.side, 1, 'covers the inside');
+const timid = decide('easy', { x: 1620, speed: 900 }, [attacker]);
+assert.ok(timid.target < defend.target, 'easy covers less of the road');
+// No corner ahead: nothing to defend
+assert.strictEqual(decide('hard', { x: 800, speed: 900 }, [{ x: 700, speed: 1000 }]).mode, 'race');
+console.log('--- TEST PASSED: Defending ---');
+
+// --- TEST 5: Room is left for a car alongside ---
+// A car half a width inside us: the defensive move must not squeeze it
+const squeezed = decide('realistic', { x: 1620, speed: 900 }, [{ x: 1500, speed: 1000 }, { x: 1625, speed: 900, lat: 30 }]);
+assert.ok(squeezed.target <= 30 - 24 * AI.RACECRAFT_CFG.sideGapFactor + 1e-9, `target ${squeezed.target.toFixed(1)} px`);
+console.log('--- TEST PASSED: Side by side ---');
@@ -0,0 +1,95 @@
+/**
+ * Catch-up Assist Tests
+ *
+ * Checks ai/catch_up.js (gap → maxThrottle / corneringGrip multipliers, the gap to the player
+ * from race standings, rate limiting) and the controller's setSkillScale hook.
+ * Run with: node tests/catch_up_tests.js
+ */
+const assert = require('assert');
+
+global.window = globalThis;
+require('../race_standings.js');
+require('../ai/racer_ai.js');
+require('../ai/catch_up.js');
+const AI = global.RacerAI;
+const Standings = global.RacerStandings;
+const cfg = AI.CATCH_UP_CFG;
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+// --- TEST 1: Gap to multipliers ---
+for (const level of ['off', 'nonsense', undefined]) {
+  assert.deepStrictEqual(AI.catchUpScale(20, level), { maxThrottle: 1, corneringGrip: 1 }, `${level}: no assist`);
+}
+assert.deepStrictEqual(AI.catchUpScale(null, 'strong'), { maxThrottle: 1, corneringGrip: 1 }, 'unknown gap: no assist');
+assert.deepStrictEqual(AI.catchUpScale(cfg.deadband * 0.9, 'strong'), { maxThrottle: 1, corneringGrip: 1 }, 'inside the deadband');
+for (const level of ['light', 'strong']) {
+  const limits = cfg.levels[level];
+  const ahead = AI.catchUpScale(cfg.fullGap, level);
+  const behind = AI.catchUpScale(-cfg.fullGap, level);
+  assert.ok(near(ahead.maxThrottle, limits.ahead.maxThrottle) && near(ahead.corneringGrip, limits.ahead.corneringGrip), `${level}: ahead limits`);
+  assert.ok(near(behind.maxThrottle, limits.behind.maxThrottle) && near(behind.corneringGrip, limits.behind.corneringGrip), `${level}: behind limits`);
+  assert.deepStrictEqual(AI.catchUpScale(cfg.fullGap * 10, level), ahead, `${level}: limits hold beyond fullGap`);
+  assert.ok(ahead.maxThrottle < 1 && ahead.corneringGrip < 1, `${level}: cars ahead ease off`);
+  assert.ok(behind.maxThrottle > 1 && behind.corneringGrip > 1, `${level}: cars behind speed up`);
+  const half = AI.catchUpScale((cfg.deadband + cfg.fullGap) / 2, level);
+  assert.ok(half.corneringGrip < 1 && half.corneringGrip > ahead.corneringGrip, `${level}: scales with the gap`);
+}
+assert.ok(cfg.levels.strong.ahead.corneringGrip < cfg.levels.light.ahead.corneringGrip, 'strong does more than light');
+console.log('--- TEST PASSED: Gap to multipliers ---');
+
+// --- TEST 2: Rate limit ---
+let scale = AI.approachScale(null, { maxThrottle: 0.8, corneringGrip: 1.1 }, 1);
+assert.ok(near(scale.maxThrottle, 1 - cfg.rate) && near(scale.corneringGrip, 1 + cfg.rate), 'moves rate per second from neutral');
+for (let t = 0; t < 20; t += 0.25) scale = AI.approachScale(scale, { maxThrottle: 0.8, corneringGrip: 1.1 }, 0.25);
+assert.ok(near(scale.maxThrottle, 0.8) && near(scale.corneringGrip, 1.1), 'settles on the target');
+console.log('--- TEST PASSED: Rate limit ---');
+
+// --- TEST 3: Gap to the player from standings ---
+// Four checkpoints along a line; every car has crossed checkpoint 1 (cpIndex 1)
+const checkpoints = [0, 1000, 2000, 3000].map((x) => ({ a: { x, y: -50 }, b: { x, y: 50 } }));
+const carAt = (x, crossedAt, lap = 0) => ({ x, y: 0, lap, nextCp: 2, hasPassedStartLine: true, cpTimes: [0, crossedAt], cpIndex: 1 });
+const player = carAt(1500, 10000);
+const leader = carAt(1800, 6000);
+const chaser = carAt(1200, 13000);
+const lapped = carAt(1300, 9000);
+const field = [player, leader, chaser];
+const standings = Standings.computeStandings(field, checkpoints);
+assert.ok(near(AI.gapToPlayer(standings, leader, player, checkpoints.length), 4), 'leader 4 s ahead');
+assert.ok(near(AI.gapToPlayer(standings, chaser, player, checkpoints.length), -3), 'chaser 3 s behind');
+const ahead = { ...player, lap: 1 };
+const lapStandings = Standings.computeStandings([ahead, lapped], checkpoints);
+assert.strictEqual(AI.gapToPlayer(lapStandings, lapped, ahead, checkpoints.length), -cfg.lappedGap, 'lapped car counts as far behind');
+const fresh = Standings.computeStandings([{ ...player, cpTimes: [], cpIndex: 0 }, leader], checkpoints);
+assert.strictEqual(AI.gapToPlayer(fresh, leader, fresh.find((e) => e.car !== leader).car, checkpoints.length), null, 'no shared checkpoint yet');
+assert.strictEqual(AI.gapToPlayer(standings, { x: 0 }, player, checkpoints.length), null, 'car not in the standings');
+console.log('--- TEST PASSED: Gap to the player ---');
+
+// --- TEST 4: The controller follows the scale ---
+const centerline = [];
+for (let x = 0; x < 2000; x += 50) centerline.push({ x, y: 0 });
+for (let y = 0; y < 1000; y += 50) centerline.push({ x: 2000, y });
+for (let x = 2000; x > 0; x -= 50) centerline.push({ x, y: 1000 });
+for (let y = 1000; y > 0; y -= 50) centerline.push({ x: 0, y });
+const line = AI.buildRacingLine(centerline, 200, {});
+const carOn = (x, speed) => {
+  const node = line.reduce((best, n) => (Math.abs(n.y) < 60 && Math.abs(n.x - x) < Math.abs(best.x - x) ? n : best), line[0]);
+  return { x: node.x, y: node.y, angle: 0, vx: speed, vy: 0, width: 24, length: 45 };
+};
+const controls = (skillScale, x, speed) => {
+  const car = carOn(x, speed);
+  const controller = AI.createController(line, 'medium', car, { roadWidth: 200 });
+  if (skillScale) controller.setSkillScale(skillScale);
+  let control = null;
+  for (let i = 0; i < 30; i++) control = controller.update(car, 1 / 120);
+  return { controller, control };
+};
+const plain = controls(null, 1700, 900);
+assert.deepStrictEqual(plain.controller.getSkillScale(), { maxThrottle: 1, corneringGrip: 1 });
+const grippy = controls({ maxThrottle: 1, corneringGrip: 1.2 }, 1700, 900);
+const slippy = controls({ maxThrottle: 1, corneringGrip: 0.8 }, 1700, 900);
+assert.ok(slippy.control.brake > plain.control.brake && plain.control.brake > grippy.control.brake, 'more grip, later braking');
+const eased = controls({ maxThrottle: 0.6, corneringGrip: 1 }, 200, 200);
+assert.ok(eased.control.throttle < controls(null, 200, 200).control.throttle, 'less throttle when eased off');
+const bad = controls({ maxThrottle: -1, corneringGrip: NaN }, 200, 200);
+assert.deepStrictEqual(bad.controller.getSkillScale(), { maxThrottle: 1, corneringGrip: 1 }, 'invalid scales fall back to 1');
+console.log('--- TEST PASSED: Controller skill scale ---');
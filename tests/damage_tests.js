@@ -0,0 +1,96 @@
+/**
+ * Damage Model Tests
+ *
+ * Checks physics/damage.js through RacerPhysics: which area an impact lands on, how impact
+ * energy builds damage, the handling effects per mode, their effect on a car driving in a
+ * straight line with the legacy integrator, and that replay snapshots carry the damage.
+ * Run with: node tests/damage_tests.js
+ */
+const assert = require('assert');
+const harness = require('./sim_harness.js');
+
+(async () => {
+  const { physics } = await harness.loadGameModules('standin');
+  const cfg = physics.damage;
+  const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+  // --- TEST 1: Impact areas ---
+  const car = { x: 0, y: 0, angle: 0, length: 40, width: 20 };
+  assert.strictEqual(physics.impactArea(car, 1, 0), 'front');
+  assert.strictEqual(physics.impactArea(car, -1, 0), 'rear');
+  assert.strictEqual(physics.impactArea(car, 0, 1), 'right', '+y is the right side of a car facing +x');
+  assert.strictEqual(physics.impactArea(car, 0, -1), 'left');
+  assert.strictEqual(physics.impactArea(car, 1, 0.45), 'front', 'inside the front corner');
+  assert.strictEqual(physics.impactArea(car, 1, 0.55), 'right', 'past the front corner');
+  const turned = { ...car, angle: Math.PI / 2 };
+  assert.strictEqual(physics.impactArea(turned, 0, 1), 'front', 'follows the heading');
+  assert.strictEqual(physics.impactArea(turned, 1, 0), 'left');
+  console.log('--- TEST PASSED: Impact areas ---');
+
+  // --- TEST 2: Impact energy ---
+  assert.deepStrictEqual(physics.createDamage('full'), { mode: 'full', front: 0, rear: 0, left: 0, right: 0 });
+  assert.strictEqual(physics.createDamage('nonsense').mode, 'off');
+  const off = { ...car, damage: physics.createDamage('off') };
+  assert.strictEqual(physics.applyImpact(off, 1, 0, cfg.fullDeltaV), 0, 'off ignores impacts');
+  assert.strictEqual(physics.applyImpact({ ...car }, 1, 0, cfg.fullDeltaV), 0, 'no damage state, no damage');
+  const hit = { ...car, damage: physics.createDamage('visual') };
+  assert.strictEqual(physics.applyImpact(hit, 1, 0, cfg.minDeltaV), 0, 'a tap leaves no mark');
+  const light = physics.applyImpact(hit, 1, 0, cfg.fullDeltaV / 2);
+  assert.ok(light > 0 && light < 0.3, `half the speed, about a quarter of the energy (${light})`);
+  physics.applyImpact(hit, 1, 0, -cfg.fullDeltaV / 2);
+  assert.ok(near(hit.damage.front, light * 2), 'damage builds up');
+  physics.applyImpact(hit, -1, 0, cfg.fullDeltaV);
+  assert.strictEqual(hit.damage.rear, 1, 'one huge hit wrecks an area');
+  physics.applyImpact(hit, -1, 0, cfg.fullDeltaV);
+  assert.strictEqual(hit.damage.rear, 1, 'damage is capped');
+  assert.strictEqual(hit.damage.left + hit.damage.right, 0, 'other areas untouched');
+  console.log('--- TEST PASSED: Impact energy ---');
+
+  // --- TEST 3: Handling effects ---
+  const wrecked = (mode, areas) => ({ ...physics.createDamage(mode), ...areas });
+  const neutral = { steer: 0, power: 1, drag: 1, downforce: 1, topSpeed: 1 };
+  assert.deepStrictEqual(physics.damageEffects(wrecked('visual', { front: 1, rear: 1 })), neutral, 'visual is looks only');
+  assert.deepStrictEqual(physics.damageEffects(wrecked('full', {})), neutral, 'an undamaged car is unaffected');
+  assert.deepStrictEqual(physics.damageEffects(null), neutral);
+  const front = physics.damageEffects(wrecked('full', { front: 1 }));
+  assert.ok(near(front.power, 1 - cfg.powerLoss) && front.drag > 1 && front.downforce < 1 && front.topSpeed < 1);
+  assert.ok(front.steer > 0 && front.steer < cfg.steerPull, 'a bent front pulls a little');
+  assert.ok(near(physics.damageEffects(wrecked('full', { right: 1 })).steer, cfg.steerPull), 'wrecked right side pulls right');
+  assert.ok(near(physics.damageEffects(wrecked('full', { left: 1, front: 0.4 })).steer, -cfg.steerPull), 'pull is capped');
+  assert.ok(physics.damageEffects(wrecked('full', { rear: 1 })).downforce < front.downforce, 'the rear wing carries more downforce');
+  assert.strictEqual(physics.damageEffects(wrecked('full', { left: 1 })).power, 1, 'side damage keeps the engine');
+  console.log('--- TEST PASSED: Handling effects ---');
+
+  // --- TEST 4: A damaged car on a straight ---
+  const drive = (mode, areas) => {
+    const c = harness.makeCar(physics, { x: 0, y: 0, angle: 0 }, 'GT', 0);
+    c.physics.params.usePlanck = false;
+    c.damage = wrecked(mode, areas);
+    for (let i = 0; i < 4 * 120; i++) physics.updateCar(c, { throttle: 1, brake: 0, steer: 0 }, { onRoad: true }, 1 / 120);
+    return c;
+  };
+  const clean = drive('full', {});
+  assert.ok(clean.x > 500 && Math.abs(clean.y) < 1, 'an undamaged car runs straight');
+  const dented = drive('visual', { front: 1, right: 1 });
+  assert.ok(near(dented.x, clean.x) && near(dented.y, clean.y), 'visual damage drives like new');
+  const bent = drive('full', { right: 1 });
+  assert.ok(bent.y > 5, `a wrecked right side pulls right (${bent.y.toFixed(1)} px)`);
+  const broken = drive('full', { front: 1 });
+  assert.ok(broken.x < clean.x * 0.95, `a wrecked front is slower (${broken.x.toFixed(0)} vs ${clean.x.toFixed(0)} px)`);
+  console.log('--- TEST PASSED: Damage on the road ---');
+
+  // --- TEST 5: Replay snapshots ---
+  const snapCar = harness.makeCar(physics, { x: 0, y: 0, angle: 0 }, 'GT', 0);
+  snapCar.damage = wrecked('full', { left: 0.4 });
+  const snap = physics.captureCarState(snapCar);
+  physics.applyImpact(snapCar, 0, -1, cfg.fullDeltaV);
+  assert.strictEqual(snapCar.damage.left, 1);
+  physics.restoreCarState(snapCar, snap);
+  assert.strictEqual(snapCar.damage.left, 0.4, 'restored');
+  physics.applyImpact(snapCar, 0, -1, cfg.fullDeltaV);
+  assert.strictEqual(snap.car.damage.left, 0.4, 'the snapshot is a copy');
+  console.log('--- TEST PASSED: Replay snapshots ---');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
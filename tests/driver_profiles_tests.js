@@ -0,0 +1,140 @@
+/**
+ * AI Driver Profile Tests
+ *
+ * Checks the driver roster in ai/driver_profiles.js and how RacerAI.createController applies a
+ * profile: surface skill, corner-to-corner variation, aggression and mistakes. Uses the same
+ * rectangular track as ai_racecraft_tests.js.
+ * Run with: node tests/driver_profiles_tests.js
+ */
+const assert = require('assert');
+
+global.window = globalThis;
+require('../ai/racer_ai.js');
+require('../ai/driver_profiles.js');
+const AI = global.RacerAI;
+
+const centerline = [];
+for (let x = 0; x < 2000; x += 50) centerline.push({ x, y: 0 });
+for (let y = 0; y < 1000; y += 50) centerline.push({ x: 2000, y });
+for (let x = 2000; x > 0; x -= 50) centerline.push({ x, y: 1000 });
+for (let y = 1000; y > 0; y -= 50) centerline.push({ x: 0, y });
+
+const DT = 1 / 120;
+const line = AI.buildRacingLine(centerline, 200, {});
+
+// A car on the top straight at x, driving +x at `speed`
+function carOn(x, speed) {
+  const node = line.reduce((best, n) => (Math.abs(n.y) < 60 && Math.abs(n.x - x) < Math.abs(best.x - x) ? n : best), line[0]);
+  return { x: node.x, y: node.y, angle: 0, vx: speed, vy: 0, width: 24, length: 45 };
+}
+
+const baseDriver = {
+  id: 'test', name: 'Test Driver', code: 'TST',
+  pace: 1, consistency: 1, brakingVariance: 0, mistakeChance: 0,
+  mistakes: { wide: 1 }, wetSkill: 1, dirtSkill: 1, aggression: 0,
+};
+const controllerFor = (driver, options = {}) => {
+  const car = carOn(200, 300);
+  return AI.createController(line, options.preset || 'medium', car, { roadWidth: 200, driver: { ...baseDriver, ...driver }, seed: 7, ...options });
+};
+
+// --- TEST 1: The roster ---
+const profiles = AI.DRIVER_PROFILES;
+assert.ok(profiles.length >= 8, 'enough drivers for a full grid');
+assert.strictEqual(new Set(profiles.map((p) => p.id)).size, profiles.length, 'ids are unique');
+assert.strictEqual(new Set(profiles.map((p) => p.code)).size, profiles.length, 'codes are unique');
+for (const p of profiles) {
+  assert.ok(/^[A-Z]{3}$/.test(p.code), `${p.id}: three-letter code`);
+  assert.ok(p.name && typeof p.name === 'string', `${p.id}: name`);
+  assert.ok(p.pace > 0.95 && p.pace < 1.05, `${p.id}: pace`);
+  assert.ok(p.consistency >= 0 && p.consistency <= 1, `${p.id}: consistency`);
+  assert.ok(p.brakingVariance >= 0 && p.brakingVariance < 0.3, `${p.id}: brakingVariance`);
+  assert.ok(p.mistakeChance >= 0 && p.mistakeChance < 0.2, `${p.id}: mistakeChance`);
+  assert.ok(Object.keys(p.mistakes).every((kind) => ['wide', 'lockup', 'spin'].includes(kind)), `${p.id}: mistake kinds`);
+  assert.ok(p.wetSkill > 0.8 && p.wetSkill < 1.2 && p.dirtSkill > 0.8 && p.dirtSkill < 1.2, `${p.id}: surface skill`);
+  assert.ok(Math.abs(p.aggression) <= 0.3, `${p.id}: aggression`);
+}
+assert.ok(new Set(profiles.map((p) => p.aggression)).size > 3, 'aggression varies across the field');
+assert.strictEqual(AI.getDriverProfile(profiles[0].id), profiles[0]);
+assert.strictEqual(AI.getDriverProfile('nobody'), null);
+const scales = ['easy', 'medium', 'hard', 'realistic'].map((p) => AI.AISkill[p].mistakeScale);
+assert.deepStrictEqual([...scales].sort((a, b) => b - a), scales, 'mistakes get rarer with difficulty');
+console.log('--- TEST PASSED: Driver roster ---');
+
+// --- TEST 2: Grid assignment ---
+const grid = AI.assignDrivers(profiles.length, 42);
+assert.strictEqual(new Set(grid.map((p) => p.id)).size, profiles.length, 'everyone drives before anyone repeats');
+assert.deepStrictEqual(AI.assignDrivers(profiles.length, 42), grid, 'same seed, same field');
+assert.notDeepStrictEqual(AI.assignDrivers(profiles.length, 43).map((p) => p.id), grid.map((p) => p.id), 'seeds shuffle the field');
+const big = AI.assignDrivers(profiles.length + 2, 42);
+assert.deepStrictEqual(big.slice(profiles.length), grid.slice(0, 2), 'larger grids repeat the order');
+assert.deepStrictEqual(AI.assignDrivers(0, 1), []);
+console.log('--- TEST PASSED: Grid assignment ---');
+
+// --- TEST 3: Pace and surface skill ---
+assert.strictEqual(AI.createController(line, 'medium', carOn(200, 300), { roadWidth: 200 }).getDriver(), null, 'no profile, no driver state');
+const skilled = { pace: 1.02, wetSkill: 1.1, dirtSkill: 0.9 };
+const corner = (surface) => controllerFor(skilled, { surface }).getDriver().corner;
+assert.ok(Math.abs(corner('tarmac-pro') - 1.02) < 1e-9, 'pace on tarmac');
+assert.ok(Math.abs(corner('rally-dirt') - 1.02 * 0.9) < 1e-9, 'dirt skill on rally dirt');
+assert.ok(Math.abs(corner('field') - 1.02 * 0.9) < 1e-9, 'dirt skill on a field');
+assert.ok(Math.abs(corner('glacier') - 1.02 * 1.1) < 1e-9, 'wet skill on ice');
+console.log('--- TEST PASSED: Pace and surface skill ---');
+
+// --- TEST 4: Corner-to-corner variation ---
+const erratic = { consistency: 0, brakingVariance: 0.2 };
+const states = [1, 2, 3, 4, 5, 6, 7, 8].map((seed) => controllerFor(erratic, { seed }).getDriver());
+for (const s of states) {
+  assert.ok(Math.abs(s.corner - 1) <= AI.DRIVER_CFG.cornerSpread, 'corner speed within the spread');
+  assert.ok(Math.abs(s.brake - 1) <= 0.2, 'braking point within the variance');
+}
+assert.ok(new Set(states.map((s) => s.brake)).size > 4, 'braking points differ');
+assert.deepStrictEqual(controllerFor(erratic, { seed: 3 }).getDriver(), states[2], 'same seed, same driver');
+const steady = controllerFor({ consistency: 1, brakingVariance: 0 }).getDriver();
+assert.strictEqual(steady.corner, 1);
+assert.strictEqual(steady.brake, 1);
+console.log('--- TEST PASSED: Variation ---');
+
+// --- TEST 5: Aggression shifts the preset ---
+// Easy drivers pass round the outside (-1); a very aggressive one dives down the inside
+const passSide = (driver) => {
+  const me = carOn(1600, 900);
+  const field = [me, carOn(1780, 400)];
+  const controller = AI.createController(line, 'easy', me, { roadWidth: 200, driver: { ...baseDriver, ...driver }, seed: 1 });
+  controller.update(me, DT, { opponents: field });
+  return controller.getRacecraft();
+};
+assert.strictEqual(passSide({ aggression: 0 }).side, -1);
+assert.strictEqual(passSide({ aggression: 0.8 }).side, 1);
+console.log('--- TEST PASSED: Aggression ---');
+
+// --- TEST 6: Mistakes ---
+// Cruise down the straight until the start-of-race cooldown is over, then arrive at the corner
+// too fast: the braking zone is a new corner and a sure mistake starts there
+const drive = (driver, preset = 'medium') => {
+  const controller = controllerFor(driver, { preset });
+  const cruising = carOn(200, 300);
+  for (let t = 0; t < AI.DRIVER_CFG.cooldown + 1; t += DT) controller.update(cruising, DT);
+  assert.strictEqual(controller.getDriver().mistake, null, 'no mistakes below the minimum speed');
+  const late = carOn(1700, 1000);
+  let control = null;
+  for (let i = 0; i < 30; i++) control = controller.update(late, DT);
+  return { controller, control };
+};
+const lockup = drive({ mistakeChance: 1, mistakes: { lockup: 1 } });
+assert.strictEqual(lockup.controller.getDriver().mistake, 'lockup');
+assert.strictEqual(lockup.controller.getDriver().mistakes, 1, 'one mistake per corner');
+assert.ok(lockup.control.brake > 0.9 && lockup.control.throttle < 0.05, 'locked up: full brake');
+const spin = drive({ mistakeChance: 1, mistakes: { spin: 1 } });
+assert.strictEqual(spin.controller.getDriver().mistake, 'spin');
+assert.ok(Math.abs(spin.control.steer) > 0.9 && spin.control.brake > 0.9, 'spin: full lock on the brakes');
+assert.strictEqual(drive({ mistakeChance: 0 }).controller.getDriver().mistakes, 0, 'a clean driver makes none');
+// Realistic AI scales a sure mistake down to a 25% chance
+const realistic = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12].filter((seed) => {
+  const controller = controllerFor({ mistakeChance: 1 }, { preset: 'realistic', seed });
+  for (let t = 0; t < AI.DRIVER_CFG.cooldown + 1; t += DT) controller.update(carOn(200, 300), DT);
+  for (let i = 0; i < 30; i++) controller.update(carOn(1700, 1000), DT);
+  return controller.getDriver().mistakes > 0;
+});
+assert.ok(realistic.length > 0 && realistic.length < 12, `${realistic.length}/12 realistic drivers erred`);
+console.log('--- TEST PASSED: Mistakes ---');
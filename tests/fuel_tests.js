@@ -0,0 +1,81 @@
+/**
+ * Fuel Tests
+ *
+ * Checks physics/fuel.js through RacerPhysics: the per-vehicle fuel parameters, tank loads,
+ * burn rate from throttle and engine speed, and that updateCar carries the fuel's weight, cuts
+ * the drive when dry and keeps the tank in replay snapshots.
+ * Run with: node tests/fuel_tests.js
+ */
+const assert = require('assert');
+const harness = require('./sim_harness.js');
+
+(async () => {
+  const { physics } = await harness.loadGameModules('standin');
+  const cfg = physics.fuel;
+  const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+  // --- TEST 1: Vehicle parameters and tank loads ---
+  for (const [kind, params] of Object.entries(physics.defaults)) {
+    assert.ok(params.fuelCapacity > 0 && params.fuelBurn > 0 && params.fuelMassPerL > 0, `${kind}: fuel parameters`);
+    assert.ok(params.fuelCapacity * params.fuelMassPerL < params.mass * 0.25, `${kind}: a full tank weighs under a quarter of the car`);
+  }
+  assert.deepStrictEqual(physics.createFuel(100, 0.5), { litres: 50, capacity: 100 });
+  assert.deepStrictEqual(physics.createFuel(100), { litres: 100, capacity: 100 }, 'full by default');
+  assert.strictEqual(physics.createFuel(100, 0).litres, 100 * cfg.minLoad, 'smallest load');
+  assert.strictEqual(physics.createFuel(100, 3).litres, 100, 'no more than a tank');
+  assert.strictEqual(physics.createFuel(undefined, 1), null, 'no capacity, no fuel state');
+  console.log('--- TEST PASSED: Vehicle parameters and tank loads ---');
+
+  // --- TEST 2: Drive and burn in updateCar ---
+  const drive = (load, seconds = 3) => {
+    const car = harness.makeCar(physics, { x: 0, y: 0, angle: 0 }, 'GT', 0);
+    car.physics.params.usePlanck = false;
+    car.fuel = load == null ? null : physics.createFuel(car.physics.params.fuelCapacity, load);
+    if (car.fuel && load === 0) car.fuel.litres = 0;
+    for (let i = 0; i < seconds * 120; i++) physics.updateCar(car, { throttle: 1, brake: 0, steer: 0 }, { onRoad: true }, 1 / 120);
+    return car;
+  };
+  const full = drive(1);
+  const light = drive(0.1);
+  const none = drive(null);
+  assert.ok(light.x > full.x * 1.02, `a light car is quicker (${light.x.toFixed(0)} vs ${full.x.toFixed(0)} px)`);
+  assert.ok(none.x > light.x, 'no fuel state, no fuel weight');
+  const used = full.fuel.capacity - full.fuel.litres;
+  assert.ok(used > 0 && used < full.physics.params.fuelBurn * 3, `flat out burns up to fuelBurn per second (${used.toFixed(2)} L)`);
+  const dry = drive(0);
+  assert.ok(dry.x < 1, 'a dry car does not pull away');
+  const coasting = harness.makeCar(physics, { x: 0, y: 0, angle: 0 }, 'GT', 0);
+  coasting.physics.params.usePlanck = false;
+  coasting.fuel = physics.createFuel(coasting.physics.params.fuelCapacity, 1);
+  coasting.physics.vx = 600;
+  for (let i = 0; i < 3 * 120; i++) physics.updateCar(coasting, { throttle: 0, brake: 0, steer: 0 }, { onRoad: true }, 1 / 120);
+  const coastUsed = coasting.fuel.capacity - coasting.fuel.litres;
+  assert.ok(coastUsed > 0 && coastUsed < used * 0.2, `lifting saves fuel (${coastUsed.toFixed(3)} L)`);
+  console.log('--- TEST PASSED: Drive and burn ---');
+
+  // --- TEST 3: Running dry ---
+  assert.strictEqual(physics.fuelPower(null), 1);
+  assert.strictEqual(physics.fuelPower({ litres: 20, capacity: 100 }), 1);
+  assert.ok(near(physics.fuelPower({ litres: cfg.reserve / 2, capacity: 100 }), 0.5), 'sputters on the reserve');
+  assert.strictEqual(physics.fuelPower({ litres: 0, capacity: 100 }), 0);
+  const sipping = harness.makeCar(physics, { x: 0, y: 0, angle: 0 }, 'GT', 0);
+  sipping.physics.params.usePlanck = false;
+  sipping.fuel = { litres: 0.05, capacity: 100 };
+  for (let i = 0; i < 10 * 120; i++) physics.updateCar(sipping, { throttle: 1, brake: 0, steer: 0 }, { onRoad: true }, 1 / 120);
+  assert.strictEqual(sipping.fuel.litres, 0, 'burns down to empty, not below');
+  console.log('--- TEST PASSED: Running dry ---');
+
+  // --- TEST 4: Replay snapshots ---
+  const snapCar = harness.makeCar(physics, { x: 0, y: 0, angle: 0 }, 'GT', 0);
+  snapCar.fuel = physics.createFuel(100, 0.6);
+  const snap = physics.captureCarState(snapCar);
+  snapCar.fuel.litres = 10;
+  physics.restoreCarState(snapCar, snap);
+  assert.deepStrictEqual(snapCar.fuel, { litres: 60, capacity: 100 }, 'restored');
+  snapCar.fuel.litres = 5;
+  assert.strictEqual(snap.car.fuel.litres, 60, 'the snapshot is a copy');
+  console.log('--- TEST PASSED: Replay snapshots ---');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
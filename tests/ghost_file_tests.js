@@ -0,0 +1,58 @@
+/**
+ * Ghost File Format Tests
+ *
+ * Round-trips the .rvghost encoding and checks the validation messages.
+ * Run with: node tests/ghost_file_tests.js
+ */
+const assert = require('assert');
+
+global.window = globalThis;
+require('../ghost_file.js');
+const GhostFile = global.RacerGhostFile;
+
+const points = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+const fingerprint = GhostFile.trackFingerprint(points, 120);
+
+const frames = [];
+for (let i = 0; i < 300; i++) {
+  frames.push({ x: 50 + Math.cos(i / 20) * 40.37, y: 50 + Math.sin(i / 20) * 40.11, angle: (i / 20) % (Math.PI * 2) - Math.PI, t: i * 16.7 });
+}
+
+// --- TEST 1: Frames survive encode/decode within quantization ---
+const decoded = GhostFile.decodeFrames(GhostFile.encodeFrames(frames));
+assert.strictEqual(decoded.length, frames.length);
+decoded.forEach((f, i) => {
+  assert.ok(Math.abs(f.x - frames[i].x) <= 0.05, `x drift at frame ${i}`);
+  assert.ok(Math.abs(f.y - frames[i].y) <= 0.05, `y drift at frame ${i}`);
+  assert.ok(Math.abs(f.angle - frames[i].angle) <= 0.0005, `angle drift at frame ${i}`);
+  assert.ok(Math.abs(f.t - frames[i].t) <= 0.5, `t drift at frame ${i}`);
+});
+console.log('--- TEST PASSED: Frame round-trip ---');
+
+// --- TEST 2: Serialized file parses back with metadata ---
+const text = GhostFile.serialize({ trackId: 'Test', trackName: 'Test', fingerprint, kind: 'GT', modeId: 'gt', lapTime: 42.5, frames });
+assert.ok(text.length < JSON.stringify(frames).length / 2, 'encoded frames should be compact');
+const parsed = GhostFile.parse(text);
+assert.strictEqual(parsed.kind, 'GT');
+assert.strictEqual(parsed.lapTime, 42.5);
+assert.strictEqual(parsed.frameCount, frames.length);
+assert.ok(GhostFile.assertTrackMatch(parsed, fingerprint));
+console.log('--- TEST PASSED: Serialize/parse ---');
+
+// --- TEST 3: Different geometry is rejected ---
+const otherFingerprint = GhostFile.trackFingerprint(points.map((p) => ({ x: p.x + 5, y: p.y })), 120);
+assert.notStrictEqual(otherFingerprint, fingerprint);
+assert.notStrictEqual(GhostFile.trackFingerprint(points, 80), fingerprint);
+assert.throws(() => GhostFile.assertTrackMatch(parsed, otherFingerprint), /different track layout/);
+console.log('--- TEST PASSED: Track mismatch rejected ---');
+
+// --- TEST 4: Bad files are rejected with clear messages ---
+assert.throws(() => GhostFile.parse('not json'), /invalid JSON/);
+assert.throws(() => GhostFile.parse({ format: 'other' }), /Not a RacingVibes ghost file/);
+const future = JSON.parse(text);
+future.version = GhostFile.FORMAT_VERSION + 1;
+assert.throws(() => GhostFile.parse(future), /newer than this game supports/);
+const corrupt = JSON.parse(text);
+corrupt.frames = corrupt.frames.slice(0, -8);
+assert.throws(() => GhostFile.parse(corrupt), /corrupted/);
+console.log('--- TEST PASSED: Invalid files rejected ---');
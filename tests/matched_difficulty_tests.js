@@ -0,0 +1,90 @@
+/**
+ * Matched Difficulty Tests
+ *
+ * Checks ai/matched_difficulty.js: the level → preset mapping, flying-lap timing with the
+ * legacy integrator on a builtin track (through the headless harness), the calibration search
+ * and when a stored calibration is reused.
+ * Run with: node tests/matched_difficulty_tests.js
+ */
+const assert = require('assert');
+const harness = require('./sim_harness.js');
+
+(async () => {
+  const { physics, ai, tracks } = await harness.loadGameModules('standin');
+  const cfg = ai.MATCHED_CFG;
+
+  // --- TEST 1: Level to preset ---
+  const slow = ai.matchedPreset(0);
+  const fast = ai.matchedPreset(1);
+  for (const key of Object.keys(cfg.slow)) {
+    assert.strictEqual(slow[key], cfg.slow[key], `${key} at level 0`);
+    assert.strictEqual(fast[key], cfg.fast[key], `${key} at level 1`);
+  }
+  const mid = ai.matchedPreset(0.5);
+  assert.ok(mid.corneringGrip > slow.corneringGrip && mid.corneringGrip < fast.corneringGrip, 'grip in between');
+  assert.strictEqual(mid.steerP, ai.AISkill[cfg.base].steerP, 'untuned values come from the base preset');
+  assert.strictEqual(mid.id, 'matched');
+  assert.deepStrictEqual(ai.matchedPreset(3), fast, 'level is clamped');
+  console.log('--- TEST PASSED: Level to preset ---');
+
+  // --- TEST 2: Flying lap ---
+  const track = harness.prepareTrack(ai, harness.findTrack(tracks, 'Test').track, harness.SCALE_DEFAULT);
+  const surface = physics.resolveSurfaceId(track.surface);
+  const onRoad = (x, y) => harness.nearestSegment(track.centerline, x, y).dist <= track.roadWidth / 2;
+  const lineBefore = track.racingLine.map((node) => node.targetSpeed);
+  let laps = 0;
+  const runLap = (preset) => {
+    laps++;
+    const slot = harness.buildGridSlots(track.startLine, track.roadWidth, 1, track.startHeading)[0];
+    const car = harness.makeCar(physics, slot, 'GT', 0);
+    const line = track.racingLine.map((node) => ({ ...node }));
+    const controller = ai.createController(line, preset, car, { gripScale: physics.getSurfaceGrip(surface), roadWidth: track.roadWidth });
+    return ai.simulateLap(physics, car, controller, { startLine: track.startLine, onRoad, surface });
+  };
+  const slowLap = runLap(ai.matchedPreset(0));
+  const midLap = runLap(ai.matchedPreset(0.3));
+  assert.ok(slowLap && midLap, 'both laps complete');
+  assert.ok(slowLap.lapTime > 15 && slowLap.lapTime < 60, `slow lap ${slowLap.lapTime.toFixed(2)}s`);
+  assert.ok(midLap.lapTime < slowLap.lapTime - 2, 'a higher level laps faster');
+  assert.strictEqual(slowLap.offTrack, 0, 'clean lap');
+  assert.deepStrictEqual(track.racingLine.map((node) => node.targetSpeed), lineBefore, 'shared line untouched');
+  const stuck = { update: () => ({ throttle: 0, brake: 1, steer: 0 }) };
+  const parked = harness.makeCar(physics, harness.buildGridSlots(track.startLine, track.roadWidth, 1, track.startHeading)[0], 'GT', 0);
+  assert.strictEqual(ai.simulateLap(physics, parked, stuck, { startLine: track.startLine, onRoad, surface, maxLapTime: 5 }), null, 'no lap, no time');
+  console.log('--- TEST PASSED: Flying lap ---');
+
+  // --- TEST 3: Calibration ---
+  const target = (slowLap.lapTime + midLap.lapTime) / 2;
+  laps = 0;
+  const result = await ai.calibrateMatched(target, runLap);
+  assert.ok(result.converged, 'found a level');
+  assert.ok(Math.abs(result.lapTime - target) <= cfg.tolerance * target, `AI ${result.lapTime.toFixed(2)}s vs ${target.toFixed(2)}s`);
+  assert.ok(result.level > 0 && result.level < 0.3, `level ${result.level.toFixed(3)}`);
+  assert.strictEqual(result.iterations, laps, 'one lap per iteration');
+  assert.ok(result.iterations <= cfg.maxIterations);
+  assert.deepStrictEqual(result.preset, ai.matchedPreset(result.level));
+  assert.strictEqual(result.version, cfg.version);
+  // Faster than the AI can go: the best it managed, not converged
+  const flat = await ai.calibrateMatched(1, () => ({ lapTime: 20, offTrack: 0 }), { maxIterations: 4 });
+  assert.strictEqual(flat.converged, false);
+  assert.strictEqual(flat.lapTime, 20);
+  // Overdriven laps count as too fast
+  const levels = [];
+  await ai.calibrateMatched(30, (preset) => {
+    levels.push(preset.matchedLevel);
+    return preset.matchedLevel > 0.3 ? { lapTime: 30, offTrack: 4 } : { lapTime: 30 + (0.3 - preset.matchedLevel) * 10, offTrack: 0 };
+  });
+  assert.ok(levels[1] < levels[0], 'backs off after leaving the road');
+  console.log('--- TEST PASSED: Calibration ---');
+
+  // --- TEST 4: Reusing a stored calibration ---
+  assert.strictEqual(ai.isCalibrationCurrent(result, target), true);
+  assert.strictEqual(ai.isCalibrationCurrent(result, target * (1 + cfg.tolerance / 2)), true, 'best lap barely moved');
+  assert.strictEqual(ai.isCalibrationCurrent(result, target * 0.9), false, 'player got faster');
+  assert.strictEqual(ai.isCalibrationCurrent({ ...result, version: cfg.version - 1 }, target), false, 'older mapping');
+  assert.strictEqual(ai.isCalibrationCurrent(null, target), false);
+  console.log('--- TEST PASSED: Stored calibration ---');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
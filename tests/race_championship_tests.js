@@ -0,0 +1,104 @@
+/**
+ * Championship Tests
+ *
+ * Checks RacerChampionship: creating a season, custom points tables, scoring rounds fed back
+ * from racer.html (once each, in order), the fastest-lap bonus, and the standings with their
+ * tie-breaks.
+ * Run with: node tests/race_championship_tests.js
+ */
+const assert = require('assert');
+
+global.window = globalThis;
+require('../race_championship.js');
+const Champ = global.RacerChampionship;
+
+// Classification as racer.html builds it, from driver ids in finishing order
+function classify(order, fastest) {
+  return order.map((driverId, i) => ({
+    driverId,
+    name: driverId === Champ.PLAYER_ID ? 'You' : driverId.toUpperCase(),
+    position: i + 1,
+    finished: true,
+    fastestLap: driverId === fastest,
+    bestLap: 20 + i,
+  }));
+}
+
+(async () => {
+  // --- TEST 1: A new championship ---
+  const rounds = [{ trackId: 'Test', trackName: 'Test Circuit' }, { trackId: 'custom:abc', trackName: 'My Track' }, { trackId: 'Bendy_Vibes' }];
+  const champ = Champ.createChampionship({ name: '  Summer Cup ', rounds, points: [10, 6, 4], fastestLap: 1, kind: 'F1', modeId: 'openwheel', settings: { laps: 5, botCount: 3 }, driverSeed: 42, now: 1000 });
+  assert.strictEqual(champ.name, 'Summer Cup');
+  assert.deepStrictEqual(champ.rounds.map((r) => [r.trackId, r.trackName, r.result]),
+    [['Test', 'Test Circuit', null], ['custom:abc', 'My Track', null], ['Bendy_Vibes', 'Bendy_Vibes', null]]);
+  assert.deepStrictEqual([champ.current, champ.driverSeed, champ.settings.laps, champ.createdAt], [0, 42, 5, 1000]);
+  rounds[0].trackId = 'changed';
+  assert.strictEqual(champ.rounds[0].trackId, 'Test', 'rounds are copied');
+  assert.deepStrictEqual(Champ.nextRound(champ), { index: 0, trackId: 'Test', trackName: 'Test Circuit', result: null });
+  const plain = Champ.createChampionship({ rounds: [{ trackId: 'Test' }] });
+  assert.strictEqual(plain.name, 'Championship');
+  assert.deepStrictEqual(plain.points, Champ.POINTS_SYSTEMS.modern.points, 'modern points by default');
+  assert.ok(Number.isInteger(plain.driverSeed) && plain.id !== champ.id);
+  assert.throws(() => Champ.createChampionship({ rounds: [{ trackId: '' }] }), /at least one round/);
+  assert.strictEqual(Champ.createChampionship({ rounds: Array(30).fill({ trackId: 'Test' }) }).rounds.length, Champ.MAX_ROUNDS);
+  console.log('--- TEST PASSED: A new championship ---');
+
+  // --- TEST 2: Points tables ---
+  assert.deepStrictEqual(Champ.parsePoints('12, 9 7;5 , 3,1'), [12, 9, 7, 5, 3, 1]);
+  assert.deepStrictEqual(Champ.parsePoints('5, x, -2, 2.55, 0, 0'), [5, 2.6], 'junk dropped, trailing zeros trimmed');
+  assert.strictEqual(Champ.parsePoints('0, 0'), null);
+  assert.strictEqual(Champ.parsePoints(''), null);
+  assert.deepStrictEqual([1, 2, 3, 4, 0].map((p) => Champ.pointsFor(champ, p)), [10, 6, 4, 0, 0]);
+  console.log('--- TEST PASSED: Points tables ---');
+
+  // --- TEST 3: Recording rounds ---
+  assert.strictEqual(Champ.recordRound(champ, 1, classify(['ann', 'bob'])), false, 'not the current round');
+  assert.ok(Champ.recordRound(champ, 0, classify(['ann', Champ.PLAYER_ID, 'bob', 'cat'], 'bob'), 2000));
+  const first = champ.rounds[0].result;
+  assert.deepStrictEqual(first.entries.map((e) => [e.driverId, e.points]), [['ann', 10], [Champ.PLAYER_ID, 6], ['bob', 5], ['cat', 0]], 'fastest lap bonus');
+  assert.deepStrictEqual([champ.current, champ.updatedAt, first.recordedAt], [1, 2000, 2000]);
+  assert.strictEqual(Champ.recordRound(champ, 0, classify(['bob'])), false, 'a restarted round is not scored twice');
+  assert.strictEqual(Champ.recordRound(champ, 1, []), false, 'nothing to record');
+  assert.strictEqual(champ.current, 1);
+  // Out of order input is sorted by position
+  assert.ok(Champ.recordRound(champ, 1, classify([Champ.PLAYER_ID, 'ann', 'bob', 'cat']).reverse()));
+  assert.strictEqual(champ.rounds[1].result.entries[0].driverId, Champ.PLAYER_ID);
+  assert.ok(Champ.recordRound(champ, 2, classify(['bob', 'ann', Champ.PLAYER_ID, 'cat'])));
+  assert.ok(Champ.isComplete(champ));
+  assert.strictEqual(Champ.nextRound(champ), null, 'season over');
+  assert.strictEqual(Champ.recordRound(champ, 3, classify(['ann'])), false);
+  // A car that set the fastest lap but did not finish gets no bonus
+  const dnf = Champ.createChampionship({ rounds: [{ trackId: 'A' }], points: [10, 6, 4], fastestLap: 1 });
+  const dnfRows = classify(['ann', 'bob', 'cat'], 'cat');
+  dnfRows[2].finished = false;
+  assert.ok(Champ.recordRound(dnf, 0, dnfRows));
+  assert.deepStrictEqual(dnf.rounds[0].result.entries.map((e) => [e.driverId, e.points, e.fastestLap]),
+    [['ann', 10, false], ['bob', 6, false], ['cat', 4, true]], 'position points only, no fastest-lap bonus');
+  console.log('--- TEST PASSED: Recording rounds ---');
+
+  // --- TEST 4: Standings ---
+  const table = Champ.standings(champ);
+  // ann 10+6+6, you 6+10+4, bob 5+4+10, cat 0
+  assert.deepStrictEqual(table.map((r) => [r.driverId, r.points, r.position]),
+    [['ann', 22, 1], [Champ.PLAYER_ID, 20, 2], ['bob', 19, 3], ['cat', 0, 4]]);
+  assert.deepStrictEqual(table[1].finishes, [2, 1, 3]);
+  assert.deepStrictEqual([table[0].wins, table[0].podiums, table[3].podiums], [1, 3, 0]);
+  // Level on points: more wins first, then more seconds, then the latest result
+  const tie = Champ.createChampionship({ rounds: [{ trackId: 'A' }, { trackId: 'B' }], points: [5, 3, 2] });
+  Champ.recordRound(tie, 0, classify(['x', 'y', 'z']));
+  Champ.recordRound(tie, 1, classify(['z', 'y', 'x']));
+  assert.deepStrictEqual(Champ.standings(tie).map((r) => [r.driverId, r.points]), [['z', 7], ['x', 7], ['y', 6]], 'x and z tie on wins and seconds; z won last');
+  const countback = Champ.createChampionship({ rounds: [{ trackId: 'A' }, { trackId: 'B' }], points: [5, 3, 2, 1] });
+  Champ.recordRound(countback, 0, classify(['a', 'q', 'r', 'b']));
+  Champ.recordRound(countback, 1, classify(['a', 'b', 'r', 'q']));
+  // b, q and r all on 4: q's second beats r's two thirds; b and q match, b finished higher last time
+  assert.deepStrictEqual(Champ.standings(countback).map((r) => [r.driverId, r.points]), [['a', 10], ['b', 4], ['q', 4], ['r', 4]]);
+  const late = Champ.createChampionship({ rounds: [{ trackId: 'A' }] });
+  Champ.recordRound(late, 0, classify(['solo']));
+  assert.strictEqual(Champ.standings(late)[0].finishes.length, 1);
+  assert.deepStrictEqual(Champ.standings(null), []);
+  console.log('--- TEST PASSED: Standings ---');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
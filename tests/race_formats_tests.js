@@ -0,0 +1,148 @@
+/**
+ * Race Format Tests
+ *
+ * Checks RacerFormats: the finish of a plain race, the last car out each lap in an
+ * Elimination, the flag falling after the clock in a Timed Race, the Reverse Grid order, the
+ * Checkpoint Rush clock, and the standings with the cars that are out classified last.
+ * Run with: node tests/race_formats_tests.js
+ */
+const assert = require('assert');
+
+global.window = globalThis;
+require('../race_formats.js');
+const Formats = global.RacerFormats;
+
+function makeCars(format, names) {
+  return names.map((name) => {
+    const car = { name, lap: 0, finished: false, finishTime: null };
+    Formats.initCar(format, car);
+    return car;
+  });
+}
+
+// What checkLaps does when a car completes a lap: count it, then ask the format
+function crossLine(format, car, cars, now, extra = {}) {
+  car.lap++;
+  const events = Formats.onCheckpoint(format, car, cars, { cpIndex: 0, lapDone: true, now, ...extra });
+  for (const e of events) {
+    if (e.type === 'finish' && !e.car.finished) { e.car.finished = true; e.car.finishTime = now; }
+  }
+  return events.map((e) => `${e.type}:${e.car.name}`);
+}
+
+(async () => {
+  const cfg = Formats.FORMAT_CFG;
+
+  // --- TEST 1: Plain race and unknown formats ---
+  const race = Formats.createFormat('race', { laps: 2 });
+  assert.deepStrictEqual([race.id, race.laps], ['race', 2]);
+  assert.strictEqual(Formats.createFormat('demolition_derby', { laps: 4 }).id, 'race', 'unknown ids are a plain race');
+  assert.strictEqual(Formats.createFormat('elimination', { laps: 4 }).laps, Infinity, 'no lap count');
+  const field = makeCars(race, ['a', 'b']);
+  assert.deepStrictEqual(crossLine(race, field[0], field, 1000), []);
+  assert.deepStrictEqual(Formats.onCheckpoint(race, field[0], field, { cpIndex: 3, lapDone: false, now: 1500 }), []);
+  assert.deepStrictEqual(crossLine(race, field[0], field, 2000), ['finish:a']);
+  assert.strictEqual(field[0].finishLap, 2);
+  assert.deepStrictEqual(crossLine(race, field[0], field, 3000), [], 'no second flag');
+  console.log('--- TEST PASSED: Plain race and unknown formats ---');
+
+  // --- TEST 2: Elimination ---
+  const elim = Formats.createFormat('elimination');
+  const cars = makeCars(elim, ['a', 'b', 'c', 'd']);
+  const [a, b, c, d] = cars;
+  const progress = (car) => car.lap * 10;
+  assert.deepStrictEqual(crossLine(elim, a, cars, 100, { progress }), []);
+  assert.deepStrictEqual(crossLine(elim, b, cars, 110, { progress }), []);
+  assert.deepStrictEqual(crossLine(elim, c, cars, 120, { progress }), ['out:d'], 'last across the line on lap 1');
+  assert.deepStrictEqual([d.formatOut.lap, d.formatOut.progress, d.formatOut.order], [0, 0, 1]);
+  assert.deepStrictEqual(crossLine(elim, d, cars, 130, { progress }), [], 'out cars are ignored');
+  assert.strictEqual(d.lap, 1);
+  crossLine(elim, b, cars, 200, { progress });
+  assert.deepStrictEqual(crossLine(elim, a, cars, 210, { progress }), ['out:c']);
+  assert.deepStrictEqual(crossLine(elim, b, cars, 300, { progress }), ['out:a', 'finish:b'], 'the last car left wins');
+  assert.ok(b.finished && b.finishLap === 3);
+  assert.deepStrictEqual([c.formatOut.progress, a.formatOut.progress], [10, 20], 'where they were when they went out');
+  const solo = Formats.createFormat('elimination');
+  const alone = makeCars(solo, ['me']);
+  assert.deepStrictEqual(crossLine(solo, alone[0], alone, 50), ['finish:me'], 'nobody to race: one lap');
+  console.log('--- TEST PASSED: Elimination ---');
+
+  // --- TEST 3: Timed race ---
+  const timed = Formats.createFormat('timed', { timeLimit: 60 });
+  const tc = makeCars(timed, ['lead', 'mid', 'late']);
+  assert.deepStrictEqual(Formats.update(timed, tc, 59000, 1 / 120), []);
+  assert.deepStrictEqual(crossLine(timed, tc[0], tc, 59500), [], 'no flag before time is up');
+  assert.deepStrictEqual(Formats.update(timed, tc, 60000, 1 / 120), [{ type: 'flag' }]);
+  assert.deepStrictEqual(Formats.update(timed, tc, 60010, 1 / 120), [], 'the clock runs out once');
+  assert.deepStrictEqual(crossLine(timed, tc[2], tc, 61000, { leader: tc[0] }), [], 'cars ahead of the leader on the road keep going until the leader is in');
+  assert.deepStrictEqual(crossLine(timed, tc[0], tc, 62000, { leader: tc[0] }), ['finish:lead']);
+  assert.deepStrictEqual(crossLine(timed, tc[1], tc, 63000, { leader: tc[1] }), ['finish:mid']);
+  assert.deepStrictEqual(crossLine(timed, tc[2], tc, 64000), ['finish:late']);
+  assert.deepStrictEqual(tc.map((car) => car.finishLap), [2, 1, 2]);
+  assert.strictEqual(Formats.createFormat('timed').timeLimit, cfg.timeLimit, 'default limit');
+  console.log('--- TEST PASSED: Timed race ---');
+
+  // --- TEST 4: Reverse grid ---
+  const profiles = [{ id: 'x', pace: 1.02 }, { id: 'y', pace: 0.98 }, { id: 'z', pace: 1.0 }, { id: 'w', pace: 0.98 }];
+  const rev = Formats.createFormat('reverse_grid', { laps: 3 });
+  assert.deepStrictEqual(Formats.gridDrivers(rev, profiles).map((p) => p.id), ['y', 'w', 'z', 'x'], 'quickest at the back');
+  assert.deepStrictEqual(Formats.gridDrivers(race, profiles).map((p) => p.id), ['x', 'y', 'z', 'w']);
+  assert.notStrictEqual(Formats.gridDrivers(race, profiles), profiles, 'a new array');
+  assert.strictEqual(rev.laps, 3);
+  console.log('--- TEST PASSED: Reverse grid ---');
+
+  // --- TEST 5: Checkpoint rush ---
+  const centerline = [{ x: 0, y: 0 }, { x: 650, y: 0 }, { x: 650, y: 650 }, { x: 0, y: 650 }];
+  const segments = Formats.segmentLengths(centerline, [0, 1, 3]);
+  assert.deepStrictEqual(segments, [650, 650, 1300], 'along the centerline, round the loop');
+  assert.deepStrictEqual(Formats.segmentLengths(centerline, [2]), [2600]);
+  const rush = Formats.createFormat('checkpoint_rush', { laps: 5, segments });
+  const rc = makeCars(rush, ['fast', 'slow']);
+  assert.strictEqual(rc[0].rushLeft, cfg.rushStart);
+  assert.ok(Math.abs(Formats.rushBonus(rush, 2, 0) - 2) < 1e-9, 'distance over rushPace');
+  assert.ok(Math.abs(Formats.rushBonus(rush, 2, 2) - 2 * cfg.rushShrink * cfg.rushShrink) < 1e-9, 'less each lap');
+  assert.strictEqual(Formats.rushBonus(Formats.createFormat('checkpoint_rush'), 0, 9), cfg.rushMinBonus);
+  Formats.onCheckpoint(rush, rc[0], rc, { cpIndex: 1, lapDone: false, now: 5000 });
+  assert.ok(Math.abs(rc[0].rushLeft - (cfg.rushStart + 1)) < 1e-9);
+  let events = [];
+  for (let t = 1; t <= 120 * 11 && !events.length; t++) events = Formats.update(rush, rc, t * 1000 / 120, 1 / 120, () => 0.5);
+  assert.deepStrictEqual(events.map((e) => `${e.type}:${e.car.name}`), ['out:slow'], 'the clock ran out');
+  assert.strictEqual(rc[1].rushLeft, 0);
+  assert.strictEqual(rc[1].formatOut.progress, 0.5);
+  assert.ok(rc[0].rushLeft > 0 && !rc[0].formatOut);
+  const before = rc[0].rushLeft;
+  Formats.onCheckpoint(rush, rc[1], rc, { cpIndex: 1, lapDone: false, now: 12000 });
+  assert.strictEqual(rc[1].rushLeft, 0, 'no time for cars that are out');
+  Formats.update(rush, rc, 12000, 0);
+  assert.strictEqual(rc[0].rushLeft, before, 'no time passes without a step');
+  console.log('--- TEST PASSED: Checkpoint rush ---');
+
+  // --- TEST 6: Standings ---
+  const entry = (car, position, finished) => ({ car, position, finished, progress: 0, gapAhead: { ms: 10, laps: 0 }, gapBehind: null, gapLeader: { ms: 10, laps: 0 } });
+  const p1 = { finished: true, finishTime: 9000, finishLap: 3 };
+  const p2 = { finished: true, finishTime: 8000, finishLap: 2 };
+  const run = { finished: false };
+  const out1 = { finished: false, formatOut: { progress: 12.5, order: 1 } };
+  const out2 = { finished: false, formatOut: { progress: 24.1, order: 2 } };
+  const order = Formats.orderStandings(timed, [entry(out1, 1, false), entry(p2, 2, true), entry(p1, 3, true), entry(run, 4, false), entry(out2, 5, false)]);
+  assert.deepStrictEqual(order.map((e) => e.car), [p1, p2, run, out2, out1], 'more laps first, then the cars still out on track, then the out cars furthest first');
+  assert.deepStrictEqual(order.map((e) => e.position), [1, 2, 3, 4, 5]);
+  assert.deepStrictEqual([order[3].gapAhead, order[3].gapLeader], [null, null], 'no gaps to cars that are out');
+  assert.deepStrictEqual(order[1].gapAhead, { ms: 10, laps: 0 });
+  assert.deepStrictEqual(Formats.orderStandings(null, null), []);
+  console.log('--- TEST PASSED: Standings ---');
+
+  // --- TEST 7: HUD status ---
+  const clock = Formats.createFormat('timed', { timeLimit: 125 });
+  assert.deepStrictEqual(Formats.hudStatus(clock, null, [], 0), { label: 'Time', value: '2:05', urgent: false });
+  assert.strictEqual(Formats.hudStatus(clock, null, [], 100000).urgent, true);
+  clock.flag = true;
+  assert.strictEqual(Formats.hudStatus(clock, null, [], 130000).value, 'Last lap');
+  assert.deepStrictEqual(Formats.hudStatus(rush, { rushLeft: 2.345 }, rc, 0), { label: 'Clock', value: '2.3', urgent: true });
+  assert.strictEqual(Formats.hudStatus(elim, b, cars, 0).value, '0', 'the winner is no longer running');
+  assert.strictEqual(Formats.hudStatus(race, field[0], field, 0), null);
+  console.log('--- TEST PASSED: HUD status ---');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
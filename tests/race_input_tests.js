@@ -0,0 +1,86 @@
+/**
+ * Local Input Tests
+ *
+ * Checks RacerInput: the key bindings alone and in split-screen, handing gamepads out to the
+ * players, reading a pad's steering, throttle and brake through the deadzones, shoulder-button
+ * gear shifts, and the split-screen viewports.
+ * Run with: node tests/race_input_tests.js
+ */
+const assert = require('assert');
+
+global.window = globalThis;
+require('../race_input.js');
+const Input = global.RacerInput;
+
+// A standard-mapping pad: 17 buttons, 4 axes
+function makePad(opts = {}) {
+  const buttons = Array.from({ length: 17 }, () => ({ pressed: false, value: 0 }));
+  for (const [i, value] of Object.entries(opts.buttons || {})) buttons[i] = { pressed: value > 0.5, value };
+  return { connected: opts.connected !== false, axes: opts.axes || [0, 0, 0, 0], buttons };
+}
+
+(async () => {
+  const pad = Input.PAD;
+
+  // --- TEST 1: Key bindings ---
+  const solo = Input.keyLayout(1);
+  assert.strictEqual(solo.length, 1);
+  assert.deepStrictEqual(Input.keyAction(solo, 'W'), { player: 0, action: 'throttle' }, 'any case');
+  assert.deepStrictEqual(Input.keyAction(solo, 'ArrowLeft'), { player: 0, action: 'left' }, 'arrows drive too when alone');
+  assert.deepStrictEqual(Input.keyAction(solo, 'e'), { player: 0, action: 'shiftUp' });
+  assert.strictEqual(Input.keyAction(solo, 'm'), null);
+  assert.strictEqual(Input.keyAction(solo, '.'), null, 'player 2 shift keys are free alone');
+  const split = Input.keyLayout(2);
+  assert.strictEqual(split.length, 2);
+  assert.deepStrictEqual(Input.keyAction(split, 'd'), { player: 0, action: 'right' });
+  assert.deepStrictEqual(Input.keyAction(split, 'ArrowUp'), { player: 1, action: 'throttle' });
+  assert.deepStrictEqual(Input.keyAction(split, ','), { player: 1, action: 'shiftDown' });
+  assert.deepStrictEqual(Input.keyAction(split, 'q'), { player: 0, action: 'shiftDown' });
+  assert.strictEqual(Input.keyAction(null, 'w'), null);
+  split[0].w = 'brake';
+  assert.strictEqual(Input.keyAction(Input.keyLayout(2), 'w').action, 'throttle', 'layouts are copies');
+  console.log('--- TEST PASSED: Key bindings ---');
+
+  // --- TEST 2: Gamepads per player ---
+  const first = makePad(), second = makePad(), gone = makePad({ connected: false });
+  const pads = [null, first, gone, second];
+  assert.strictEqual(Input.padFor(pads, 0), first, 'connected pads in order, gaps skipped');
+  assert.strictEqual(Input.padFor(pads, 1), second);
+  assert.strictEqual(Input.padFor(pads, 2), null);
+  assert.strictEqual(Input.padFor(null, 0), null);
+  console.log('--- TEST PASSED: Gamepads per player ---');
+
+  // --- TEST 3: Pad control ---
+  const cfg = Input.INPUT_CFG;
+  assert.strictEqual(Input.padControl(makePad()), null, 'an idle pad leaves the keyboard in charge');
+  assert.strictEqual(Input.padControl(makePad({ axes: [cfg.stickDeadzone * 0.9, 0] })), null, 'inside the deadzone');
+  assert.strictEqual(Input.padControl(null), null);
+  const half = Input.padControl(makePad({ axes: [-(cfg.stickDeadzone + (1 - cfg.stickDeadzone) / 2), 0], buttons: { [pad.throttle]: 1 } }));
+  assert.ok(Math.abs(half.steer + 0.5) < 1e-9, 'rescaled past the deadzone');
+  assert.deepStrictEqual([half.throttle, half.brake], [1, 0]);
+  const trigger = Input.padControl(makePad({ buttons: { [pad.brake]: 0.525 } }));
+  assert.ok(Math.abs(trigger.brake - 0.5) < 1e-9, 'analog brake');
+  assert.strictEqual(Input.padControl(makePad({ axes: [0.3, 0], buttons: { [pad.left]: 1 } })).steer, -1, 'the d-pad wins over the stick');
+  assert.deepStrictEqual(Input.padControl(makePad({ buttons: { [pad.throttleAlt]: 1, [pad.brakeAlt[1]]: 1 } })), { steer: 0, throttle: 1, brake: 1 }, 'face buttons');
+  const bare = { axes: [], buttons: [true, false] };
+  assert.strictEqual(Input.padControl(bare).throttle, 1, 'plain boolean buttons');
+  console.log('--- TEST PASSED: Pad control ---');
+
+  // --- TEST 4: Shoulder-button shifts ---
+  const prev = { up: false, down: false };
+  const upPad = makePad({ buttons: { [pad.shiftUp]: 1 } });
+  assert.deepStrictEqual(Input.padShifts(upPad, prev), { up: true, down: false });
+  assert.deepStrictEqual(Input.padShifts(upPad, prev), { up: false, down: false }, 'held: one shift');
+  assert.deepStrictEqual(Input.padShifts(makePad({ buttons: { [pad.shiftDown]: 1 } }), prev), { up: false, down: true });
+  assert.deepStrictEqual(Input.padShifts(null, prev), { up: false, down: false });
+  assert.deepStrictEqual(prev, { up: false, down: false }, 'released when the pad goes away');
+  console.log('--- TEST PASSED: Shoulder-button shifts ---');
+
+  // --- TEST 5: Viewports ---
+  assert.deepStrictEqual(Input.splitViewports(1280, 720, 1), [{ x: 0, y: 0, w: 1280, h: 720 }]);
+  assert.deepStrictEqual(Input.splitViewports(1281, 720, 2), [{ x: 0, y: 0, w: 640, h: 720 }, { x: 640, y: 0, w: 641, h: 720 }], 'side by side, covering the canvas');
+  console.log('--- TEST PASSED: Viewports ---');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
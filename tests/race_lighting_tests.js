@@ -0,0 +1,67 @@
+/**
+ * Lighting Tests
+ *
+ * Checks RacerLighting: the starting hour for each time preset and the track texture, the
+ * race clock running through the day, the darkness and tint it gives at each hour, and the
+ * headlight beams cast from the front of a car.
+ * Run with: node tests/race_lighting_tests.js
+ */
+const assert = require('assert');
+
+global.window = globalThis;
+require('../race_lighting.js');
+const Lighting = global.RacerLighting;
+
+(async () => {
+  const cfg = Lighting.LIGHTING_CFG;
+  const near = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+  // --- TEST 1: Starting hours ---
+  assert.strictEqual(Lighting.startHour('dusk', 'night'), Lighting.TIME_PRESETS.dusk.hour, 'a preset wins over the texture');
+  assert.strictEqual(Lighting.startHour('auto', 'night'), Lighting.TIME_PRESETS.night.hour, 'night tracks race at night');
+  assert.strictEqual(Lighting.startHour('auto', 'default'), Lighting.TIME_PRESETS.day.hour);
+  assert.strictEqual(Lighting.startHour('midnight-sun', undefined), Lighting.TIME_PRESETS.day.hour, 'unknown presets are auto');
+  console.log('--- TEST PASSED: Starting hours ---');
+
+  // --- TEST 2: The race clock ---
+  assert.strictEqual(Lighting.clockHour(13, 0), 13);
+  assert.ok(near(Lighting.clockHour(13, 180), 13 + 180 * cfg.timeScale / 3600), 'timeScale game seconds per race second');
+  assert.ok(near(Lighting.clockHour(23, 3600 / cfg.timeScale * 2), 1), 'past midnight');
+  assert.strictEqual(Lighting.clockHour(17.75, 900, false), 17.75, 'a stopped clock holds the hour');
+  assert.strictEqual(Lighting.clockHour(13, -5), 13, 'no running backwards');
+  console.log('--- TEST PASSED: The race clock ---');
+
+  // --- TEST 3: Darkness through the day ---
+  const noon = Lighting.ambient(12);
+  assert.deepStrictEqual([noon.darkness, noon.lights], [0, false], 'full daylight');
+  const night = Lighting.ambient(Lighting.TIME_PRESETS.night.hour);
+  assert.ok(near(night.darkness, cfg.nightDarkness) && night.lights, 'full night, lights on');
+  assert.deepStrictEqual(night.tint, cfg.nightTint);
+  assert.deepStrictEqual(Lighting.ambient(2), night, 'night either side of midnight');
+  const dusk = Lighting.ambient(Lighting.TIME_PRESETS.dusk.hour);
+  assert.ok(dusk.darkness > 0 && dusk.darkness < cfg.nightDarkness, `dusk is half dark (${dusk.darkness.toFixed(3)})`);
+  assert.ok(dusk.tint[0] > night.tint[0], 'warmer at dusk');
+  let prev = -1;
+  for (let h = cfg.dusk[0]; h <= cfg.dusk[1]; h += 0.25) {
+    const now = Lighting.ambient(h).darkness;
+    assert.ok(now >= prev, 'darker through the evening');
+    prev = now;
+  }
+  assert.ok(Lighting.ambient(cfg.dawn[1]).darkness === 0 && Lighting.ambient(cfg.dawn[0]).darkness === cfg.nightDarkness, 'dawn');
+  // A quarter-hour race from dusk at the default scale ends in the dark
+  const end = Lighting.ambient(Lighting.clockHour(Lighting.TIME_PRESETS.dusk.hour, 900));
+  assert.ok(near(end.darkness, cfg.nightDarkness) && end.lights, 'a long race runs into the night');
+  console.log('--- TEST PASSED: Darkness through the day ---');
+
+  // --- TEST 4: Headlight beams ---
+  const cone = Lighting.headlightCone({ x: 100, y: 50, angle: Math.PI / 2, length: 40 });
+  assert.ok(near(cone.x, 100) && near(cone.y, 70), 'from the front of the car');
+  assert.strictEqual(cone.angle, Math.PI / 2, 'along its heading');
+  assert.deepStrictEqual([cone.length, cone.spread], [cfg.headlightLength, cfg.headlightSpread]);
+  const bare = Lighting.headlightCone({ x: 0, y: 0 });
+  assert.ok(near(bare.x, 20) && near(bare.y, 0), 'a default length and heading');
+  console.log('--- TEST PASSED: Headlight beams ---');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,138 @@
+/**
+ * Pit Lane Tests
+ *
+ * Checks RacerPit on a rectangular circuit with a pit lane beside the top straight: pinning a
+ * drawn lane to the centerline, the entry/exit lines and checkpoint gates, the pit state of a
+ * car driven through the lane, and the stop itself (time, service, speed limit) with
+ * RacerPhysics cars.
+ * Run with: node tests/race_pit_tests.js
+ */
+const assert = require('assert');
+const harness = require('./sim_harness.js');
+
+global.window = globalThis;
+require('../race_pit.js');
+const Pit = global.RacerPit;
+
+// Points every `step` px along a polyline
+function densify(corners, step = 10, closed = false) {
+  const out = [];
+  const pts = closed ? corners.concat([corners[0]]) : corners;
+  for (let i = 0; i < pts.length - 1; i++) {
+    const a = pts[i], b = pts[i + 1];
+    const n = Math.max(1, Math.round(Math.hypot(b.x - a.x, b.y - a.y) / step));
+    for (let k = 0; k < n; k++) out.push({ x: a.x + (b.x - a.x) * k / n, y: a.y + (b.y - a.y) * k / n });
+  }
+  if (!closed) out.push({ ...pts[pts.length - 1] });
+  return out;
+}
+
+(async () => {
+  const { physics } = await harness.loadGameModules('standin');
+  const cfg = Pit.PIT_CFG;
+  const near = (a, b) => Math.abs(a - b) < 1e-9;
+  const roadWidth = 80;
+  // Clockwise on screen: along the top straight to +x, down the right side, back along the bottom
+  const centerline = densify([{ x: 0, y: 0 }, { x: 1000, y: 0 }, { x: 1000, y: 600 }, { x: 0, y: 600 }], 10, true);
+  const drawn = densify([{ x: 208, y: 12 }, { x: 300, y: -100 }, { x: 700, y: -100 }, { x: 792, y: -12 }]);
+
+  // --- TEST 1: Pinning a drawn lane to the circuit ---
+  const snapped = Pit.snapPitLane(drawn, centerline, roadWidth);
+  assert.ok(snapped, 'both ends on the road');
+  assert.deepStrictEqual(snapped.points[0], centerline[snapped.entryIndex], 'the entry sits on the centerline');
+  assert.deepStrictEqual(snapped.points[snapped.points.length - 1], centerline[snapped.exitIndex]);
+  assert.deepStrictEqual([snapped.points[0], centerline[snapped.exitIndex]], [{ x: 210, y: 0 }, { x: 790, y: 0 }]);
+  assert.ok(snapped.boxIndex > 0 && snapped.boxIndex < snapped.points.length - 1, 'the box goes halfway');
+  const reversed = Pit.snapPitLane(drawn.slice().reverse(), centerline, roadWidth);
+  assert.strictEqual(reversed.entryIndex, snapped.entryIndex, 'drawn backwards, turned round');
+  assert.strictEqual(reversed.exitIndex, snapped.exitIndex);
+  const offRoad = drawn.slice();
+  offRoad[0] = { x: 208, y: -200 };
+  assert.strictEqual(Pit.snapPitLane(offRoad, centerline, roadWidth), null, 'an end off the road');
+  assert.strictEqual(Pit.normalizePitLane({ points: [{ x: 0, y: 0 }] }), null, 'too short');
+  assert.strictEqual(Pit.normalizePitLane({ points: [{ x: 0, y: 0 }, { x: 'a', y: 1 }] }), null, 'bad points');
+  assert.strictEqual(Pit.normalizePitLane({ points: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 20, y: 0 }] }).boxIndex, 1, 'box defaults to halfway');
+  console.log('--- TEST PASSED: Pinning a drawn lane ---');
+
+  // --- TEST 2: Entry and exit lines, checkpoint gates ---
+  const lane = Pit.buildPitLane(snapped, centerline, roadWidth);
+  assert.ok(lane);
+  assert.ok(lane.startS > 0 && lane.endS < lane.length && lane.startS < lane.boxS && lane.boxS < lane.endS, 'limit lines either side of the box');
+  assert.ok(Math.abs(Pit.lanePoint(lane, lane.startS).y) >= roadWidth / 2 - 5, 'the entry line is at the edge of the road');
+  assert.ok(Math.abs(lane.box.y + 100) < 1 && lane.box.x > 300 && lane.box.x < 700, 'box on the pit straight');
+  assert.strictEqual(Pit.buildPitLane({ points: [{ x: 200, y: 0 }, { x: 800, y: 10 }] }, centerline, roadWidth), null, 'a lane on the road is no lane');
+  // One checkpoint before the lane, one it bypasses, one after
+  const cpAt = (x, y) => centerline.findIndex((p) => p.x === x && p.y === y);
+  const gates = Pit.pitGates(lane, [cpAt(100, 0), cpAt(500, 0), cpAt(1000, 300)], centerline.length);
+  assert.strictEqual(gates[0], null);
+  assert.strictEqual(gates[2], null);
+  const gate = gates[1];
+  assert.ok(gate && Math.abs((gate.a.x + gate.b.x) / 2 - 500) < 1 && Math.abs((gate.a.y + gate.b.y) / 2 + 100) < 1, 'gate across the lane level with the checkpoint');
+  assert.ok(Math.abs(gate.a.y - gate.b.y) > lane.halfWidth * 2, 'the gate spans the lane');
+  console.log('--- TEST PASSED: Entry and exit lines, checkpoint gates ---');
+
+  // --- TEST 3: A car through the pit lane ---
+  const car = { x: 150, y: 0, speed: 0 };
+  const at = (x, y, speed = 300) => { car.x = x; car.y = y; car.speed = speed; return Pit.updatePit(car, lane, 1 / 120); };
+  assert.strictEqual(at(150, 0), null);
+  assert.strictEqual(car.pit.state, 'track');
+  assert.strictEqual(at(500, 30), null, 'on the road beside the lane');
+  assert.strictEqual(car.pit.state, 'track');
+  assert.strictEqual(Pit.speedLimit(car.pit, 900, 1 / 120), Infinity, 'no limit on track');
+  assert.strictEqual(at(300, -100), 'enter');
+  assert.strictEqual(Pit.speedLimit(car.pit, 100, 1 / 120), cfg.speedLimit);
+  assert.ok(Pit.speedLimit(car.pit, 900, 1 / 120) < 900 && Pit.speedLimit(car.pit, 900, 1 / 120) > cfg.speedLimit, 'arriving fast, the limiter pulls the speed down');
+  assert.strictEqual(at(lane.box.x, lane.box.y, 200), null, 'rolling through the box');
+  assert.strictEqual(at(lane.box.x, lane.box.y, 10), 'stop');
+  assert.strictEqual(Pit.speedLimit(car.pit, 10, 1 / 120), 0, 'held still');
+  assert.ok(near(car.pit.stopTotal, cfg.baseTime), 'nothing to do but the jacks');
+  let event = null;
+  let steps = 0;
+  while (!event && steps < 10000) { event = Pit.updatePit(car, lane, 1 / 120); steps++; }
+  assert.strictEqual(event, 'done');
+  assert.ok(Math.abs(steps / 120 - cfg.baseTime) < 0.02, 'the stop lasts its time');
+  assert.strictEqual(at(lane.box.x, lane.box.y, 0), null, 'one stop per visit');
+  assert.strictEqual(at(Pit.lanePoint(lane, lane.endS + 5).x, Pit.lanePoint(lane, lane.endS + 5).y), 'exit');
+  assert.strictEqual(car.pit.state, 'track');
+  assert.strictEqual(Pit.updatePit(car, null, 1 / 120), null, 'no lane on this track');
+  console.log('--- TEST PASSED: A car through the pit lane ---');
+
+  // --- TEST 4: Service and the limiter in updateCar ---
+  const gt = harness.makeCar(physics, { x: 0, y: 0, angle: 0 }, 'GT', 0);
+  gt.fuel = physics.createFuel(gt.physics.params.fuelCapacity, 0.25);
+  gt.tyres = physics.createTyres(110);
+  gt.tyres.rear.wear = 0.6;
+  gt.damage = { ...physics.createDamage('full'), front: 0.5, left: 0.25 };
+  const litres = gt.fuel.capacity - gt.fuel.litres;
+  const expected = cfg.baseTime + Math.max(litres / cfg.refuelRate, cfg.tyreTime) + 0.75 * cfg.repairTime;
+  assert.ok(near(Pit.pitStopTime(gt), expected), 'jacks, fuel alongside tyres, then repairs');
+  gt.damage.mode = 'visual';
+  assert.ok(near(Pit.pitStopTime(gt), expected - 0.75 * cfg.repairTime), 'cosmetic damage is fixed for free');
+  const work = Pit.servicePit(gt, physics.createTyres());
+  assert.ok(near(work.fuel, litres) && work.tyres && near(work.repair, 0.75));
+  assert.strictEqual(gt.fuel.litres, gt.fuel.capacity, 'full tank');
+  assert.deepStrictEqual(gt.tyres, physics.createTyres(), 'fresh tyres');
+  assert.strictEqual(gt.damage.front + gt.damage.left, 0, 'repaired');
+  assert.deepStrictEqual(Pit.servicePit({}, physics.createTyres()), { fuel: 0, tyres: false, repair: 0 }, 'nothing to service');
+
+  const drive = (speedLimit) => {
+    const c = harness.makeCar(physics, { x: 0, y: 0, angle: 0 }, 'GT', 0);
+    c.physics.params.usePlanck = false;
+    for (let i = 0; i < 4 * 120; i++) physics.updateCar(c, { throttle: 1, brake: 0, steer: 0 }, { onRoad: true, speedLimit }, 1 / 120);
+    return Math.hypot(c.physics.vx, c.physics.vy);
+  };
+  assert.ok(drive(undefined) > cfg.speedLimit * 1.2, 'flat out passes the pit limit');
+  assert.ok(Math.abs(drive(cfg.speedLimit) - cfg.speedLimit) < 1, 'the limiter holds the pit speed');
+  assert.strictEqual(drive(0), 0, 'held in the box');
+
+  const snapCar = harness.makeCar(physics, { x: 0, y: 0, angle: 0 }, 'GT', 0);
+  snapCar.pit = { ...Pit.createPitState(), state: 'stop', stopLeft: 3, stopTotal: 5 };
+  const snap = physics.captureCarState(snapCar);
+  snapCar.pit.stopLeft = 0.5;
+  physics.restoreCarState(snapCar, snap);
+  assert.strictEqual(snapCar.pit.stopLeft, 3, 'replay snapshots keep the pit state');
+  console.log('--- TEST PASSED: Service and the limiter ---');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
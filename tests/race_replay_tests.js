@@ -0,0 +1,125 @@
+/**
+ * Race Replay Tests
+ *
+ * Records a toy two-car simulation through RacerReplay and checks that playback,
+ * scrubbing and speed changes reproduce the recorded race.
+ * Run with: node tests/race_replay_tests.js
+ */
+const assert = require('assert');
+
+global.window = globalThis;
+require('../race_replay.js');
+const Replay = global.RacerReplay;
+
+// Minimal deterministic "physics": velocity follows throttle/brake, heading follows steer,
+// and a gear counter driven by shift events.
+function makeCar() {
+  return { x: 0, y: 0, angle: 0, v: 0, gear: 1 };
+}
+function stepCar(car, dt, control) {
+  car.v += (control.throttle * 40 - control.brake * 60 - car.v * 0.1) * dt;
+  car.angle += control.steer * car.v * 0.01 * dt;
+  car.x += Math.cos(car.angle) * car.v * dt;
+  car.y += Math.sin(car.angle) * car.v * dt;
+}
+const capture = (cars) => () => cars.map((c) => ({ ...c }));
+const restoreInto = (cars) => (kf) => kf.cars.forEach((snap, i) => Object.assign(cars[i], snap));
+
+const live = [makeCar(), makeCar()];
+const recorder = Replay.createRecorder({
+  trackKey: 'Test',
+  cars: [{ label: 'You', kind: 'GT' }, { label: 'AI 1', kind: 'GT' }],
+  keyframeInterval: 50,
+});
+const STEPS = 400;
+for (let i = 0; i < STEPS; i++) {
+  const dt = 1 / 60 + (i % 7) * 0.0007; // uneven frame times
+  recorder.beginStep(dt, capture(live));
+  if (i === 100) { live[0].gear++; recorder.recordEvent(0, 'up'); }
+  live.forEach((car, idx) => {
+    // The AI car skips every third step, like AI LOD in racer.html
+    if (idx === 1 && i % 3 === 0) return;
+    const control = { throttle: i < 300 ? 1 : 0, brake: i >= 300 ? 0.5 : 0, steer: Math.sin(i / 40) * (idx ? -1 : 1) };
+    recorder.recordControl(idx, control.throttle, control.brake, control.steer);
+    stepCar(car, dt, control);
+  });
+  recorder.endStep(capture(live));
+}
+// A keyboard event raised between frames belongs to the next step
+recorder.recordEvent(0, 'down');
+recorder.markKeyframe(capture(live));
+const finalState = live.map((c) => ({ ...c }));
+
+// --- TEST 1: Recording layout ---
+const recording = recorder.getRecording();
+assert.strictEqual(recording.steps.length, STEPS);
+assert.strictEqual(recording.keyframes[0].step, 0);
+assert.strictEqual(recording.keyframes[recording.keyframes.length - 1].step, STEPS);
+assert.deepStrictEqual(recording.steps[100].events, [{ car: 0, type: 'up' }]);
+assert.strictEqual(recording.steps[0].controls.length, 4, 'skipped AI car should record no control');
+assert.strictEqual(recording.steps[1].controls.length, 8);
+assert.strictEqual(recording.keyframes[0].world, undefined, 'no world state unless asked for');
+// State outside the cars (the weather) rides along in each keyframe
+let worldClock = 0;
+const withWorld = Replay.createRecorder({ cars: [{ label: 'You' }], keyframeInterval: 2, captureWorld: () => ({ clock: worldClock }) });
+for (let i = 0; i < 4; i++) {
+  withWorld.beginStep(1 / 60, capture(live));
+  worldClock++;
+  withWorld.endStep(capture(live));
+}
+assert.deepStrictEqual(withWorld.getRecording().keyframes.map((kf) => kf.world), [{ clock: 0 }, { clock: 2 }, { clock: 4 }]);
+console.log('--- TEST PASSED: Recording layout ---');
+
+// Playback target: fresh cars re-driven from the recorded inputs
+let applied = 0;
+function playInto(target) {
+  return Replay.createPlayback(recording, {
+    applyStep: (step) => {
+      applied++;
+      for (const evt of step.events) if (evt.type === 'up') target[evt.car].gear++;
+      Replay.forEachControl(step, (idx, control) => stepCar(target[idx], step.dt, control));
+    },
+    restore: restoreInto(target),
+  });
+}
+const cars = [makeCar(), makeCar()];
+cars.forEach((c) => { c.x = 999; }); // stale pose; playback must restore the first keyframe
+const playback = playInto(cars);
+assert.strictEqual(cars[0].x, 0);
+
+// --- TEST 2: Real-time playback reproduces the race exactly ---
+while (!playback.paused) playback.update(1 / 30);
+assert.strictEqual(playback.cursor, STEPS);
+assert.ok(Math.abs(playback.time - recording.duration) < 1e-9);
+assert.deepStrictEqual(cars, finalState);
+console.log('--- TEST PASSED: Deterministic playback ---');
+
+// --- TEST 3: Scrubbing backwards restores a keyframe and re-simulates ---
+const mid = recording.duration * 0.37;
+playback.seek(mid);
+const scrubbed = cars.map((c) => ({ ...c }));
+const ref = [makeCar(), makeCar()];
+const reference = playInto(ref);
+reference.setSpeed(4);
+while (reference.time < mid - 1e-9) reference.update(Math.min(0.05, (mid - reference.time) / 4));
+assert.deepStrictEqual(scrubbed, ref);
+applied = 0;
+playback.seek(mid + 0.5);
+assert.ok(applied > 0 && applied < 60, 'short forward seek should step, not restore');
+console.log('--- TEST PASSED: Scrubbing ---');
+
+// --- TEST 4: Speed, follow and end-of-replay controls ---
+assert.strictEqual(playback.setSpeed(10), 4);
+assert.strictEqual(playback.setSpeed(0.1), 0.25);
+assert.strictEqual(playback.cycleSpeed(1), 0.5);
+assert.strictEqual(playback.cycleSpeed(-1), 0.25);
+assert.strictEqual(playback.setFollow(1), 1);
+assert.strictEqual(playback.cycleFollow(1), 0);
+assert.strictEqual(playback.cycleFollow(-1), 1);
+playback.jumpToEnd();
+assert.deepStrictEqual(cars, finalState);
+assert.strictEqual(playback.paused, true);
+assert.strictEqual(playback.setPaused(false), false);
+assert.strictEqual(playback.time, 0, 'resuming at the end restarts from the beginning');
+assert.throws(() => Replay.createPlayback({ steps: [], keyframes: [] }, {}), /no recorded race data/);
+console.log('--- TEST PASSED: Playback controls ---');
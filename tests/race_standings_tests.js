@@ -0,0 +1,110 @@
+/**
+ * Race Standings Tests
+ *
+ * Checks race order, checkpoint gaps, finishing order and the results table from
+ * RacerStandings on a square track with four checkpoints.
+ * Run with: node tests/race_standings_tests.js
+ */
+const assert = require('assert');
+
+global.window = globalThis;
+require('../race_standings.js');
+const Standings = global.RacerStandings;
+
+// Square 400x400 loop, checkpoints across each side's midpoint; index 0 is the start line
+const checkpoints = [
+  { a: { x: 200, y: -20 }, b: { x: 200, y: 20 } },
+  { a: { x: 380, y: 200 }, b: { x: 420, y: 200 } },
+  { a: { x: 200, y: 380 }, b: { x: 200, y: 420 } },
+  { a: { x: -20, y: 200 }, b: { x: 20, y: 200 } },
+];
+const K = checkpoints.length;
+const makeCar = (name, x, y) => ({ name, x, y, lap: 0, nextCp: 0, hasPassedStartLine: false, cpTimes: [], cpIndex: 0 });
+// Drive a car across its next checkpoint at race time `now`, the way checkLaps does
+function cross(car, now) {
+  const idx = car.nextCp;
+  car.nextCp = (idx + 1) % K;
+  if (idx === 0) {
+    if (car.hasPassedStartLine) car.lap++;
+    car.hasPassedStartLine = true;
+  }
+  Standings.recordCheckpoint(car, K, now);
+}
+
+// --- TEST 1: Progress and ordering ---
+const a = makeCar('A', 150, 0);
+const b = makeCar('B', 100, 0);
+const c = makeCar('C', 50, 0);
+assert.ok(Standings.raceProgress(a, checkpoints) > Standings.raceProgress(b, checkpoints), 'closer to the start line ranks higher on the grid');
+cross(a, 1000); cross(b, 1400); cross(c, 1900);
+a.x = 300; b.x = 250; c.x = 210;
+let order = Standings.computeStandings([c, b, a], checkpoints).map((e) => e.car.name);
+assert.deepStrictEqual(order, ['A', 'B', 'C']);
+// B passes A before the next checkpoint
+b.x = 350;
+order = Standings.computeStandings([a, b, c], checkpoints).map((e) => e.car.name);
+assert.deepStrictEqual(order, ['B', 'A', 'C']);
+// Lap count outranks checkpoint progress
+c.lap = 1; c.nextCp = 0; c.x = 0; c.y = 40;
+assert.strictEqual(Standings.computeStandings([a, b, c], checkpoints)[0].car.name, 'C');
+console.log('--- TEST PASSED: Progress and ordering ---');
+
+// --- TEST 2: Gaps come from the last shared checkpoint ---
+const p = makeCar('P', 100, 0);
+const q = makeCar('Q', 90, 0);
+cross(p, 1000); cross(q, 1250);
+p.x = 390; p.y = 100; q.x = 380; q.y = 60;
+cross(p, 4000); // P reaches checkpoint 1, Q has not yet
+let table = Standings.computeStandings([p, q], checkpoints);
+assert.deepStrictEqual(table[1].gapAhead, { ms: 250, laps: 0 }, 'gap measured at the start line until Q crosses checkpoint 1');
+assert.deepStrictEqual(table[0].gapBehind, table[1].gapAhead);
+cross(q, 4600);
+table = Standings.computeStandings([p, q], checkpoints);
+assert.deepStrictEqual(table[1].gapAhead, { ms: 600, laps: 0 });
+assert.strictEqual(Standings.formatGap(table[1].gapAhead), '+0.600');
+assert.strictEqual(table[0].gapAhead, null);
+// A full lap ahead shows as laps
+p.lap = 1; p.nextCp = 2; p.x = 390; p.y = 300;
+table = Standings.computeStandings([p, q], checkpoints);
+assert.deepStrictEqual(table[1].gapAhead, { ms: null, laps: 1 });
+assert.strictEqual(Standings.formatGap(table[1].gapAhead), '+1 Lap');
+assert.strictEqual(Standings.formatGap({ ms: null, laps: 0 }), '--');
+console.log('--- TEST PASSED: Gaps ---');
+
+// --- TEST 3: Finishing order ---
+const x = makeCar('X', 0, 0);
+const y = makeCar('Y', 0, 0);
+const z = makeCar('Z', 0, 0);
+[x, y, z].forEach((car, i) => { car.lap = 3; car.hasPassedStartLine = true; car.nextCp = 1; car.cpTimes[13] = 90000 + i * 500; car.cpIndex = 13; });
+assert.strictEqual(Standings.markFinished(y, 90000), true);
+assert.strictEqual(Standings.markFinished(y, 95000), false, 'first finish time wins');
+Standings.markFinished(x, 90500);
+z.lap = 2; z.x = 380; z.y = 0; // still racing, further round the lap than the finishers
+table = Standings.computeStandings([x, y, z], checkpoints);
+assert.deepStrictEqual(table.map((e) => e.car.name), ['Y', 'X', 'Z']);
+assert.deepStrictEqual(table[1].gapAhead, { ms: 500, laps: 0 });
+assert.strictEqual(table[0].finished, true);
+assert.strictEqual(table[2].finished, false);
+console.log('--- TEST PASSED: Finishing order ---');
+
+// --- TEST 4: Results classification ---
+x.lapTimes = [30.2, 29.8, 30.5];
+y.lapTimes = [30.0, 29.9, 30.1];
+z.lapTimes = [29.5, 31.0];
+x.pitStops = [{ lap: 2, time: 45, duration: 6.5 }];
+const rows = Standings.buildClassification(Standings.computeStandings([x, y, z], checkpoints));
+assert.deepStrictEqual(rows.map((r) => r.car.name), ['Y', 'X', 'Z']);
+assert.strictEqual(rows[0].totalTime, 90);
+assert.strictEqual(rows[1].totalTime, 90.5);
+assert.strictEqual(rows[2].totalTime, null, 'cars still running have no total time');
+assert.strictEqual(rows[1].bestLap, 29.8);
+assert.deepStrictEqual(rows[2].lapTimes, [29.5, 31.0]);
+assert.deepStrictEqual(rows.map((r) => r.fastestLap), [false, false, true]);
+assert.deepStrictEqual(rows.map((r) => r.pitStops), [0, 1, 0], 'recorded pit stops');
+assert.strictEqual(rows[0].gap, null);
+assert.deepStrictEqual(rows[1].gap, { ms: 500, laps: 0 });
+assert.strictEqual(Standings.formatTime(62.3456), '1:02.346');
+assert.strictEqual(Standings.formatTime(59.9996), '1:00.000');
+assert.strictEqual(Standings.formatTime(9.5), '9.500');
+assert.strictEqual(Standings.formatTime(null), '--');
+console.log('--- TEST PASSED: Results classification ---');
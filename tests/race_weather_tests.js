@@ -0,0 +1,138 @@
+/**
+ * Weather Tests
+ *
+ * Checks RacerWeather on a rectangular circuit: the presets' rain timelines, water rising in
+ * the rain and drying out after it, the track conditions, the dry line cars clear through the
+ * standing water, and that the grip it leaves slows a RacerPhysics car in updateCar.
+ * Run with: node tests/race_weather_tests.js
+ */
+const assert = require('assert');
+const harness = require('./sim_harness.js');
+
+global.window = globalThis;
+require('../race_weather.js');
+const Weather = global.RacerWeather;
+
+// Points every `step` px around a closed polygon
+function densify(corners, step = 10) {
+  const out = [];
+  const pts = corners.concat([corners[0]]);
+  for (let i = 0; i < pts.length - 1; i++) {
+    const a = pts[i], b = pts[i + 1];
+    const n = Math.max(1, Math.round(Math.hypot(b.x - a.x, b.y - a.y) / step));
+    for (let k = 0; k < n; k++) out.push({ x: a.x + (b.x - a.x) * k / n, y: a.y + (b.y - a.y) * k / n });
+  }
+  return out;
+}
+
+(async () => {
+  const { physics } = await harness.loadGameModules('standin');
+  const cfg = Weather.WEATHER_CFG;
+  const near = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+  const roadWidth = 80;
+  // Clockwise on screen: along the top straight to +x, down the right side, back along the bottom
+  const centerline = densify([{ x: 0, y: 0 }, { x: 1000, y: 0 }, { x: 1000, y: 600 }, { x: 0, y: 600 }]);
+  const run = (weather, seconds, cars = []) => {
+    for (let i = 0; i < seconds * 10; i++) Weather.updateWeather(weather, cars, 0.1);
+    return weather;
+  };
+
+  // --- TEST 1: Presets, rain timeline and road cells ---
+  assert.strictEqual(Weather.rainAt('dry', 100), 0);
+  assert.strictEqual(Weather.rainAt('wet', 0), 0.7);
+  assert.strictEqual(Weather.rainAt('changeable', 30), 0, 'a dry start');
+  assert.ok(near(Weather.rainAt('changeable', 60), 0.35), 'the shower builds');
+  assert.strictEqual(Weather.rainAt('changeable', 120), 0.7);
+  assert.strictEqual(Weather.rainAt('changeable', 600), 0, 'and passes');
+  const unknown = Weather.createWeather('monsoon', centerline, roadWidth);
+  assert.strictEqual(unknown.preset, 'dry', 'unknown presets are dry');
+  assert.strictEqual(unknown.water, 0);
+  const wet = Weather.createWeather('wet', centerline, roadWidth);
+  assert.strictEqual(wet.cells, Math.ceil(centerline.length / cfg.cellStride));
+  assert.strictEqual(wet.line.length, wet.cells * cfg.lanes);
+  const mid = Weather.locate(wet, 500, 0);
+  assert.strictEqual(mid % cfg.lanes, Math.floor(cfg.lanes / 2), 'the middle lane on the centerline');
+  assert.strictEqual(Weather.locate(wet, 500, -35) % cfg.lanes, cfg.lanes - 1, 'left of the direction of travel');
+  assert.strictEqual(Weather.locate(wet, 500, 35) % cfg.lanes, 0);
+  assert.strictEqual(Weather.locate(wet, 500, 60), -1, 'off the road');
+  assert.strictEqual(Weather.locate(Weather.createWeather('wet', [], roadWidth), 0, 0), -1, 'no centerline, no cells');
+  console.log('--- TEST PASSED: Presets and road cells ---');
+
+  // --- TEST 2: Water and track conditions ---
+  const dry = run(Weather.createWeather('dry', centerline, roadWidth), 120);
+  assert.strictEqual(dry.water, 0, 'no rain, no water');
+  assert.strictEqual(Weather.conditions(dry), 'dry');
+  assert.strictEqual(Weather.conditions(run(Weather.createWeather('wet', centerline, roadWidth), 60)), 'wet');
+  const damp = run(Weather.createWeather('damp', centerline, roadWidth), 300);
+  assert.ok(near(damp.water, 0.3, 0.02), `drizzle holds the track damp (${damp.water.toFixed(3)})`);
+  assert.strictEqual(Weather.conditions(damp), 'damp');
+  const drying = Weather.createWeather('drying', centerline, roadWidth);
+  assert.strictEqual(Weather.conditions(drying), 'drying');
+  run(drying, 180);
+  assert.ok(drying.water < 0.4 && drying.water > 0, `drying out (${drying.water.toFixed(3)})`);
+  const shower = Weather.createWeather('changeable', centerline, roadWidth);
+  const seen = [];
+  for (let t = 0; t < 900; t += 15) {
+    run(shower, 15);
+    const now = Weather.conditions(shower);
+    if (seen[seen.length - 1] !== now) seen.push(now);
+  }
+  assert.deepStrictEqual(seen, ['dry', 'damp', 'wet', 'drying', 'dry'], 'a shower comes and goes');
+  console.log('--- TEST PASSED: Water and track conditions ---');
+
+  // --- TEST 3: The dry line ---
+  const lined = Weather.createWeather('drying', centerline, roadWidth);
+  const car = { x: 0, y: -25, speed: 900 };
+  // Laps of the top straight in the left-hand lane
+  for (let lap = 0; lap < 30; lap++) {
+    for (let x = 0; x < 1000; x += 900 / 120) {
+      car.x = x;
+      Weather.updateWeather(lined, [car], 1 / 120);
+    }
+  }
+  const onLine = Weather.waterAt(lined, 500, -25);
+  const offLine = Weather.waterAt(lined, 500, 25);
+  assert.ok(near(offLine, lined.water, 1e-6), 'untouched lanes hold the track water');
+  assert.ok(onLine < offLine * 0.6, `a line dries where the car runs (${onLine.toFixed(3)} vs ${offLine.toFixed(3)})`);
+  assert.ok(near(Weather.waterAt(lined, 500, 200, false), lined.water), 'off the road the water stays');
+  const crawl = Weather.createWeather('drying', centerline, roadWidth);
+  for (let i = 0; i < 1200; i++) Weather.updateWeather(crawl, [{ x: 500, y: -25, speed: 50 }], 1 / 120);
+  assert.strictEqual(Weather.waterAt(crawl, 500, -25), Weather.waterAt(crawl, 500, 25), 'a crawling car clears nothing');
+  // Rain fills the line back in
+  lined.preset = 'wet';
+  const before = lined.line[Weather.locate(lined, 500, -25)];
+  run(lined, 60);
+  assert.ok(lined.line[Weather.locate(lined, 500, -25)] > before, 'rain covers the line again');
+  console.log('--- TEST PASSED: The dry line ---');
+
+  // --- TEST 4: Grip in updateCar and replay snapshots ---
+  assert.strictEqual(Weather.wetGrip(0), 1);
+  assert.ok(near(Weather.wetGrip(1), cfg.roadWetGrip));
+  assert.ok(near(Weather.wetGrip(1, false), cfg.offTrackWetGrip));
+  assert.ok(Weather.wetGrip(0.5) > Weather.wetGrip(0.8), 'more water, less grip');
+  // Full lock at speed for a second: less grip, less heading change
+  const corner = (grip) => {
+    const c = harness.makeCar(physics, { x: 0, y: 0, angle: 0 }, 'GT', 0);
+    c.physics.params.usePlanck = false;
+    c.physics.vx = 600;
+    for (let i = 0; i < 120; i++) physics.updateCar(c, { throttle: 0.3, brake: 0, steer: 1 }, { onRoad: true, grip }, 1 / 120);
+    return c;
+  };
+  const inDry = corner(undefined);
+  const inWet = corner(Weather.wetGrip(1));
+  assert.ok(inDry.angle > inWet.angle + 0.05, `standing water turns less (${inDry.angle.toFixed(2)} vs ${inWet.angle.toFixed(2)})`);
+  assert.ok(Math.abs(corner(1).angle - inDry.angle) < 1e-9, 'grip 1 is the dry surface');
+
+  const snap = Weather.captureWeather(lined);
+  const time = lined.time, water = lined.water, cell = lined.line[0];
+  run(lined, 30, [car]);
+  lined.line[0] = 0.1;
+  Weather.restoreWeather(lined, snap);
+  assert.deepStrictEqual([lined.time, lined.water, lined.line[0]], [time, water, cell], 'restored');
+  lined.line[0] = 0.2;
+  assert.strictEqual(snap.line[0], cell, 'the snapshot is a copy');
+  console.log('--- TEST PASSED: Grip in updateCar and replay snapshots ---');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
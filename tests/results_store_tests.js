@@ -0,0 +1,72 @@
+/**
+ * Results Store Tests
+ *
+ * Checks the race history helpers of TrackStore: result keys, history filtering and the
+ * personal bests summarized from it (no IndexedDB needed).
+ * Run with: node tests/results_store_tests.js
+ */
+const assert = require('assert');
+
+global.window = globalThis;
+require('../track_storage.js');
+const Store = global.TrackStore;
+
+const base = { trackId: 'Test', trackName: 'Test Circuit', kind: 'GT', modeId: 'gt', gameMode: 'race', laps: 3, fieldSize: 5 };
+const history = [
+  { ...base, id: 'a', difficulty: 'hard', finished: true, position: 2, totalTime: 64.2, bestLap: 20.9, recordedAt: 1000 },
+  { ...base, id: 'b', difficulty: 'hard', finished: true, position: 1, totalTime: 63.1, bestLap: 20.6, recordedAt: 3000 },
+  { ...base, id: 'c', difficulty: 'easy', finished: true, position: 1, totalTime: 66.0, bestLap: 21.4, recordedAt: 2000 },
+  { ...base, id: 'd', difficulty: 'hard', finished: false, position: 1, totalTime: null, bestLap: 20.1, recordedAt: 4000 },
+  { ...base, id: 'e', kind: 'F1', difficulty: null, gameMode: 'time_trial', fieldSize: 1, finished: false, position: 1, bestLap: 22.5, recordedAt: 5000 },
+  { ...base, id: 'f', trackId: 'Bendy_Vibes', difficulty: 'hard', finished: true, position: 4, totalTime: 80, bestLap: 26, recordedAt: 6000 },
+].map((entry) => ({ ...entry, key: Store.resultKey(entry.trackId, entry.kind, entry.modeId, entry.difficulty) }));
+
+// --- TEST 1: Result keys ---
+assert.strictEqual(Store.resultKey('Test', 'GT', 'gt', 'hard'), 'Test|GT|gt|hard');
+assert.strictEqual(Store.resultKey('custom:abc', 'F1', 'openwheel', null), 'custom:abc|F1|openwheel|solo');
+assert.strictEqual(Store.resultKey(), 'unknown|GT|grip|solo');
+console.log('--- TEST PASSED: Result keys ---');
+
+// --- TEST 2: Filtering ---
+const ids = (list) => list.map((r) => r.id).join('');
+assert.strictEqual(ids(Store.filterResults(history)), 'fedbca', 'newest first');
+assert.strictEqual(ids(Store.filterResults(history, { trackId: 'Test', difficulty: 'hard' })), 'dba');
+assert.strictEqual(ids(Store.filterResults(history, { difficulty: null })), 'e', 'null selects solo sessions');
+assert.strictEqual(ids(Store.filterResults(history, { gameMode: 'race', kind: 'GT', since: 2500 })), 'fdb');
+assert.strictEqual(ids(Store.filterResults(history, { kind: '' })), 'fedbca', 'empty filter values are ignored');
+console.log('--- TEST PASSED: Filtering ---');
+
+// --- TEST 3: Personal bests ---
+const bests = Store.summarizeResults(history);
+assert.deepStrictEqual(bests.map((pb) => pb.key), ['Bendy_Vibes|GT|gt|hard', 'Test|F1|gt|solo', 'Test|GT|gt|hard', 'Test|GT|gt|easy']);
+const hard = bests.find((pb) => pb.key === 'Test|GT|gt|hard');
+assert.strictEqual(hard.bestLap, 20.1, 'laps from unfinished sessions still count');
+assert.strictEqual(hard.bestLapAt, 4000);
+assert.strictEqual(hard.races, 3);
+assert.strictEqual(hard.wins, 1, 'only classified finishes count as wins');
+assert.strictEqual(hard.bestPosition, 1);
+assert.strictEqual(hard.lastRaced, 4000);
+const solo = bests.find((pb) => pb.key === 'Test|F1|gt|solo');
+assert.strictEqual(solo.difficulty, null);
+assert.strictEqual(solo.bestPosition, null, 'solo sessions have no finishing position');
+assert.strictEqual(solo.wins, 0);
+console.log('--- TEST PASSED: Personal bests ---');
+
+// --- TEST 4: saveResult fills in ids and keys ---
+const origWarn = console.warn;
+console.warn = () => {};
+Store.saveResult({ trackId: 'Test', kind: 'Truck', modeId: 'truck', difficulty: 'medium', lapTimes: [30, 29], bestLap: 29 }).then((entry) => {
+  console.warn = origWarn;
+  assert.ok(entry.id, 'id assigned');
+  assert.strictEqual(entry.key, 'Test|Truck|truck|medium');
+  assert.ok(entry.recordedAt > 0);
+  assert.deepStrictEqual(entry.lapTimes, [30, 29]);
+  assert.deepStrictEqual(entry.pitStops, [], 'no pit stops recorded');
+  return assert.rejects(Store.saveResult({ kind: 'GT' }), /requires a trackId/);
+}).then(() => {
+  console.log('--- TEST PASSED: saveResult ---');
+}).catch((err) => {
+  console.warn = origWarn;
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,690 @@
+/**
+ * Headless Simulation Harness
+ *
+ * Runs AI cars around a builtin track with no DOM: physics.js (and src/gearbox.js through it),
+ * ai/racer_ai.js and builtin_tracks.js are loaded straight into Node, the track is prepared the
+ * way loadTrack() in racer.html prepares it, and the cars are stepped at the game's fixed
+ * 120 Hz physics rate. Prints the finishing order (race_standings.js), lap times, off-track
+ * counts, car-to-car collisions and on-track passes per car. With --drivers <seed> each car gets
+ * a driver profile (ai/driver_profiles.js) and its mistakes are counted; the seed keeps the
+ * field and every mistake the same from run to run. With --frame-hz the steps are taken the way
+ * the game's frame loop takes them, through race_loop.js's fixed-step accumulator, fed frames
+ * of 1/frame-hz seconds.
+ *
+ * Planck comes from node_modules ('planck-js', the version the game loads, or 'planck') when installed; otherwise a small
+ * stand-in (PlanckStandIn below) integrates the car bodies with Planck's semi-implicit Euler
+ * and resolves car contacts as discs. Lap times differ a little between the two.
+ *
+ * Run with: node tests/sim_harness.js [--track Test] [--laps 3] [--cars 4] [--difficulty medium|easy,hard]
+ *           [--kind GT] [--surface glacier] [--width-scale 2.5] [--max-time 600] [--planck auto|standin]
+ *           [--drivers 1] [--frame-hz 60] [--json]
+ *
+ * Exits non-zero when a car fails to finish, a car state goes non-finite, or no lap completes.
+ */
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const SCALE_DEFAULT = 2.5; // racer.html default WIDTH_SCALE
+const CHECKPOINT_COUNT = 12;
+const LAP_DEBOUNCE_MS = 500;
+const CONTACT_GAP_MS = 250; // a pair must separate this long before a new contact counts
+const ORDER_SAMPLE_MS = 250; // running order is sampled this often to count passes
+const ROOT = path.join(__dirname, '..');
+
+// The game's step rate and frame loop, shared with racer.html
+global.window = globalThis;
+require(path.join(ROOT, 'race_loop.js'));
+const { PHYSICS_HZ, PHYSICS_DT } = global.RacerLoop;
+
+// Collider sizes mirror CarProfiles in racer.html
+const CAR_PROFILES = {
+  F1: { width: 18, length: 44, colliderWidth: 18, colliderLength: 44 },
+  GT: { width: 24, length: 45, colliderWidth: 20, colliderLength: 39 },
+  Rallycross: { width: 27, length: 51, colliderWidth: 19, colliderLength: 42 },
+  Truck: { width: 29, length: 60, colliderWidth: 22, colliderLength: 58 },
+  Bubble: { width: 16, length: 40, colliderWidth: 16, colliderLength: 38 }
+};
+
+// ===== Planck stand-in =====
+// Just the surface physics.js touches: Vec2, World (createBody/destroyBody/step) and dynamic
+// bodies with forces, damping and box mass. Static fixtures (edges, chains) are accepted but
+// never collide; the game builds none for builtin tracks without decor walls anyway.
+const PlanckStandIn = (() => {
+  function Vec2(x, y) {
+    if (!(this instanceof Vec2)) return new Vec2(x, y);
+    this.x = x || 0;
+    this.y = y || 0;
+  }
+
+  function Box(hx, hy) {
+    return { type: 'box', hx, hy };
+  }
+  function Edge(a, b) {
+    return { type: 'edge', a, b };
+  }
+  function Chain(vertices, loop) {
+    return { type: 'chain', vertices, loop: !!loop };
+  }
+
+  function Fixture(body, shape, def) {
+    this.body = body;
+    this.shape = shape;
+    this.density = def.density || 0;
+    this.friction = def.friction ?? 0.2;
+    this.restitution = def.restitution || 0;
+    this.next = null;
+  }
+  Fixture.prototype.getNext = function () { return this.next; };
+  Fixture.prototype.setFriction = function (v) { this.friction = v; };
+  Fixture.prototype.setRestitution = function (v) { this.restitution = v; };
+
+  function Body(world, def = {}) {
+    this.world = world;
+    this.type = def.type || 'static';
+    this.p = Vec2(def.position ? def.position.x : 0, def.position ? def.position.y : 0);
+    this.a = def.angle || 0;
+    this.v = Vec2(0, 0);
+    this.w = 0;
+    this.force = Vec2(0, 0);
+    this.torque = 0;
+    this.linearDamping = def.linearDamping || 0;
+    this.angularDamping = def.angularDamping || 0;
+    this.mass = 0;
+    this.invMass = 0;
+    this.invI = 0;
+    this.radius = 0;
+    this.fixtures = null;
+  }
+  Body.prototype.createFixture = function (shape, def = {}) {
+    const fix = new Fixture(this, shape, typeof def === 'number' ? { density: def } : def);
+    fix.next = this.fixtures;
+    this.fixtures = fix;
+    if (this.type === 'dynamic' && shape.type === 'box') {
+      const w = shape.hx * 2;
+      const h = shape.hy * 2;
+      this.mass = fix.density * w * h;
+      this.invMass = this.mass > 0 ? 1 / this.mass : 0;
+      const I = this.mass * (w * w + h * h) / 12;
+      this.invI = I > 0 ? 1 / I : 0;
+      // Contact disc around the long half-extent: nose-to-tail contacts land where the boxes
+      // meet; side-by-side cars are kept a little further apart than Planck would
+      this.radius = Math.max(shape.hx, shape.hy);
+    }
+    return fix;
+  };
+  Body.prototype.getFixtureList = function () { return this.fixtures; };
+  Body.prototype.getPosition = function () { return this.p; };
+  Body.prototype.getAngle = function () { return this.a; };
+  Body.prototype.getLinearVelocity = function () { return this.v; };
+  Body.prototype.getAngularVelocity = function () { return this.w; };
+  Body.prototype.getWorldCenter = function () { return this.p; };
+  Body.prototype.getWorldPoint = function (local) {
+    const c = Math.cos(this.a);
+    const s = Math.sin(this.a);
+    return Vec2(this.p.x + local.x * c - local.y * s, this.p.y + local.x * s + local.y * c);
+  };
+  Body.prototype.setTransform = function (pos, angle) { this.p = Vec2(pos.x, pos.y); this.a = angle; };
+  Body.prototype.setLinearVelocity = function (v) { this.v = Vec2(v.x, v.y); };
+  Body.prototype.setAngularVelocity = function (w) { this.w = w; };
+  Body.prototype.setLinearDamping = function (d) { this.linearDamping = d; };
+  Body.prototype.setAngularDamping = function (d) { this.angularDamping = d; };
+  Body.prototype.setAwake = function () { };
+  Body.prototype.applyForce = function (f, point) {
+    this.force.x += f.x;
+    this.force.y += f.y;
+    if (point) this.torque += (point.x - this.p.x) * f.y - (point.y - this.p.y) * f.x;
+  };
+  Body.prototype.applyTorque = function (t) { this.torque += t; };
+
+  function World() {
+    this.bodies = new Set();
+  }
+  World.prototype.setAllowSleeping = function () { };
+  World.prototype.createBody = function (def) {
+    const body = new Body(this, def);
+    this.bodies.add(body);
+    return body;
+  };
+  World.prototype.destroyBody = function (body) { this.bodies.delete(body); };
+  World.prototype.step = function (dt) {
+    const dynamic = [];
+    for (const b of this.bodies) if (b.type === 'dynamic' && b.invMass > 0) dynamic.push(b);
+    // Velocities (semi-implicit Euler with Planck's damping form)
+    for (const b of dynamic) {
+      b.v.x += dt * b.invMass * b.force.x;
+      b.v.y += dt * b.invMass * b.force.y;
+      b.w += dt * b.invI * b.torque;
+      const lin = 1 / (1 + dt * b.linearDamping);
+      b.v.x *= lin;
+      b.v.y *= lin;
+      b.w *= 1 / (1 + dt * b.angularDamping);
+      b.force = Vec2(0, 0);
+      b.torque = 0;
+    }
+    // Disc contacts between cars
+    for (let i = 0; i < dynamic.length; i++) {
+      for (let j = i + 1; j < dynamic.length; j++) {
+        const A = dynamic[i];
+        const B = dynamic[j];
+        const dx = B.p.x - A.p.x;
+        const dy = B.p.y - A.p.y;
+        const dist = Math.hypot(dx, dy);
+        const overlap = A.radius + B.radius - dist;
+        if (overlap <= 0 || dist < 1e-9) continue;
+        const nx = dx / dist;
+        const ny = dy / dist;
+        const invSum = A.invMass + B.invMass;
+        const vn = (B.v.x - A.v.x) * nx + (B.v.y - A.v.y) * ny;
+        if (vn < 0) {
+          const e = Math.min(A.fixtures.restitution, B.fixtures.restitution);
+          const jn = -(1 + e) * vn / invSum;
+          A.v.x -= jn * A.invMass * nx; A.v.y -= jn * A.invMass * ny;
+          B.v.x += jn * B.invMass * nx; B.v.y += jn * B.invMass * ny;
+        }
+        const push = overlap / invSum;
+        A.p.x -= push * A.invMass * nx; A.p.y -= push * A.invMass * ny;
+        B.p.x += push * B.invMass * nx; B.p.y += push * B.invMass * ny;
+      }
+    }
+    // Positions
+    for (const b of dynamic) {
+      b.p.x += dt * b.v.x;
+      b.p.y += dt * b.v.y;
+      b.a += dt * b.w;
+    }
+  };
+
+  return { Vec2, Box, Edge, Chain, World, isStandIn: true };
+})();
+
+function loadPlanck(mode) {
+  if (mode !== 'standin') {
+    for (const name of ['planck-js', 'planck']) {
+      try {
+        const mod = require(name);
+        return mod.default || mod;
+      } catch (_) { /* not installed */ }
+    }
+  }
+  return PlanckStandIn;
+}
+
+let modulesReady = null;
+
+// Load the browser scripts into this process once; physics.js is an ES module.
+function loadGameModules(planckMode) {
+  if (modulesReady) return modulesReady;
+  global.window = globalThis;
+  global.planck = loadPlanck(planckMode);
+  require(path.join(ROOT, 'utils/utils.js'));
+  require(path.join(ROOT, 'builtin_tracks.js'));
+  require(path.join(ROOT, 'ai/racer_ai.js'));
+  require(path.join(ROOT, 'ai/driver_profiles.js'));
+  require(path.join(ROOT, 'ai/matched_difficulty.js'));
+  require(path.join(ROOT, 'race_standings.js'));
+  modulesReady = import(pathToFileURL(path.join(ROOT, 'physics.js')).href).then(() => ({
+    physics: global.RacerPhysics,
+    ai: global.RacerAI,
+    standings: global.RacerStandings,
+    tracks: global.BUILTIN_TRACKS || {},
+    planck: global.planck
+  }));
+  return modulesReady;
+}
+
+// ===== Track preparation (mirrors loadTrack in racer.html) =====
+
+function interpolate(points, step = 6) {
+  const pts = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i], b = points[i + 1];
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const dist = Math.hypot(dx, dy);
+    const n = Math.max(1, Math.floor(dist / step));
+    for (let j = 0; j < n; j++) {
+      const t = j / n;
+      pts.push({ x: a.x + dx * t, y: a.y + dy * t });
+    }
+  }
+  return pts;
+}
+
+function nearestSegment(centerline, x, y) {
+  let bestI = 0, bestD2 = Infinity;
+  for (let i = 0; i < centerline.length - 1; i++) {
+    const a = centerline[i], b = centerline[i + 1];
+    const abx = b.x - a.x, aby = b.y - a.y;
+    const ab2 = abx * abx + aby * aby || 1;
+    const t = Math.max(0, Math.min(1, ((x - a.x) * abx + (y - a.y) * aby) / ab2));
+    const dx = x - (a.x + abx * t), dy = y - (a.y + aby * t);
+    const d2 = dx * dx + dy * dy;
+    if (d2 < bestD2) { bestD2 = d2; bestI = i; }
+  }
+  return { index: bestI, dist: Math.sqrt(bestD2) };
+}
+
+function headingAtNearest(centerline, x, y) {
+  if (centerline.length < 2) return 0;
+  const { index } = nearestSegment(centerline, x, y);
+  const a = centerline[index], b = centerline[index + 1];
+  return Math.atan2(b.y - a.y, b.x - a.x);
+}
+
+function buildCheckpoints(centerline, roadWidth) {
+  const checkpoints = [];
+  for (let i = 0; i < CHECKPOINT_COUNT; i++) {
+    const idx = Math.floor(i * Math.max(1, centerline.length - 2) / CHECKPOINT_COUNT);
+    const a = centerline[idx];
+    const b = centerline[(idx + 1) % centerline.length];
+    const ang = Math.atan2(b.y - a.y, b.x - a.x);
+    const nx = -Math.sin(ang), ny = Math.cos(ang);
+    const half = roadWidth * 1.5;
+    checkpoints.push({ a: { x: a.x + nx * half, y: a.y + ny * half }, b: { x: a.x - nx * half, y: a.y - ny * half } });
+  }
+  return checkpoints;
+}
+
+// Same two-column grid as buildGridSlots() in racer.html
+function buildGridSlots(startLine, roadWidth, totalCars, forwardAngle) {
+  const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+  const vx = startLine.b.x - startLine.a.x;
+  const vy = startLine.b.y - startLine.a.y;
+  const lineLen = Math.hypot(vx, vy) || 1;
+  const across = { x: vx / lineLen, y: vy / lineLen };
+  let forward = { x: -across.y, y: across.x };
+  if (Math.cos(forwardAngle) * forward.x + Math.sin(forwardAngle) * forward.y < 0) {
+    forward = { x: -forward.x, y: -forward.y };
+  }
+  const origin = { x: (startLine.a.x + startLine.b.x) * 0.5, y: (startLine.a.y + startLine.b.y) * 0.5 };
+  const slotWidth = clamp(roadWidth * 0.22, 14, Math.min(roadWidth * 0.5, 48));
+  const slotLength = clamp(roadWidth * 0.65, 28, 90);
+  const rowGap = Math.max(slotLength * 0.9, 26);
+  const startGap = Math.max(slotLength * 0.35, 8);
+  const laneSpacing = totalCars === 1 ? 0 : Math.max(slotWidth + 8, Math.min(roadWidth * 0.45, slotWidth * 1.8));
+  const columns = totalCars === 1 ? 1 : 2;
+  const lateralOffsets = columns === 1 ? [0] : [-laneSpacing * 0.5, laneSpacing * 0.5];
+  const slots = [];
+  for (let i = 0; i < totalCars; i++) {
+    const row = Math.floor(i / columns);
+    const forwardOffset = -(row * rowGap + slotLength * 0.6 + startGap);
+    const lateralOffset = lateralOffsets[columns === 1 ? 0 : i % columns];
+    slots.push({
+      x: origin.x + forwardOffset * forward.x + lateralOffset * across.x,
+      y: origin.y + forwardOffset * forward.y + lateralOffset * across.y,
+      angle: Math.atan2(forward.y, forward.x)
+    });
+  }
+  return slots;
+}
+
+function findTrack(tracks, name) {
+  if (tracks[name]) return { key: name, track: tracks[name] };
+  const wanted = String(name).toLowerCase().replace(/[\s_]+/g, ' ');
+  for (const [key, track] of Object.entries(tracks)) {
+    if (key.toLowerCase().replace(/_/g, ' ') === wanted || String(track.name || '').toLowerCase() === wanted) {
+      return { key, track };
+    }
+  }
+  return null;
+}
+
+/**
+ * Prepare centerline, racing line, checkpoints and start line for a builtin track.
+ * Builtin tracks are baked (isCustom), so their geometry is used at scale 1 like in the game.
+ */
+function prepareTrack(ai, track, widthScale) {
+  const roadWidth = (track.roadWidth || 80) * widthScale;
+  const centerline = interpolate(track.points, 6);
+  const startLine = (track.startLine && track.startLine.a && track.startLine.b)
+    ? track.startLine
+    : { a: track.points[0], b: track.points[1] || track.points[0] };
+  let racingLine = Array.isArray(track.racingLine) && track.racingLine.length
+    ? track.racingLine.map((node) => ({ ...node }))
+    : null;
+  if (!racingLine) {
+    const defaults = ai.DEFAULT_LINE_CFG || {};
+    racingLine = ai.buildRacingLine(centerline, roadWidth, {
+      straightSpeed: defaults.straightSpeed,
+      cornerSpeedFloor: defaults.cornerSpeedFloor
+    }) || [];
+  }
+  const spawn = (track.spawn && track.spawn.player) || startLine.a;
+  return {
+    surface: track.textureId || 'tarmac-pro',
+    roadWidth,
+    centerline,
+    racingLine,
+    startLine,
+    checkpoints: buildCheckpoints(centerline, roadWidth),
+    startHeading: headingAtNearest(centerline, spawn.x, spawn.y)
+  };
+}
+
+// ===== Per-step helpers =====
+
+function carCorners(car) {
+  const hl = car.length / 2, hw = car.width / 2;
+  const c = Math.cos(car.angle), s = Math.sin(car.angle);
+  return [[hl, hw], [hl, -hw], [-hl, -hw], [-hl, hw]].map(([lx, ly]) => ({
+    x: car.x + lx * c - ly * s,
+    y: car.y + lx * s + ly * c
+  }));
+}
+
+// The game samples its road mask (the centerline stroked at roadWidth); distance to the
+// centerline against half the road width is the same test without a canvas.
+function isOnRoad(track, car) {
+  const samples = carCorners(car);
+  samples.push({ x: car.x, y: car.y });
+  let roadCount = 0;
+  for (const s of samples) {
+    if (nearestSegment(track.centerline, s.x, s.y).dist <= track.roadWidth / 2) roadCount++;
+  }
+  return roadCount >= 3;
+}
+
+function segmentsIntersect(p1, p2, p3, p4) {
+  const det = (p2.x - p1.x) * (p4.y - p3.y) - (p4.x - p3.x) * (p2.y - p1.y);
+  if (det === 0) return false;
+  const lambda = ((p4.y - p3.y) * (p4.x - p1.x) + (p3.x - p4.x) * (p4.y - p1.y)) / det;
+  const gamma = ((p1.y - p2.y) * (p4.x - p1.x) + (p2.x - p1.x) * (p4.y - p1.y)) / det;
+  return (0 <= lambda && lambda <= 1) && (0 <= gamma && gamma <= 1);
+}
+
+// checkLaps() from racer.html, recording every lap time instead of just the best
+function checkLaps(track, car, now, standings) {
+  const checkpoints = track.checkpoints;
+  const prev = { x: car.prevX ?? car.x, y: car.prevY ?? car.y };
+  for (let i = 0; i < 3; i++) {
+    const idx = (car.nextCp + i) % checkpoints.length;
+    const cp = checkpoints[idx];
+    if (!segmentsIntersect(prev, car, cp.a, cp.b)) continue;
+    if (now - (car.lastCross || 0) > LAP_DEBOUNCE_MS) {
+      car.nextCp = (idx + 1) % checkpoints.length;
+      if (idx === 0) {
+        car.lastCross = now;
+        if (car.hasPassedStartLine) {
+          car.lap += 1;
+          car.lapTimes.push((now - car.lapStart) / 1000);
+        }
+        car.hasPassedStartLine = true;
+        car.lapStart = now;
+      }
+      standings.recordCheckpoint(car, checkpoints.length, now);
+    }
+    break;
+  }
+  car.prevX = car.x;
+  car.prevY = car.y;
+}
+
+// Separating-axis test on the collider hulls
+function hullsOverlap(a, b) {
+  const axes = [a.angle, a.angle + Math.PI / 2, b.angle, b.angle + Math.PI / 2];
+  const hull = (car) => carCorners({ x: car.x, y: car.y, angle: car.angle, length: car.colliderLength, width: car.colliderWidth });
+  const ha = hull(a), hb = hull(b);
+  for (const ang of axes) {
+    const ax = Math.cos(ang), ay = Math.sin(ang);
+    const project = (pts) => pts.reduce((acc, p) => {
+      const d = p.x * ax + p.y * ay;
+      return [Math.min(acc[0], d), Math.max(acc[1], d)];
+    }, [Infinity, -Infinity]);
+    const [minA, maxA] = project(ha);
+    const [minB, maxB] = project(hb);
+    if (maxA < minB || maxB < minA) return false;
+  }
+  return true;
+}
+
+// ===== Simulation =====
+
+function makeCar(physics, slot, kind, index) {
+  const prof = CAR_PROFILES[kind] || CAR_PROFILES.GT;
+  const car = {
+    x: slot.x, y: slot.y, angle: slot.angle, speed: 0, vx: 0, vy: 0,
+    width: prof.width, length: prof.length, colliderWidth: prof.colliderWidth, colliderLength: prof.colliderLength,
+    kind, label: `AI ${index + 1}`,
+    lap: 0, lastCross: 0, lapStart: 0, hasPassedStartLine: false, nextCp: 0, lapTimes: [],
+    offTrack: 0, offTrackSeconds: 0, onRoad: true, collisions: 0, passes: 0, topSpeed: 0, finishedAt: null
+  };
+  physics.initCar(car, kind);
+  return car;
+}
+
+/**
+ * Run AI cars around a builtin track.
+ * @param {{track?:string, laps?:number, cars?:number, difficulty?:string, kind?:string, surface?:string, widthScale?:number, maxTime?:number, planck?:'auto'|'standin'}} opts
+ *   difficulty may list presets ("easy,hard"), assigned to the grid slots in turn
+ * @returns {Promise<{track:string, planck:string, simTime:number, steps:number, cars:Array<object>, collisions:number, errors:string[]}>}
+ */
+async function runSimulation(opts = {}) {
+  const laps = Math.max(1, Math.round(opts.laps || 3));
+  const carCount = Math.max(1, Math.round(opts.cars || 4));
+  const difficulty = opts.difficulty || 'medium';
+  const presets = String(difficulty).split(',').map((d) => d.trim()).filter(Boolean);
+  const kind = opts.kind || 'GT';
+  const maxTime = opts.maxTime || 600;
+  const { physics, ai, standings, tracks, planck } = await loadGameModules(opts.planck || 'auto');
+
+  const found = findTrack(tracks, opts.track || 'Test');
+  if (!found) throw new Error(`Unknown builtin track "${opts.track}" (have: ${Object.keys(tracks).join(', ')})`);
+  const track = prepareTrack(ai, found.track, opts.widthScale || SCALE_DEFAULT);
+  if (!track.racingLine.length) throw new Error(`Could not build a racing line for "${found.key}"`);
+  const surface = physics.resolveSurfaceId(opts.surface || track.surface);
+
+  const slots = buildGridSlots(track.startLine, track.roadWidth, carCount, track.startHeading);
+  const cars = slots.map((slot, i) => makeCar(physics, slot, kind, i));
+  const gripScale = physics.getSurfaceGrip(surface);
+  const driverSeed = opts.drivers != null && Number.isFinite(Number(opts.drivers)) ? Number(opts.drivers) : null;
+  const drivers = driverSeed != null ? ai.assignDrivers(carCount, driverSeed) : [];
+  cars.forEach((car, i) => {
+    car.difficulty = presets[i % presets.length];
+    car.driver = drivers[i] || null;
+    car.aiController = ai.createController(track.racingLine, car.difficulty, car, {
+      gripScale,
+      roadWidth: track.roadWidth,
+      driver: car.driver,
+      surface,
+      seed: driverSeed != null ? driverSeed + i : undefined
+    });
+  });
+
+  const params = cars[0].physics && cars[0].physics.params;
+  physics.configureTrackCollision([], { ppm: (params && params.pixelsPerMeter) || 30, restitution: (params && params.restitution) || 0 });
+  physics.configureDecorCollision([], []);
+  physics.rebuildPlanckWorld({ cars });
+
+  const errors = [];
+  const lastContact = new Map();
+  let collisions = 0;
+  let passes = 0;
+  let lastOrder = null;
+  let clockMs = 0;
+  let steps = 0;
+  let frames = 0;
+  const maxSteps = Math.ceil(maxTime * PHYSICS_HZ);
+  const running = () => steps < maxSteps && cars.some((c) => c.finishedAt == null);
+
+  const step = () => {
+    steps++;
+    clockMs += PHYSICS_DT * 1000;
+    physics.planckBeginStep(PHYSICS_DT, cars);
+    physics.updateSlipstream(cars);
+    for (const car of cars) {
+      // Finished cars keep driving so they stay in the field like in a race
+      const control = car.aiController.update(car, PHYSICS_DT, { opponents: cars });
+      const onRoad = isOnRoad(track, car);
+      physics.updateCar(car, {
+        throttle: Math.max(0, Math.min(1, control.throttle || 0)),
+        brake: Math.max(0, Math.min(1, control.brake || 0)),
+        steer: Math.max(-1, Math.min(1, control.steer || 0))
+      }, { onRoad, type: surface }, PHYSICS_DT);
+      if (!onRoad) {
+        if (car.onRoad && car.hasPassedStartLine && car.finishedAt == null) car.offTrack++;
+        if (car.finishedAt == null) car.offTrackSeconds += PHYSICS_DT;
+      }
+      car.onRoad = onRoad;
+    }
+    physics.planckStep();
+
+    for (const car of cars) {
+      if (![car.x, car.y, car.angle, car.speed].every(Number.isFinite)) {
+        errors.push(`${car.label}: non-finite state after ${(clockMs / 1000).toFixed(2)} s`);
+        car.finishedAt = clockMs;
+        continue;
+      }
+      car.topSpeed = Math.max(car.topSpeed, car.speed || 0);
+      checkLaps(track, car, clockMs, standings);
+      if (car.finishedAt == null && car.lap >= laps) {
+        car.finishedAt = clockMs;
+        standings.markFinished(car, clockMs);
+      }
+    }
+
+    // A pass: a running car moves ahead of a running car it was behind at the last sample
+    if (steps % Math.round(ORDER_SAMPLE_MS / 1000 * PHYSICS_HZ) === 0) {
+      const order = standings.computeStandings(cars, track.checkpoints).map((s) => s.car);
+      if (lastOrder) {
+        order.forEach((car, pos) => {
+          if (car.finishedAt != null || !car.hasPassedStartLine) return;
+          for (const other of order.slice(pos + 1)) {
+            if (other.finishedAt == null && lastOrder.indexOf(other) < lastOrder.indexOf(car)) {
+              car.passes++;
+              passes++;
+            }
+          }
+        });
+      }
+      lastOrder = order;
+    }
+
+    for (let i = 0; i < cars.length; i++) {
+      for (let j = i + 1; j < cars.length; j++) {
+        if (!hullsOverlap(cars[i], cars[j])) continue;
+        const key = i * cars.length + j;
+        const last = lastContact.get(key);
+        if (last == null || clockMs - last > CONTACT_GAP_MS + PHYSICS_DT * 1000) {
+          collisions++;
+          cars[i].collisions++;
+          cars[j].collisions++;
+        }
+        lastContact.set(key, clockMs);
+      }
+    }
+  };
+
+  if (opts.frameHz) {
+    const loop = global.RacerLoop.createFixedStep(step, running);
+    const frameDt = Math.min(global.RacerLoop.MAX_FRAME_TIME, 1 / opts.frameHz);
+    while (running()) {
+      loop.advance(frameDt);
+      frames++;
+    }
+  } else {
+    while (running()) step();
+  }
+
+  for (const car of cars) {
+    if (car.finishedAt == null) errors.push(`${car.label}: ${car.lap}/${laps} laps after ${maxTime} s`);
+  }
+  if (!cars.some((c) => c.lapTimes.length)) errors.push('No car completed a lap');
+  const order = standings.computeStandings(cars, track.checkpoints);
+
+  return {
+    track: found.key,
+    surface,
+    planck: planck.isStandIn ? 'stand-in' : 'planck',
+    difficulty,
+    kind,
+    laps,
+    simTime: clockMs / 1000,
+    steps,
+    frameHz: opts.frameHz || null,
+    frames,
+    collisions,
+    passes,
+    errors,
+    cars: order.map(({ car, position, gapLeader }) => ({
+      position,
+      label: car.label,
+      difficulty: car.difficulty,
+      driver: car.driver ? car.driver.code : null,
+      mistakes: car.driver ? car.aiController.getDriver().mistakes : null,
+      gapLeader: gapLeader ? standings.formatGap(gapLeader) : '',
+      laps: car.lap,
+      lapTimes: car.lapTimes,
+      bestLap: car.lapTimes.length ? Math.min(...car.lapTimes) : null,
+      totalTime: car.finishedAt != null ? car.finishedAt / 1000 : null,
+      offTrack: car.offTrack,
+      offTrackSeconds: car.offTrackSeconds,
+      collisions: car.collisions,
+      passes: car.passes,
+      topSpeed: car.topSpeed
+    }))
+  };
+}
+
+function formatReport(result) {
+  const fmt = (t) => (t == null ? '-' : t.toFixed(3));
+  const lines = [];
+  lines.push(`Track ${result.track} (${result.surface}) | ${result.cars.length} x ${result.kind} (${result.difficulty}) | ${result.laps} laps | physics ${PHYSICS_HZ} Hz | ${result.planck}`);
+  lines.push('');
+  const widths = [4, 6, 11, 7, 6, 9, 9, 10, 5, 7, 6, 5, 7, 10, 0];
+  const row = (cells) => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('');
+  lines.push(row(['Pos', 'Car', 'Skill', 'Driver', 'Laps', 'Best', 'Total', 'Gap', 'Off', 'Off s', 'Hits', 'Errs', 'Passes', 'Top px/s', 'Lap times']));
+  for (const car of result.cars) {
+    lines.push(row([
+      car.position,
+      car.label,
+      car.difficulty,
+      car.driver || '-',
+      car.laps,
+      fmt(car.bestLap),
+      fmt(car.totalTime),
+      car.gapLeader,
+      car.offTrack,
+      car.offTrackSeconds.toFixed(1),
+      car.collisions,
+      car.mistakes ?? '-',
+      car.passes,
+      car.topSpeed.toFixed(0),
+      car.lapTimes.map(fmt).join(' ')
+    ]));
+  }
+  lines.push('');
+  lines.push(`Simulated ${result.simTime.toFixed(1)} s in ${result.steps} steps, ${result.collisions} car-to-car collisions, ${result.passes} passes`);
+  for (const err of result.errors) lines.push(`ERROR ${err}`);
+  return lines.join('\n');
+}
+
+function parseArgs(argv) {
+  const opts = {};
+  const keys = { track: 'track', laps: 'laps', cars: 'cars', difficulty: 'difficulty', kind: 'kind', surface: 'surface', 'width-scale': 'widthScale', 'max-time': 'maxTime', planck: 'planck', drivers: 'drivers', 'frame-hz': 'frameHz' };
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!m) continue;
+    if (m[1] === 'json') { opts.json = true; continue; }
+    const key = keys[m[1]];
+    if (!key) throw new Error(`Unknown option --${m[1]}`);
+    const raw = m[2] !== undefined ? m[2] : argv[++i];
+    opts[key] = ['laps', 'cars', 'widthScale', 'maxTime', 'drivers', 'frameHz'].includes(key) ? Number(raw) : raw;
+  }
+  return opts;
+}
+
+if (require.main === module) {
+  (async () => {
+    const opts = parseArgs(process.argv.slice(2));
+    const result = await runSimulation(opts);
+    console.log(opts.json ? JSON.stringify(result, null, 2) : formatReport(result));
+    process.exit(result.errors.length ? 1 : 0);
+  })().catch((err) => {
+    console.error(err && err.stack ? err.stack : err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  runSimulation, formatReport, loadGameModules, PlanckStandIn, PHYSICS_HZ,
+  findTrack, prepareTrack, buildGridSlots, makeCar, nearestSegment, SCALE_DEFAULT
+};
@@ -0,0 +1,107 @@
+/**
+ * Headless Simulation Tests
+ *
+ * Drives AI cars around the "Test" builtin track through tests/sim_harness.js (physics.js,
+ * src/gearbox.js and ai/racer_ai.js with no DOM) and checks the laps stay in a sane window,
+ * so handling regressions show up before they reach the game. Also checks that the game's
+ * fixed-step frame loop (race_loop.js) gives the same race at any display refresh rate.
+ * Run with: node tests/sim_harness_tests.js
+ */
+const assert = require('assert');
+const { runSimulation, formatReport, PHYSICS_HZ } = require('./sim_harness.js');
+const Loop = global.RacerLoop;
+
+(async () => {
+  // --- TEST 1: A short race completes cleanly ---
+  const result = await runSimulation({ track: 'Test', laps: 2, cars: 2, difficulty: 'medium', planck: 'standin' });
+  console.log(formatReport(result));
+  assert.deepStrictEqual(result.errors, []);
+  for (const car of result.cars) {
+    assert.strictEqual(car.lapTimes.length, 2, `${car.label} should complete both laps`);
+    for (const t of car.lapTimes) assert.ok(t > 15 && t < 30, `${car.label} lap ${t.toFixed(3)} s outside 15-30 s`);
+    assert.strictEqual(car.offTrack, 0, `${car.label} should stay on the road`);
+    assert.ok(car.topSpeed > 600, `${car.label} top speed ${car.topSpeed.toFixed(0)} px/s too low`);
+  }
+  console.log('--- TEST PASSED: AI laps on Test ---');
+
+  // --- TEST 2: The fixed step makes runs repeatable ---
+  const again = await runSimulation({ track: 'Test', laps: 2, cars: 2, difficulty: 'medium', planck: 'standin' });
+  assert.deepStrictEqual(again.cars.map((c) => c.lapTimes), result.cars.map((c) => c.lapTimes));
+  console.log('--- TEST PASSED: Deterministic runs ---');
+
+  // --- TEST 3: The track surface changes handling ---
+  const bestLap = async (surface, kind) => {
+    const run = await runSimulation({ track: 'Test', laps: 2, cars: 1, surface, kind, planck: 'standin' });
+    assert.strictEqual(run.surface, surface);
+    return run.cars[0].bestLap;
+  };
+  const tarmacGT = await bestLap('tarmac-pro', 'GT');
+  assert.ok(await bestLap('glacier', 'GT') > tarmacGT * 1.2, 'glacier should be much slower than tarmac');
+  const dirtGap = (await bestLap('rally-dirt', 'GT')) - (await bestLap('rally-dirt', 'Rallycross'));
+  const tarmacGap = tarmacGT - (await bestLap('tarmac-pro', 'Rallycross'));
+  assert.ok(dirtGap > tarmacGap, `Rallycross should gain more on dirt (${dirtGap.toFixed(3)} s) than on tarmac (${tarmacGap.toFixed(3)} s)`);
+  console.log('--- TEST PASSED: Surface grip ---');
+
+  // --- TEST 4: Faster cars get past slower ones ---
+  const mixed = await runSimulation({ track: 'Test', laps: 3, cars: 4, difficulty: 'easy,easy,medium,medium', planck: 'standin' });
+  console.log(formatReport(mixed));
+  assert.deepStrictEqual(mixed.errors, []);
+  assert.deepStrictEqual(mixed.cars.slice(0, 2).map((c) => c.difficulty), ['medium', 'medium'], 'medium cars from the back of the grid should finish ahead');
+  assert.ok(mixed.passes >= 4, `only ${mixed.passes} passes`);
+  assert.ok(mixed.collisions <= 3, `${mixed.collisions} car-to-car collisions`);
+  console.log('--- TEST PASSED: Overtaking ---');
+
+  // --- TEST 5: Driver profiles ---
+  const field = await runSimulation({ track: 'Test', laps: 3, cars: 4, difficulty: 'medium', drivers: 2, planck: 'standin' });
+  console.log(formatReport(field));
+  assert.deepStrictEqual(field.errors, [], 'every driver finishes, mistakes and all');
+  assert.strictEqual(new Set(field.cars.map((c) => c.driver)).size, 4, 'four different drivers');
+  assert.ok(field.cars.reduce((sum, c) => sum + c.mistakes, 0) > 0, 'someone makes a mistake');
+  const replayed = await runSimulation({ track: 'Test', laps: 3, cars: 4, difficulty: 'medium', drivers: 2, planck: 'standin' });
+  assert.deepStrictEqual(replayed.cars, field.cars, 'a driver seed repeats the race');
+  console.log('--- TEST PASSED: Driver profiles ---');
+
+  // --- TEST 6: Unknown tracks are reported ---
+  await assert.rejects(runSimulation({ track: 'Nowhere', laps: 1, cars: 1 }), /Unknown builtin track/);
+  console.log('--- TEST PASSED: Track lookup ---');
+
+  // --- TEST 7: Frame rate independence ---
+  // Ten seconds of frames at each rate owe the same 1200 steps; what is not stepped yet is
+  // carried in the accumulator (144 Hz frames add up to a hair under a step)
+  for (const hz of [30, 60, 144]) {
+    let count = 0;
+    const loop = Loop.createFixedStep(() => count++);
+    let alpha = 0;
+    for (let i = 0; i < hz * 10; i++) alpha = loop.advance(1 / hz);
+    assert.strictEqual(Math.round(count + alpha), 10 * PHYSICS_HZ, `${hz} Hz: ${count} steps + ${alpha}`);
+    assert.ok(alpha >= 0 && alpha <= 1);
+  }
+  let hitchSteps = 0;
+  const hitch = Loop.createFixedStep(() => hitchSteps++);
+  assert.strictEqual(hitch.advance(0.5), 1, 'a long frame is capped and its backlog dropped');
+  assert.strictEqual(hitchSteps, Loop.MAX_PHYSICS_STEPS_PER_FRAME);
+  assert.strictEqual(hitchSteps, Math.ceil(Loop.MAX_FRAME_TIME * PHYSICS_HZ));
+  let paused = 0;
+  const stopped = Loop.createFixedStep(() => paused++, () => paused < 3);
+  stopped.advance(0.05);
+  assert.strictEqual(paused, 3, 'no more steps once the race stops');
+  stopped.reset();
+  assert.strictEqual(stopped.alpha, 0);
+  // A whole race through the frame loop: the same steps and the same result at every rate
+  const byFrames = [];
+  for (const frameHz of [30, 60, 144]) {
+    byFrames.push(await runSimulation({ track: 'Test', laps: 1, cars: 2, difficulty: 'medium', planck: 'standin', frameHz }));
+  }
+  const direct = await runSimulation({ track: 'Test', laps: 1, cars: 2, difficulty: 'medium', planck: 'standin' });
+  assert.deepStrictEqual(direct.errors, []);
+  for (const run of byFrames) {
+    assert.deepStrictEqual(run.errors, []);
+    assert.ok(Math.abs(run.frames - run.steps * run.frameHz / PHYSICS_HZ) <= 1, `${run.frameHz} Hz: ${run.frames} frames for ${run.steps} steps`);
+    assert.strictEqual(run.steps, direct.steps, `${run.frameHz} Hz takes the same 120 Hz steps`);
+    assert.deepStrictEqual(run.cars, direct.cars, `${run.frameHz} Hz ends in the same state`);
+  }
+  console.log('--- TEST PASSED: Frame rate independence ---');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,70 @@
+/**
+ * Slipstream Tests
+ *
+ * Checks the wake model in physics.js: the shape of the trailing cone, and that a car in the
+ * tow gains on the car ahead on a straight. Loads the game modules through the headless harness.
+ * Run with: node tests/slipstream_tests.js
+ */
+const assert = require('assert');
+const { loadGameModules, PHYSICS_HZ } = require('./sim_harness.js');
+
+(async () => {
+  const { physics } = await loadGameModules('standin');
+  const dt = 1 / PHYSICS_HZ;
+  const makeCar = (x, y = 0, angle = 0, speed = 0) => {
+    const car = { x, y, angle, vx: speed * Math.cos(angle), vy: speed * Math.sin(angle), speed, width: 24, length: 45, colliderWidth: 20, colliderLength: 39, kind: 'GT' };
+    physics.initCar(car, 'GT');
+    car.physics.vx = car.vx;
+    car.physics.vy = car.vy;
+    return car;
+  };
+
+  // --- TEST 1: Wake cone ---
+  const cfg = physics.slipstream;
+  const leader = makeCar(1000, 0, 0, 900);
+  const wake = (x, y, angle = 0) => physics.slipstreamBetween(leader, makeCar(x, y, angle));
+  const close = wake(900, 0);
+  assert.ok(close.draft > 0.7, `draft ${close.draft.toFixed(2)} right behind`);
+  assert.ok(close.wakeLoss > 0.2, 'the leader loses downforce when followed closely');
+  assert.ok(wake(700, 0).draft < close.draft && wake(700, 0).draft > 0, 'the tow fades with distance');
+  assert.strictEqual(wake(700, 0).wakeLoss, 0, 'only close followers cost the leader downforce');
+  assert.strictEqual(wake(1000 - cfg.range - 10, 0).draft, 0, 'no tow beyond the range');
+  assert.ok(wake(800, 30).draft < wake(800, 0).draft, 'the tow fades off the leader\'s tail');
+  assert.strictEqual(wake(800, 100).draft, 0, 'no tow outside the cone');
+  assert.strictEqual(wake(1100, 0).draft, 0, 'no tow in front of the leader');
+  assert.ok(wake(900, 0, Math.PI / 2).draft < 1e-9, 'no tow driving across the wake');
+  const parked = makeCar(1000, 0, 0, 50);
+  assert.strictEqual(physics.slipstreamBetween(parked, makeCar(900, 0)).draft, 0, 'slow cars leave no useful wake');
+  // updateSlipstream keeps the strongest wake per car
+  const trio = [leader, makeCar(900, 0), makeCar(600, 0)];
+  physics.updateSlipstream(trio);
+  assert.strictEqual(trio[0].physics.draft, 0);
+  assert.ok(trio[1].physics.draft > 0.7 && trio[0].physics.wakeLoss > 0.2);
+  assert.ok(trio[2].physics.draft > 0, 'the third car tows off the second');
+  console.log('--- TEST PASSED: Wake cone ---');
+
+  // --- TEST 2: The tow closes the gap on a straight ---
+  const drive = (xs, seconds) => {
+    const cars = xs.map((x) => makeCar(x));
+    physics.configureTrackCollision([], { ppm: 30, restitution: 0 });
+    physics.configureDecorCollision([], []);
+    physics.rebuildPlanckWorld({ cars });
+    for (let i = 0; i < PHYSICS_HZ * seconds; i++) {
+      physics.planckBeginStep(dt, cars);
+      physics.updateSlipstream(cars);
+      for (const car of cars) physics.updateCar(car, { throttle: 1, brake: 0, steer: 0 }, { onRoad: true }, dt);
+      physics.planckStep();
+    }
+    return cars;
+  };
+  const [solo] = drive([0], 6);
+  const [front, back] = drive([300, 150], 6);
+  assert.ok(Math.abs(front.x - 300 - solo.x) < 1, 'the car ahead is not slowed by the car behind');
+  const gap = front.x - back.x;
+  assert.ok(gap < 120, `gap ${gap.toFixed(0)} px should shrink from 150 px in the tow`);
+  assert.ok(back.speed > front.speed, 'the car in the tow is faster');
+  console.log('--- TEST PASSED: Tow on a straight ---');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+/**
+ * Track Bundle Tests
+ *
+ * Checks the schema validation behind TrackStore.importBundle and that broken bundles are
+ * rejected before anything is stored.
+ * Run with: node tests/track_bundle_tests.js
+ */
+const assert = require('assert');
+
+global.window = globalThis;
+require('../track_storage.js');
+const Store = global.TrackStore;
+
+// Shape of entry.data as written by downloadBundle (<name>_data.json)
+const square = [{ x: 100, y: 100 }, { x: 400, y: 100 }, { x: 400, y: 400 }, { x: 100, y: 400 }, { x: 100, y: 100 }];
+const data = {
+  name: 'Square',
+  world: { width: 500, height: 500, scale: 1 },
+  points: square,
+  roadWidth: 80,
+  textureId: 'rally-dirt',
+  racingLine: square,
+  startLine: { a: { x: 250, y: 60 }, b: { x: 250, y: 140 } },
+  spawn: { player: { x: 220, y: 100, angle: 0 }, ai: { x: 180, y: 100, angle: 0 } },
+  checkpoints: [{ a: { x: 250, y: 60 }, b: { x: 250, y: 140 } }],
+  mask: { width: 500, height: 500, pngData: 'data:image/png;base64,AAAA' },
+  createdAt: 1
+};
+
+// --- TEST 1: Schema validation ---
+assert.deepStrictEqual(Store.validateTrackData(data), []);
+assert.deepStrictEqual(Store.validateTrackData({ points: square, world: { width: 10, height: 10 }, roadWidth: 60 }), [], 'optional fields may be missing');
+assert.deepStrictEqual(Store.validateTrackData([]), ['Track data must be a JSON object']);
+const problems = (patch) => Store.validateTrackData({ ...data, ...patch });
+assert.match(problems({ points: square.slice(0, 2) })[0], /at least 3/);
+assert.match(problems({ points: [...square, { x: 'a', y: 1 }] })[0], /numeric x\/y/);
+assert.match(problems({ world: { width: 0, height: 10 } })[0], /world/);
+assert.match(problems({ roadWidth: -5 })[0], /roadWidth/);
+assert.match(problems({ startLine: { a: { x: 1, y: 1 } } })[0], /startLine/);
+assert.match(problems({ checkpoints: [{ a: { x: 1, y: 1 } }] })[0], /checkpoints/);
+assert.match(problems({ racingLine: 'fast' })[0], /racingLine/);
+assert.match(problems({ pitLane: { points: [{ x: 1, y: 1 }] } })[0], /pitLane/);
+assert.deepStrictEqual(problems({ pitLane: { points: [{ x: 1, y: 1 }, { x: 5, y: 1 }], boxIndex: 1 } }), []);
+assert.strictEqual(problems({ name: 5, textureId: 7 }).length, 2);
+// The points-only exportTrack format is not a bundle
+assert.ok(Store.validateTrackData({ _comment: 'x', name: 'Square', points: square }).length >= 2);
+console.log('--- TEST PASSED: Schema validation ---');
+
+// --- TEST 2: Broken bundles are rejected ---
+const json = (name, value) => new File([typeof value === 'string' ? value : JSON.stringify(value)], name, { type: 'application/json' });
+(async () => {
+  await assert.rejects(Store.importBundle([new File(['x'], 'Square_thumb.png')]), /no _data.json/);
+  await assert.rejects(Store.importBundle(json('Square_data.json', '{ nope')), /not valid JSON/);
+  await assert.rejects(Store.importBundle([json('Square_data.json', { ...data, roadWidth: 0 })]), /Invalid track data: roadWidth/);
+  await assert.rejects(Store.importBundle(new File(['PK'], 'Square_bundle.zip')), /need JSZip/);
+  // A valid bundle gets as far as storage, which node does not have
+  await assert.rejects(Store.importBundle([json('Square_data.json', data)]), /IndexedDB unavailable/);
+  console.log('--- TEST PASSED: Broken bundles rejected ---');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
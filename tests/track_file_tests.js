@@ -0,0 +1,107 @@
+/**
+ * Track Archive Tests
+ *
+ * Round-trips the .rvtrack archive, checks its validation messages and the TrackStore
+ * migration pipeline for older track entries.
+ * Run with: node tests/track_file_tests.js
+ */
+const assert = require('assert');
+
+global.window = globalThis;
+require('../ghost_file.js');
+require('../track_file.js');
+require('../track_storage.js');
+const TrackFile = global.RacerTrackFile;
+const Store = global.TrackStore;
+
+const square = [{ x: 100, y: 100 }, { x: 400, y: 100 }, { x: 400, y: 400 }, { x: 100, y: 400 }, { x: 100, y: 100 }];
+const mask = { width: 500, height: 500, pngData: 'data:image/png;base64,AAAA' };
+const thumbnail = { pngData: 'data:image/png;base64,BBBB' };
+const decor = { version: 1, mapping: { stands: 3 } };
+// A schemaVersion 1 entry: images and decor copied into data, no version field
+const legacyEntry = {
+  id: 'abc',
+  name: 'Square',
+  data: {
+    name: 'Square',
+    world: { width: 500, height: 500, scale: 1 },
+    points: square,
+    roadWidth: 80,
+    racingLine: square,
+    startLine: { a: { x: 250, y: 60 }, b: { x: 250, y: 140 } },
+    mask,
+    thumbnail,
+    decor
+  },
+  mask,
+  thumbnail,
+  createdAt: 5,
+  updatedAt: 6
+};
+
+// --- TEST 1: Entry migrations ---
+const migrated = Store.migrateTrackEntry(legacyEntry);
+assert.strictEqual(migrated.schemaVersion, Store.TRACK_SCHEMA_VERSION);
+assert.strictEqual(migrated.id, 'abc');
+assert.deepStrictEqual(migrated.mask, mask);
+assert.deepStrictEqual(migrated.decor, decor, 'decor moves to the entry');
+assert.ok(!('mask' in migrated.data) && !('thumbnail' in migrated.data) && !('decor' in migrated.data));
+assert.deepStrictEqual(migrated.data.racingLine, square, 'racing line stays with the geometry');
+assert.ok('mask' in legacyEntry.data, 'the input entry is not mutated');
+assert.strictEqual(Store.migrateTrackEntry(migrated), migrated, 'current entries pass through');
+const future = { ...migrated, schemaVersion: Store.TRACK_SCHEMA_VERSION + 1 };
+assert.strictEqual(Store.migrateTrackEntry(future), future, 'newer entries are left alone');
+// Entries that only had images inside data keep them
+const dataOnly = Store.migrateTrackEntry({ ...legacyEntry, mask: undefined, thumbnail: undefined });
+assert.deepStrictEqual(dataOnly.mask, mask);
+assert.deepStrictEqual(dataOnly.thumbnail, thumbnail);
+console.log('--- TEST PASSED: Entry migrations ---');
+
+// --- TEST 2: Archive round-trip ---
+const text = TrackFile.serialize(migrated);
+const doc = JSON.parse(text);
+assert.strictEqual(doc.manifest.format, 'rvtrack');
+assert.strictEqual(doc.manifest.version, TrackFile.FORMAT_VERSION);
+assert.strictEqual(doc.manifest.schemaVersion, Store.TRACK_SCHEMA_VERSION);
+assert.strictEqual(doc.manifest.fingerprint, global.RacerGhostFile.trackFingerprint(square, 80));
+assert.deepStrictEqual(doc.manifest.contents, ['data', 'mask', 'thumbnail', 'decor', 'racingLine']);
+assert.ok(!('racingLine' in doc.data), 'racing line has its own section');
+const parsed = TrackFile.parse(text);
+assert.strictEqual(parsed.name, 'Square');
+assert.strictEqual(parsed.createdAt, 5);
+assert.deepStrictEqual(parsed.data, migrated.data);
+assert.deepStrictEqual(parsed.mask, mask);
+assert.deepStrictEqual(parsed.thumbnail, thumbnail);
+assert.deepStrictEqual(parsed.decor, decor);
+// A legacy entry exports the same sections
+assert.deepStrictEqual(TrackFile.createTrackFile(legacyEntry).decor, decor);
+// Optional sections are left out of the contents
+const bare = TrackFile.createTrackFile({ name: 'Bare', data: { points: square, world: { width: 500, height: 500 }, roadWidth: 80 } });
+assert.deepStrictEqual(bare.manifest.contents, ['data']);
+assert.strictEqual(TrackFile.parse(bare).mask, null);
+console.log('--- TEST PASSED: Archive round-trip ---');
+
+// --- TEST 3: Broken archives are rejected ---
+assert.throws(() => TrackFile.createTrackFile({ name: 'Empty', data: { points: [] } }), /no geometry/);
+assert.throws(() => TrackFile.parse('{ nope'), /invalid JSON/);
+assert.throws(() => TrackFile.parse({ manifest: { format: 'rvghost', version: 1 }, data: {} }), /Not a RacingVibes track file/);
+assert.throws(() => TrackFile.parse({ ...doc, manifest: { ...doc.manifest, version: 0 } }), /format version/);
+assert.throws(() => TrackFile.parse({ ...doc, manifest: { ...doc.manifest, version: 99 } }), /newer than this game/);
+assert.throws(() => TrackFile.parse({ manifest: doc.manifest }), /no track data/);
+assert.throws(() => TrackFile.parse({ ...doc, mask: null, decor: null }), /missing mask, decor/);
+console.log('--- TEST PASSED: Broken archives rejected ---');
+
+// --- TEST 4: Import checks the archive before storage ---
+const archive = (name, value) => new File([typeof value === 'string' ? value : JSON.stringify(value)], name);
+(async () => {
+  await assert.rejects(Store.importBundle(archive('Square.rvtrack', '{ nope')), /invalid JSON/);
+  const newer = { ...doc, manifest: { ...doc.manifest, schemaVersion: Store.TRACK_SCHEMA_VERSION + 1 } };
+  await assert.rejects(Store.importBundle(archive('Square.rvtrack', newer)), /newer version/);
+  await assert.rejects(Store.importBundle(archive('Square.rvtrack', { ...doc, data: { ...doc.data, roadWidth: 0 } })), /Invalid track data: roadWidth/);
+  // A valid archive gets as far as storage, which node does not have
+  await assert.rejects(Store.importBundle(archive('Square.rvtrack', text)), /IndexedDB unavailable/);
+  console.log('--- TEST PASSED: Archive import validation ---');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+/**
+ * Tyre Model Tests
+ *
+ * Checks physics/tyres.js through RacerPhysics: the temperature window and wear curve, heating
+ * from sliding and cooling on a straight, and that updateCar runs on the tyres' grip (legacy
+ * integrator) and keeps them in replay snapshots.
+ * Run with: node tests/tyres_tests.js
+ */
+const assert = require('assert');
+const harness = require('./sim_harness.js');
+
+(async () => {
+  const { physics } = await harness.loadGameModules('standin');
+  const cfg = physics.tyres;
+  const near = (a, b) => Math.abs(a - b) < 1e-9;
+  const tyresAt = (temp, wear = 0) => {
+    const tyres = physics.createTyres(temp);
+    tyres.front.wear = wear;
+    tyres.rear.wear = wear;
+    return tyres;
+  };
+  const grip = (temp, wear) => physics.tyreGrip(tyresAt(temp, wear)).front;
+
+  // --- TEST 1: Temperature window and wear curve ---
+  assert.deepStrictEqual(physics.tyreGrip(null), { front: 1, rear: 1 }, 'no tyre state, no change');
+  assert.strictEqual(grip(cfg.windowLow), 1);
+  assert.strictEqual(grip(cfg.windowHigh), 1);
+  assert.ok(near(grip(cfg.ambient), cfg.coldGrip), 'cold tyres');
+  assert.ok(grip(cfg.ambient) < grip(cfg.windowLow - 10) && grip(cfg.windowLow - 10) < 1, 'warming up');
+  assert.ok(grip(cfg.windowHigh + 10) < 1 && grip(cfg.windowHigh + 10) > grip(cfg.windowHigh + 20), 'overheating');
+  assert.ok(near(grip(cfg.maxTemp), cfg.hotGrip), 'overheating bottoms out');
+  const worn = (wear) => grip(cfg.windowLow, wear);
+  assert.ok(near(worn(cfg.cliff), 1 - cfg.wearLoss), 'gentle fall to the cliff');
+  assert.ok(near(worn(1), 1 - cfg.wearLoss - cfg.cliffLoss), 'fully worn');
+  const before = (worn(cfg.cliff) - worn(cfg.cliff - 0.1)) / 0.1;
+  const after = (worn(cfg.cliff + 0.1) - worn(cfg.cliff)) / 0.1;
+  assert.ok(Math.abs(after) > Math.abs(before) * 3, 'grip falls away faster past the cliff');
+  const mixed = physics.createTyres(cfg.windowLow);
+  mixed.rear.temp = cfg.ambient;
+  assert.deepStrictEqual(physics.tyreGrip(mixed), { front: 1, rear: cfg.coldGrip }, 'axles are separate');
+  console.log('--- TEST PASSED: Temperature window and wear curve ---');
+
+  // --- TEST 2: Heating, cooling and wear ---
+  const run = (tyres, inputs, seconds) => {
+    for (let t = 0; t < seconds; t += 1 / 120) physics.updateTyres(tyres, inputs, 1 / 120);
+    return tyres;
+  };
+  const cruise = run(tyresAt(100), { speed: 900, slipF: 0, slipR: 0 }, 30);
+  assert.ok(cruise.front.temp < 50 && cruise.front.temp >= cfg.ambient, `cool down on a straight (${cruise.front.temp.toFixed(1)})`);
+  assert.strictEqual(cruise.front.wear, 0, 'no sliding, no wear');
+  const smooth = run(tyresAt(cfg.startTemp), { speed: 700, slipF: 0.07, slipR: 0.05 }, 30);
+  const rough = run(tyresAt(cfg.startTemp), { speed: 700, slipF: 0.2, slipR: 0.15 }, 30);
+  assert.ok(smooth.front.temp > cfg.startTemp && rough.front.temp > smooth.front.temp, 'sliding heats');
+  assert.ok(rough.front.wear > smooth.front.wear * 3, `hard driving wears faster (${smooth.front.wear.toFixed(3)} vs ${rough.front.wear.toFixed(3)})`);
+  assert.ok(smooth.front.temp > smooth.rear.temp, 'the sliding axle runs hotter');
+  const braking = run(tyresAt(cfg.startTemp), { speed: 700, slipF: 0, slipR: 0, longF: 1 }, 5);
+  assert.ok(braking.front.temp > braking.rear.temp && braking.rear.wear === 0, 'braking works the front');
+  console.log('--- TEST PASSED: Heating, cooling and wear ---');
+
+  // --- TEST 3: Grip in updateCar ---
+  // Full lock at speed for a second: less grip, less heading change
+  const corner = (tyres) => {
+    const car = harness.makeCar(physics, { x: 0, y: 0, angle: 0 }, 'GT', 0);
+    car.physics.params.usePlanck = false;
+    car.physics.vx = 600;
+    car.tyres = tyres;
+    for (let i = 0; i < 120; i++) physics.updateCar(car, { throttle: 0.3, brake: 0, steer: 1 }, { onRoad: true }, 1 / 120);
+    return car;
+  };
+  const fresh = corner(tyresAt(90));
+  const wornOut = corner(tyresAt(90, 1));
+  const cold = corner(tyresAt(cfg.ambient));
+  assert.ok(fresh.angle > wornOut.angle + 0.05, `worn tyres turn less (${fresh.angle.toFixed(2)} vs ${wornOut.angle.toFixed(2)})`);
+  assert.ok(fresh.angle > cold.angle + 0.02, `cold tyres turn less (${fresh.angle.toFixed(2)} vs ${cold.angle.toFixed(2)})`);
+  assert.ok(fresh.tyres.front.temp > 90 && fresh.tyres.front.wear > 0, 'cornering works the tyres');
+  const untracked = corner(undefined);
+  assert.strictEqual(untracked.tyres, undefined);
+  assert.ok(Math.abs(untracked.angle - fresh.angle) < 0.01, 'cars without tyres drive on fresh grip');
+  console.log('--- TEST PASSED: Grip in updateCar ---');
+
+  // --- TEST 4: Replay snapshots ---
+  const snapCar = harness.makeCar(physics, { x: 0, y: 0, angle: 0 }, 'GT', 0);
+  snapCar.tyres = tyresAt(95, 0.2);
+  const snap = physics.captureCarState(snapCar);
+  snapCar.tyres.front.temp = 140;
+  snapCar.tyres.rear.wear = 0.9;
+  physics.restoreCarState(snapCar, snap);
+  assert.deepStrictEqual(snapCar.tyres, tyresAt(95, 0.2), 'restored');
+  snapCar.tyres.front.wear = 0.5;
+  assert.strictEqual(snap.car.tyres.front.wear, 0.2, 'the snapshot is a copy');
+  console.log('--- TEST PASSED: Replay snapshots ---');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -77,7 +77,8 @@
     return (m * 100).toFixed(1) + ' cm';
   }
 
-  // Surface types matching the reference image
+  // Surface types matching the reference image. The id is saved as textureId and selects the
+  // tyre grip/rolling/drag table in RacerPhysics (SURFACE_TYPES in physics.js).
   const SURFACE_TYPES = [
     { id: 'tarmac-pro', name: 'Tarmac Pro', color: '#4a5568', roadColor: '#6b7280' },
     { id: 'rally-dirt', name: 'Rally Dirt', color: '#92400e', roadColor: '#b45309' },
@@ -209,6 +210,36 @@
     return result;
   }
 
+  // resamplePath for an open path (the pit lane): evenly spaced, both ends kept
+  function resampleOpenPath(points, spacing) {
+    if (points.length < 2) return copyPoints(points);
+    const result = [{ ...points[0] }];
+    let accumulated = 0;
+    let prev = points[0];
+    for (let i = 1; i < points.length; i++) {
+      const curr = points[i];
+      let segLen = distance(prev, curr);
+      if (!segLen) continue;
+      while (accumulated + segLen >= spacing) {
+        const ratio = (spacing - accumulated) / segLen;
+        const next = { x: prev.x + (curr.x - prev.x) * ratio, y: prev.y + (curr.y - prev.y) * ratio };
+        result.push(next);
+        segLen -= spacing - accumulated;
+        prev = next;
+        accumulated = 0;
+      }
+      accumulated += segLen;
+      prev = curr;
+    }
+    const last = points[points.length - 1];
+    if (distance(result[result.length - 1], last) > 1) result.push({ ...last });
+    return result;
+  }
+
+  function copyPitLane(pitLane) {
+    return pitLane ? { ...pitLane, points: copyPoints(pitLane.points) } : null;
+  }
+
   function calcCurvature(prev, curr, next) {
     const v1x = curr.x - prev.x;
     const v1y = curr.y - prev.y;
@@ -989,7 +1020,9 @@
       historyIndex: -1,
       lastBakeResult: null,
       isClosed: false,
-      trackName: 'Test'
+      trackName: 'Test',
+      pitLane: null,    // RacerPit.snapPitLane() result: the lane pinned to the circuit
+      pitStroke: null   // pit lane being drawn
     };
 
     // View transform - calculated on resize to fit fixed world to screen
@@ -1095,6 +1128,14 @@
                 </svg>
                 <span>Eraser</span>
               </button>
+              <button class="tb-tool-btn" data-tool="pit" title="Pit Lane: draw from the track, alongside it and back onto it">
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <path d="M3 20h18"></path>
+                  <path d="M5 20c0-6 4-8 7-8s7 2 7 8"></path>
+                  <rect x="9" y="4" width="6" height="5" rx="1"></rect>
+                </svg>
+                <span>Pit Lane</span>
+              </button>
               <button class="tb-tool-btn" data-action="fit" title="Center Track">
                 <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                   <path d="M8 3H5a2 2 0 00-2 2v3"></path>
@@ -1339,6 +1380,13 @@
       this.state.isErasing = true;
       this.eraseAt(pos);
       this.pushHistory();
+    } else if (this.state.tool === 'pit') {
+      if (!this.state.isClosed) {
+        alert('Close the circuit before adding a pit lane.');
+        return;
+      }
+      this.state.isDrawing = true;
+      this.state.pitStroke = [{ x: pos.x, y: pos.y }];
     }
     this.render();
   };
@@ -1358,6 +1406,11 @@
     } else if (this.state.tool === 'erase' && this.state.isErasing) {
       this.eraseAt(pos);
       this.render();
+    } else if (this.state.tool === 'pit' && this.state.isDrawing && this.state.pitStroke) {
+      const stroke = this.state.pitStroke;
+      if (distance(stroke[stroke.length - 1], pos) < SAMPLING_SPACING) return;
+      stroke.push({ x: pos.x, y: pos.y });
+      this.render();
     }
   };
 
@@ -1394,6 +1447,11 @@
       this.state.isErasing = false;
     }
 
+    if (this.state.tool === 'pit' && this.state.isDrawing) {
+      this.state.isDrawing = false;
+      this.finishPitLane();
+    }
+
     this.state.pointerId = null;
   };
 
@@ -1409,7 +1467,33 @@
     }
   };
 
+  // Pin the drawn pit lane to the circuit; both ends have to start and finish on the road
+  TrackBuilder.prototype.finishPitLane = function () {
+    const stroke = this.state.pitStroke;
+    this.state.pitStroke = null;
+    if (!stroke || stroke.length < 2 || !global.RacerPit) {
+      this.render();
+      return;
+    }
+    const visualRoadWidth = this.state.roadWidth * readWidthScale();
+    const path = resampleOpenPath(rdpSimplify(stroke, 2.0), 8);
+    const lane = global.RacerPit.snapPitLane(path, this.state.points, visualRoadWidth * global.RacerPit.PIT_CFG.snapDistance);
+    if (!lane) {
+      alert('Start and finish the pit lane on the track.');
+    } else {
+      this.state.pitLane = lane;
+      this.pushHistory();
+    }
+    this.render();
+  };
+
   TrackBuilder.prototype.eraseAt = function (point) {
+    const lane = this.state.pitLane;
+    if (lane && lane.points.some(p => distance(p, point) <= ERASE_RADIUS)) {
+      this.state.pitLane = null;
+      this.pushHistory();
+      return;
+    }
     const pts = this.state.points;
     if (!pts.length) return;
     const next = pts.filter(p => distance(p, point) > ERASE_RADIUS);
@@ -1482,7 +1566,7 @@
   TrackBuilder.prototype.undo = function () {
     if (this.state.historyIndex <= 0) return;
     this.state.historyIndex -= 1;
-    this.state.points = copyPoints(this.state.history[this.state.historyIndex]);
+    this.restoreSnapshot(this.state.history[this.state.historyIndex]);
     this.updateCircuitStatus();
     this.render();
   };
@@ -1490,13 +1574,14 @@
   TrackBuilder.prototype.redo = function () {
     if (this.state.historyIndex >= this.state.history.length - 1) return;
     this.state.historyIndex += 1;
-    this.state.points = copyPoints(this.state.history[this.state.historyIndex]);
+    this.restoreSnapshot(this.state.history[this.state.historyIndex]);
     this.updateCircuitStatus();
     this.render();
   };
 
   TrackBuilder.prototype.clear = function () {
     this.state.points = [];
+    this.state.pitLane = null;
     this.state.history = [];
     this.state.historyIndex = -1;
     this.state.lastBakeResult = null;
@@ -1507,8 +1592,13 @@
     this.render();
   };
 
+  TrackBuilder.prototype.restoreSnapshot = function (snapshot) {
+    this.state.points = copyPoints(snapshot.points);
+    this.state.pitLane = copyPitLane(snapshot.pitLane);
+  };
+
   TrackBuilder.prototype.pushHistory = function () {
-    const snapshot = copyPoints(this.state.points);
+    const snapshot = { points: copyPoints(this.state.points), pitLane: copyPitLane(this.state.pitLane) };
     this.state.history = this.state.history.slice(0, this.state.historyIndex + 1);
     this.state.history.push(snapshot);
     this.state.historyIndex = this.state.history.length - 1;
@@ -1537,6 +1627,12 @@
       pts[i].x += dx;
       pts[i].y += dy;
     }
+    if (this.state.pitLane) {
+      for (const p of this.state.pitLane.points) {
+        p.x += dx;
+        p.y += dy;
+      }
+    }
 
     this.render();
   };
@@ -1614,6 +1710,9 @@
     ctx.lineJoin = 'round';
     ctx.lineCap = 'round';
 
+    // Pit lane under the circuit
+    this.drawPitLane(ctx, surface, visualRoadWidth);
+
     // Track outline (darker edge)
     ctx.lineWidth = visualRoadWidth + 8;
     ctx.strokeStyle = 'rgba(255,255,255,0.2)';
@@ -1663,6 +1762,51 @@
     ctx.restore();
   };
 
+  // Pit lane (narrower road with the box marked) and the stroke being drawn
+  TrackBuilder.prototype.drawPitLane = function (ctx, surface, visualRoadWidth) {
+    const laneShare = global.RacerPit ? global.RacerPit.PIT_CFG.laneWidth : 0.6;
+    const laneWidth = visualRoadWidth * laneShare;
+    const strokePath = (pts) => {
+      ctx.beginPath();
+      ctx.moveTo(pts[0].x, pts[0].y);
+      for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+      ctx.stroke();
+    };
+    const lane = this.state.pitLane;
+    if (lane && lane.points.length >= 2) {
+      ctx.lineWidth = laneWidth + 8;
+      ctx.strokeStyle = 'rgba(250, 204, 21, 0.35)';
+      strokePath(lane.points);
+      ctx.lineWidth = laneWidth;
+      ctx.strokeStyle = surface.roadColor;
+      strokePath(lane.points);
+
+      // Entry and exit on the circuit, box halfway
+      const first = lane.points[0];
+      const last = lane.points[lane.points.length - 1];
+      ctx.fillStyle = '#facc15';
+      for (const p of [first, last]) {
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 7, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      const box = lane.points[lane.boxIndex] || first;
+      ctx.fillStyle = '#facc15';
+      ctx.font = 'bold 14px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('PIT', box.x, box.y);
+    }
+    const stroke = this.state.pitStroke;
+    if (stroke && stroke.length >= 2) {
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = '#facc15';
+      ctx.setLineDash([10, 8]);
+      strokePath(stroke);
+      ctx.setLineDash([]);
+    }
+  };
+
   // Draw visual representation of car lineup at starting line
   // pts: track centerline points
   // visualRoadWidth: road width scaled by width scale
@@ -1799,6 +1943,8 @@
 
   TrackBuilder.prototype.reset = function () {
     this.state.points = [];
+    this.state.pitLane = null;
+    this.state.pitStroke = null;
     this.state.history = [];
     this.state.historyIndex = -1;
     this.state.lastBakeResult = null;
@@ -1932,7 +2078,12 @@
 
     const intersections = findSelfIntersections(processed);
 
-    const bbox = boundingBox(processed);
+    // Re-pin the pit lane to the final centerline; the smoothing above may have moved it
+    const pitLane = this.state.pitLane && global.RacerPit
+      ? global.RacerPit.snapPitLane(resampleOpenPath(this.state.pitLane.points, SAMPLING_SPACING), processed, visualRoadWidth * global.RacerPit.PIT_CFG.snapDistance)
+      : null;
+
+    const bbox = boundingBox(pitLane ? processed.concat(pitLane.points) : processed);
     const worldWidth = Math.round(bbox.width + roadWidth * 4);
     const worldHeight = Math.round(bbox.height + roadWidth * 4);
 
@@ -1940,6 +2091,9 @@
     const offsetX = -bbox.minX + roadWidth * 2;
     const offsetY = -bbox.minY + roadWidth * 2;
     const offsetPoints = processed.map(p => ({ x: p.x + offsetX, y: p.y + offsetY }));
+    const offsetPitLane = pitLane
+      ? { ...pitLane, points: pitLane.points.map(p => ({ x: p.x + offsetX, y: p.y + offsetY })) }
+      : null;
 
     const meta = computeTrackMeta(offsetPoints, roadWidth);
     const mask = makeMask(offsetPoints, roadWidth, worldWidth, worldHeight);
@@ -1958,12 +2112,14 @@
       startLine: meta.startLine,
       spawn: meta.spawn,
       checkpoints: meta.checkpoints,
+      pitLane: offsetPitLane,
       warnings: intersections.length ? { intersections: intersections.length } : null,
       createdAt: Date.now()
     };
 
     const entry = {
       id: TrackStore.uuid(),
+      schemaVersion: TrackStore.TRACK_SCHEMA_VERSION,
       name,
       data,
       mask,
@@ -1972,8 +2128,6 @@
       createdAt: Date.now(),
       updatedAt: Date.now()
     };
-    entry.data.mask = mask;
-    entry.data.thumbnail = thumbnail;
 
     await TrackStore.saveTrack(entry);
     this.state.lastBakeResult = entry;
@@ -2062,6 +2216,6 @@
     return new TrackBuilder(options);
   }
 
-  global.TrackBuilder = { create, makeThumbnail };
+  global.TrackBuilder = { create, makeThumbnail, makeMask };
 
 })(typeof window !== 'undefined' ? window : this);
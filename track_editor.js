@@ -1122,6 +1122,7 @@
     };
     const entry = {
       id: TrackStore.uuid(),
+      schemaVersion: TrackStore.TRACK_SCHEMA_VERSION,
       name,
       data,
       mask,
@@ -1129,8 +1130,6 @@
       createdAt: Date.now(),
       updatedAt: Date.now()
     };
-    entry.data.mask = mask;
-    entry.data.thumbnail = thumbnail;
     if (intersections.length) {
       entry.data.warnings = {
         intersections: intersections.length
@@ -0,0 +1,138 @@
+(function (global) {
+  // ===== RacingVibes track archive (.rvtrack) =====
+  // One self-contained JSON file per custom track: a manifest (format + archive version, the
+  // stored entry's schema version, name, fingerprint and a table of contents) followed by
+  // the track sections. PNGs travel as data URLs, so no zip library is needed.
+  //
+  //   { manifest, data, mask, thumbnail, decor, racingLine }
+  //
+  // `data` is the geometry (points, world, roadWidth, startLine, spawn, checkpoints, ...);
+  // the racing line, images and decor metadata have their own sections. The archive version
+  // covers this container; the entry inside is migrated by TrackStore on import.
+  const FORMAT_ID = 'rvtrack';
+  const FORMAT_VERSION = 1;
+  const FILE_EXTENSION = '.rvtrack';
+  const SECTIONS = ['data', 'mask', 'thumbnail', 'decor', 'racingLine'];
+
+  function isImage(image) {
+    return !!image && typeof image.pngData === 'string' && image.pngData.startsWith('data:image/png;base64,');
+  }
+
+  function fingerprintOf(data) {
+    const ghostFile = global.RacerGhostFile;
+    return ghostFile && typeof ghostFile.trackFingerprint === 'function'
+      ? ghostFile.trackFingerprint(data.points, data.roadWidth)
+      : null;
+  }
+
+  /**
+   * Build the archive document for a stored track entry.
+   * @param {{name?:string, schemaVersion?:number, createdAt?:number, data:object, mask?:object, thumbnail?:object, decor?:object}} entry
+   */
+  function createTrackFile(entry) {
+    if (!entry || !entry.data || !Array.isArray(entry.data.points) || entry.data.points.length < 3) {
+      throw new Error('Track has no geometry to export');
+    }
+    const { mask, thumbnail, decor, racingLine, ...data } = entry.data;
+    const sections = {
+      data,
+      mask: isImage(entry.mask) ? entry.mask : (isImage(mask) ? mask : null),
+      thumbnail: isImage(entry.thumbnail) ? entry.thumbnail : (isImage(thumbnail) ? thumbnail : null),
+      decor: entry.decor || decor || null,
+      racingLine: Array.isArray(racingLine) && racingLine.length ? racingLine : null,
+    };
+    return {
+      manifest: {
+        format: FORMAT_ID,
+        version: FORMAT_VERSION,
+        schemaVersion: Number.isInteger(entry.schemaVersion) ? entry.schemaVersion : 1,
+        name: entry.name || data.name || 'Custom Track',
+        fingerprint: fingerprintOf(data),
+        createdAt: entry.createdAt || null,
+        exportedAt: new Date().toISOString(),
+        contents: SECTIONS.filter((key) => sections[key] != null),
+      },
+      ...sections,
+    };
+  }
+
+  function serialize(entry) {
+    return JSON.stringify(createTrackFile(entry));
+  }
+
+  /**
+   * Parse and validate an archive (string or object) back into a track entry without an id.
+   * Throws an Error with a user-facing message when the file is not usable. The track data
+   * itself is checked by TrackStore.validateTrackData on import.
+   * @returns {{schemaVersion:number, name:string, createdAt:number|null, fingerprint:string|null,
+   *   data:object, mask:object|null, thumbnail:object|null, decor:object|null}}
+   */
+  function parse(input) {
+    let doc = input;
+    if (typeof input === 'string') {
+      try {
+        doc = JSON.parse(input);
+      } catch (_) {
+        throw new Error('Not a RacingVibes track file (invalid JSON).');
+      }
+    }
+    const manifest = doc && typeof doc === 'object' ? doc.manifest : null;
+    if (!manifest || manifest.format !== FORMAT_ID) {
+      throw new Error('Not a RacingVibes track file.');
+    }
+    if (!Number.isInteger(manifest.version) || manifest.version < 1) {
+      throw new Error('Track file has no valid format version.');
+    }
+    if (manifest.version > FORMAT_VERSION) {
+      throw new Error(`Track file version ${manifest.version} is newer than this game supports (v${FORMAT_VERSION}).`);
+    }
+    if (!doc.data || typeof doc.data !== 'object') {
+      throw new Error('Track file contains no track data.');
+    }
+    const listed = Array.isArray(manifest.contents) ? manifest.contents : [];
+    const missing = listed.filter((key) => SECTIONS.includes(key) && doc[key] == null);
+    if (missing.length) {
+      throw new Error(`Track file is incomplete (missing ${missing.join(', ')}).`);
+    }
+    const data = { ...doc.data };
+    if (Array.isArray(doc.racingLine)) data.racingLine = doc.racingLine;
+    return {
+      schemaVersion: Number.isInteger(manifest.schemaVersion) ? manifest.schemaVersion : 1,
+      name: manifest.name || data.name || 'Imported Track',
+      createdAt: Number.isFinite(manifest.createdAt) ? manifest.createdAt : null,
+      fingerprint: manifest.fingerprint || null,
+      data,
+      mask: isImage(doc.mask) ? doc.mask : null,
+      thumbnail: isImage(doc.thumbnail) ? doc.thumbnail : null,
+      decor: doc.decor || null,
+    };
+  }
+
+  function download(entry) {
+    const utils = global.RacerUtils;
+    const base = (entry && (entry.name || (entry.data && entry.data.name))) || 'track';
+    const safeName = utils && typeof utils.sanitizeFilename === 'function'
+      ? utils.sanitizeFilename(base)
+      : base.replace(/[^a-z0-9_-]+/gi, '_');
+    const blob = new Blob([serialize(entry)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${safeName}${FILE_EXTENSION}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  global.RacerTrackFile = {
+    FORMAT_ID,
+    FORMAT_VERSION,
+    FILE_EXTENSION,
+    SECTIONS,
+    createTrackFile,
+    serialize,
+    parse,
+    download,
+  };
+})(typeof window !== 'undefined' ? window : this);
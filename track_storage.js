@@ -1,11 +1,95 @@
 (function(global){
   const DB_NAME = "RacingVibesTracks";
-  const DB_VERSION = 1;
+  const DB_VERSION = 6;
   const STORE_NAME = "tracks";
+  const GHOST_STORE_NAME = "ghosts";
+  const RESULTS_STORE_NAME = "results";
+  const CALIBRATION_STORE_NAME = "aiCalibration";
+  const CHAMPIONSHIP_STORE_NAME = "championships";
   let dbPromise = null;
-  const logZipInfoOnce = window.RacerUtils && typeof window.RacerUtils.once === "function"
-    ? window.RacerUtils.once(() => console.info("JSZip not found - falling back to multi-file export."))
-    : () => {};
+
+  // ===== Track entry schema =====
+  // schemaVersion 1 (entries without one): mask/thumbnail copied into entry.data, decor in data.
+  // schemaVersion 2: images and decor live on the entry only; data is geometry + racing line.
+  // Add a migration per version; entries are migrated on load, save and import, and the
+  // DB upgrade rewrites stored tracks once.
+  const TRACK_SCHEMA_VERSION = 2;
+  const TRACK_MIGRATIONS = {
+    2(entry){
+      const { mask, thumbnail, decor, ...data } = entry.data || {};
+      return {
+        ...entry,
+        name: entry.name || data.name || "Custom Track",
+        data,
+        mask: entry.mask || mask || null,
+        thumbnail: entry.thumbnail || thumbnail || null,
+        decor: entry.decor || decor || null
+      };
+    }
+  };
+
+  /**
+   * Bring a track entry up to TRACK_SCHEMA_VERSION. Returns the same object when it is
+   * already current (or was written by a newer game, which is left untouched).
+   */
+  function migrateTrackEntry(entry){
+    if (!entry || typeof entry !== "object") return entry;
+    let version = Number.isInteger(entry.schemaVersion) ? entry.schemaVersion : 1;
+    let out = entry;
+    while (version < TRACK_SCHEMA_VERSION) {
+      version++;
+      out = { ...TRACK_MIGRATIONS[version](out), schemaVersion: version };
+    }
+    return out;
+  }
+
+  // Object stores per DB version. Each step runs once, in order, for databases older than it,
+  // so a DB from any earlier version (including the original v1 tracks-only DB) upgrades in
+  // place without losing tracks.
+  const DB_UPGRADES = {
+    1(db){
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: "id" });
+        store.createIndex("byUpdatedAt", "updatedAt", { unique: false });
+      }
+    },
+    2(db){
+      if (!db.objectStoreNames.contains(GHOST_STORE_NAME)) {
+        const ghosts = db.createObjectStore(GHOST_STORE_NAME, { keyPath: "key" });
+        ghosts.createIndex("byTrackId", "trackId", { unique: false });
+      }
+    },
+    3(db){
+      if (!db.objectStoreNames.contains(RESULTS_STORE_NAME)) {
+        const results = db.createObjectStore(RESULTS_STORE_NAME, { keyPath: "id" });
+        results.createIndex("byTrackId", "trackId", { unique: false });
+        results.createIndex("byKey", "key", { unique: false });
+      }
+    },
+    4(db, tx){
+      // Rewrite stored tracks in the current entry schema
+      const request = tx.objectStore(STORE_NAME).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        const migrated = migrateTrackEntry(cursor.value);
+        if (migrated !== cursor.value) cursor.update(migrated);
+        cursor.continue();
+      };
+    },
+    5(db){
+      if (!db.objectStoreNames.contains(CALIBRATION_STORE_NAME)) {
+        const calibrations = db.createObjectStore(CALIBRATION_STORE_NAME, { keyPath: "key" });
+        calibrations.createIndex("byTrackId", "trackId", { unique: false });
+      }
+    },
+    6(db){
+      if (!db.objectStoreNames.contains(CHAMPIONSHIP_STORE_NAME)) {
+        const championships = db.createObjectStore(CHAMPIONSHIP_STORE_NAME, { keyPath: "id" });
+        championships.createIndex("byUpdatedAt", "updatedAt", { unique: false });
+      }
+    }
+  };
 
   function hasIndexedDB(){
     return window.RacerStorageUtils && typeof window.RacerStorageUtils.hasIndexedDB === "function"
@@ -23,9 +107,9 @@
       request.onerror = () => reject(request.error || new Error("IndexedDB open failed"));
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
-        if (!db.objectStoreNames.contains(STORE_NAME)) {
-          const store = db.createObjectStore(STORE_NAME, { keyPath: "id" });
-          store.createIndex("byUpdatedAt", "updatedAt", { unique: false });
+        const tx = event.target.transaction;
+        for (let version = (event.oldVersion || 0) + 1; version <= DB_VERSION; version++) {
+          DB_UPGRADES[version](db, tx);
         }
       };
       request.onsuccess = () => {
@@ -37,11 +121,11 @@
     return dbPromise;
   }
 
-  async function runTransaction(mode, fn){
+  async function runTransaction(mode, fn, storeName = STORE_NAME){
     const db = await openDB();
     return new Promise((resolve, reject) => {
-      const tx = db.transaction(STORE_NAME, mode);
-      const store = tx.objectStore(STORE_NAME);
+      const tx = db.transaction(storeName, mode);
+      const store = tx.objectStore(storeName);
       let result;
       try {
         result = fn(store);
@@ -64,7 +148,7 @@
       const store = tx.objectStore(STORE_NAME);
       const request = store.getAll();
       request.onsuccess = () => {
-        const arr = Array.isArray(request.result) ? request.result : [];
+        const arr = (Array.isArray(request.result) ? request.result : []).map(migrateTrackEntry);
         arr.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
         resolve(arr);
       };
@@ -79,7 +163,7 @@
       const tx = db.transaction(STORE_NAME, "readonly");
       const store = tx.objectStore(STORE_NAME);
       const request = store.get(id);
-      request.onsuccess = () => resolve(request.result || null);
+      request.onsuccess = () => resolve(migrateTrackEntry(request.result) || null);
       request.onerror = () => reject(request.error || new Error("IndexedDB get failed"));
     });
   }
@@ -91,12 +175,13 @@
     const now = Date.now();
     entry.updatedAt = now;
     if (!entry.createdAt) entry.createdAt = now;
+    const stored = migrateTrackEntry(entry);
     if (!hasIndexedDB()) {
       console.warn("IndexedDB unavailable; track not persisted.");
-      return entry;
+      return stored;
     }
-    await runTransaction("readwrite", (store) => store.put(entry));
-    return entry;
+    await runTransaction("readwrite", (store) => store.put(stored));
+    return stored;
   }
 
   async function deleteTrack(id){
@@ -104,6 +189,261 @@
     await runTransaction("readwrite", (store) => store.delete(id));
   }
 
+  // ===== Time-trial ghosts =====
+  // One best-lap recording per track + vehicle kind + mode. Frames are the
+  // {x, y, angle, t} samples recorded by racer.html (t in ms from lap start).
+  function ghostKey(trackId, kind, modeId){
+    return `${trackId || "unknown"}|${kind || "GT"}|${modeId || "grip"}`;
+  }
+
+  async function getGhost(trackId, kind, modeId){
+    if (!hasIndexedDB()) return null;
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(GHOST_STORE_NAME, "readonly");
+      const store = tx.objectStore(GHOST_STORE_NAME);
+      const request = store.get(ghostKey(trackId, kind, modeId));
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error || new Error("IndexedDB get failed"));
+    });
+  }
+
+  async function saveGhost({ trackId, kind, modeId, lapTime, frames }){
+    if (!trackId || !Array.isArray(frames) || !frames.length || !Number.isFinite(lapTime)) {
+      throw new Error("Ghost entry requires a trackId, lapTime and frames");
+    }
+    const entry = {
+      key: ghostKey(trackId, kind, modeId),
+      trackId,
+      kind: kind || "GT",
+      modeId: modeId || "grip",
+      lapTime,
+      frames,
+      recordedAt: Date.now()
+    };
+    if (!hasIndexedDB()) {
+      console.warn("IndexedDB unavailable; ghost not persisted.");
+      return entry;
+    }
+    await runTransaction("readwrite", (store) => store.put(entry), GHOST_STORE_NAME);
+    return entry;
+  }
+
+  async function deleteGhost(trackId, kind, modeId){
+    if (!hasIndexedDB()) return;
+    await runTransaction("readwrite", (store) => store.delete(ghostKey(trackId, kind, modeId)), GHOST_STORE_NAME);
+  }
+
+  // ===== "Matched" AI calibrations =====
+  // One RacerAI.calibrateMatched() result per track + vehicle kind + mode (keyed like ghosts):
+  // {key, trackId, kind, modeId, level, preset, lapTime, targetLap, converged, version, calibratedAt}.
+  async function getCalibration(trackId, kind, modeId){
+    if (!hasIndexedDB()) return null;
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(CALIBRATION_STORE_NAME, "readonly");
+      const store = tx.objectStore(CALIBRATION_STORE_NAME);
+      const request = store.get(ghostKey(trackId, kind, modeId));
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error || new Error("IndexedDB get failed"));
+    });
+  }
+
+  async function saveCalibration({ trackId, kind, modeId, ...calibration }){
+    if (!trackId || !Number.isFinite(calibration.level)) {
+      throw new Error("Calibration entry requires a trackId and level");
+    }
+    const entry = {
+      ...calibration,
+      key: ghostKey(trackId, kind, modeId),
+      trackId,
+      kind: kind || "GT",
+      modeId: modeId || "grip",
+      calibratedAt: Date.now()
+    };
+    if (!hasIndexedDB()) {
+      console.warn("IndexedDB unavailable; AI calibration not persisted.");
+      return entry;
+    }
+    await runTransaction("readwrite", (store) => store.put(entry), CALIBRATION_STORE_NAME);
+    return entry;
+  }
+
+  async function deleteCalibration(trackId, kind, modeId){
+    if (!hasIndexedDB()) return;
+    await runTransaction("readwrite", (store) => store.delete(ghostKey(trackId, kind, modeId)), CALIBRATION_STORE_NAME);
+  }
+
+  // ===== Championships =====
+  // RacerChampionship.createChampionship() objects (race_championship.js), rounds and results
+  // included, saved again after every round.
+  async function listChampionships(){
+    if (!hasIndexedDB()) return [];
+    const db = await openDB();
+    const all = await new Promise((resolve, reject) => {
+      const tx = db.transaction(CHAMPIONSHIP_STORE_NAME, "readonly");
+      const request = tx.objectStore(CHAMPIONSHIP_STORE_NAME).getAll();
+      request.onsuccess = () => resolve(Array.isArray(request.result) ? request.result : []);
+      request.onerror = () => reject(request.error || new Error("IndexedDB getAll failed"));
+    });
+    // Most recently played first
+    return all.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+  }
+
+  async function getChampionship(id){
+    if (!hasIndexedDB() || !id) return null;
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(CHAMPIONSHIP_STORE_NAME, "readonly");
+      const request = tx.objectStore(CHAMPIONSHIP_STORE_NAME).get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error || new Error("IndexedDB get failed"));
+    });
+  }
+
+  async function saveChampionship(champ){
+    if (!champ || !champ.id || !Array.isArray(champ.rounds)) {
+      throw new Error("Championship entry requires an id and rounds");
+    }
+    if (!hasIndexedDB()) {
+      console.warn("IndexedDB unavailable; championship not persisted.");
+      return champ;
+    }
+    await runTransaction("readwrite", (store) => store.put(champ), CHAMPIONSHIP_STORE_NAME);
+    return champ;
+  }
+
+  async function deleteChampionship(id){
+    if (!hasIndexedDB()) return;
+    await runTransaction("readwrite", (store) => store.delete(id), CHAMPIONSHIP_STORE_NAME);
+  }
+
+  // ===== Race results & personal bests =====
+  // One entry per race session: {id, key, trackId, trackName, kind, modeId, difficulty,
+  // gameMode, laps, finished, position, fieldSize, totalTime, bestLap, lapTimes, recordedAt}.
+  // Times are in seconds; difficulty is null when the race had no AI cars, and sessions left
+  // before the flag are kept (finished: false) so their laps still count. Personal bests are
+  // derived from the history per key (track + vehicle kind + mode + difficulty).
+  function resultKey(trackId, kind, modeId, difficulty){
+    return `${trackId || "unknown"}|${kind || "GT"}|${modeId || "grip"}|${difficulty || "solo"}`;
+  }
+
+  function matchesFilter(entry, filter){
+    if (!filter) return true;
+    for (const field of ["trackId", "kind", "modeId", "difficulty", "gameMode"]) {
+      if (filter[field] === undefined || filter[field] === "") continue;
+      if (entry[field] !== filter[field]) return false;
+    }
+    if (Number.isFinite(filter.since) && !(entry.recordedAt >= filter.since)) return false;
+    return true;
+  }
+
+  // Newest first
+  function filterResults(results, filter){
+    return (Array.isArray(results) ? results : [])
+      .filter((entry) => entry && matchesFilter(entry, filter))
+      .sort((a, b) => (b.recordedAt || 0) - (a.recordedAt || 0));
+  }
+
+  /**
+   * Personal bests per result key.
+   * @param {Array<object>} results - race history entries
+   * @returns {Array<{key:string, trackId:string, kind:string, modeId:string, difficulty:string|null,
+   *   bestLap:number|null, bestLapAt:number|null, bestPosition:number|null,
+   *   races:number, wins:number, lastRaced:number}>} most recently raced first
+   */
+  function summarizeResults(results){
+    const byKey = new Map();
+    for (const entry of Array.isArray(results) ? results : []) {
+      if (!entry || !entry.key) continue;
+      let pb = byKey.get(entry.key);
+      if (!pb) {
+        pb = {
+          key: entry.key,
+          trackId: entry.trackId,
+          kind: entry.kind,
+          modeId: entry.modeId,
+          difficulty: entry.difficulty ?? null,
+          bestLap: null,
+          bestLapAt: null,
+          bestPosition: null,
+          races: 0,
+          wins: 0,
+          lastRaced: 0
+        };
+        byKey.set(entry.key, pb);
+      }
+      pb.races++;
+      const classified = entry.finished !== false && entry.fieldSize > 1 && Number.isFinite(entry.position);
+      if (classified && entry.position === 1) pb.wins++;
+      pb.lastRaced = Math.max(pb.lastRaced, entry.recordedAt || 0);
+      if (Number.isFinite(entry.bestLap) && (pb.bestLap == null || entry.bestLap < pb.bestLap)) {
+        pb.bestLap = entry.bestLap;
+        pb.bestLapAt = entry.recordedAt || null;
+      }
+      if (classified && (pb.bestPosition == null || entry.position < pb.bestPosition)) {
+        pb.bestPosition = entry.position;
+      }
+    }
+    return Array.from(byKey.values()).sort((a, b) => b.lastRaced - a.lastRaced);
+  }
+
+  async function saveResult(result){
+    if (!result || !result.trackId) {
+      throw new Error("Race result requires a trackId");
+    }
+    const entry = {
+      ...result,
+      id: result.id || uuid(),
+      kind: result.kind || "GT",
+      modeId: result.modeId || "grip",
+      difficulty: result.difficulty || null,
+      lapTimes: Array.isArray(result.lapTimes) ? result.lapTimes.slice() : [],
+      pitStops: Array.isArray(result.pitStops) ? result.pitStops.map((stop) => ({ ...stop })) : [],
+      recordedAt: result.recordedAt || Date.now()
+    };
+    entry.key = resultKey(entry.trackId, entry.kind, entry.modeId, entry.difficulty);
+    if (!hasIndexedDB()) {
+      console.warn("IndexedDB unavailable; race result not persisted.");
+      return entry;
+    }
+    await runTransaction("readwrite", (store) => store.put(entry), RESULTS_STORE_NAME);
+    return entry;
+  }
+
+  /**
+   * Race history, newest first.
+   * @param {{trackId?:string, kind?:string, modeId?:string, difficulty?:string|null, gameMode?:string, since?:number}} [filter]
+   */
+  async function listResults(filter){
+    if (!hasIndexedDB()) return [];
+    const db = await openDB();
+    const all = await new Promise((resolve, reject) => {
+      const tx = db.transaction(RESULTS_STORE_NAME, "readonly");
+      const store = tx.objectStore(RESULTS_STORE_NAME);
+      const request = filter && filter.trackId
+        ? store.index("byTrackId").getAll(filter.trackId)
+        : store.getAll();
+      request.onsuccess = () => resolve(Array.isArray(request.result) ? request.result : []);
+      request.onerror = () => reject(request.error || new Error("IndexedDB getAll failed"));
+    });
+    return filterResults(all, filter);
+  }
+
+  async function getPersonalBests(filter){
+    return summarizeResults(await listResults(filter));
+  }
+
+  async function deleteResult(id){
+    if (!hasIndexedDB()) return;
+    await runTransaction("readwrite", (store) => store.delete(id), RESULTS_STORE_NAME);
+  }
+
+  async function clearResults(){
+    if (!hasIndexedDB()) return;
+    await runTransaction("readwrite", (store) => store.clear(), RESULTS_STORE_NAME);
+  }
+
   function uuid(){
     if (typeof crypto !== "undefined" && crypto.randomUUID) {
       return crypto.randomUUID();
@@ -119,35 +459,174 @@
     });
   }
 
+  // Share a track as one self-contained .rvtrack archive (format in track_file.js)
   function downloadBundle(entry){
     if (!entry) return;
-    const utils = window.RacerUtils;
-    const name = utils && typeof utils.sanitizeFilename === "function"
-      ? utils.sanitizeFilename(entry.name || "track")
-      : (entry.name || "track").replace(/[^a-z0-9_\-]+/gi, "_");
-    const dataBlob = new Blob([JSON.stringify(entry.data, null, 2)], { type: "application/json" });
-    const maskBlob = entry.mask && entry.mask.pngData ? dataURLToBlob(entry.mask.pngData) : null;
-    const files = [
-      { blob: dataBlob, filename: `${name}_data.json` }
-    ];
-    if (maskBlob) files.push({ blob: maskBlob, filename: `${name}_mask.png` });
-    if (entry.thumbnail && entry.thumbnail.pngData) {
-      files.push({ blob: dataURLToBlob(entry.thumbnail.pngData), filename: `${name}_thumb.png` });
-    }
-    if (files.length === 1) {
-      triggerDownload(files[0].blob, files[0].filename);
-      return;
-    }
-    if (typeof JSZip === "undefined") {
-      logZipInfoOnce();
-      files.forEach((file) => triggerDownload(file.blob, file.filename));
-      return;
-    }
-    const zip = new JSZip();
+    if (!window.RacerTrackFile) throw new Error("Track archive support (track_file.js) is not loaded");
+    window.RacerTrackFile.download(migrateTrackEntry(entry));
+  }
+
+  // ===== Bundle import =====
+  // Reads a ".rvtrack" archive (what downloadBundle writes) and the older loose bundles:
+  // "<name>_data.json" (entry.data, which may already carry mask/thumbnail pngData),
+  // "<name>_mask.png", "<name>_thumb.png", or all three in a "<name>_bundle.zip" with JSZip.
+  const BUNDLE_WIDTH_SCALE = 2.5; // Thumbnail road width, the game's default WIDTH_SCALE
+
+  function isPoint(p){
+    return !!p && Number.isFinite(p.x) && Number.isFinite(p.y);
+  }
+
+  /**
+   * Check a bundle's _data.json against the track schema.
+   * @param {object} data
+   * @returns {string[]} problems; empty when the data can be raced
+   */
+  function validateTrackData(data){
+    if (!data || typeof data !== "object" || Array.isArray(data)) return ["Track data must be a JSON object"];
+    const errors = [];
+    if (!Array.isArray(data.points) || data.points.length < 3) {
+      errors.push("points must be an array of at least 3 {x, y} points");
+    } else if (!data.points.every(isPoint)) {
+      errors.push("points contains entries without numeric x/y");
+    }
+    const world = data.world;
+    if (!world || !(world.width > 0) || !(world.height > 0)) {
+      errors.push("world must have a positive width and height");
+    }
+    if (!(Number(data.roadWidth) > 0)) errors.push("roadWidth must be a positive number");
+    if (data.name != null && typeof data.name !== "string") errors.push("name must be a string");
+    if (data.textureId != null && typeof data.textureId !== "string") errors.push("textureId must be a string");
+    if (data.startLine != null && !(isPoint(data.startLine.a) && isPoint(data.startLine.b))) {
+      errors.push("startLine must have numeric a and b points");
+    }
+    if (data.spawn != null && data.spawn.player != null && !isPoint(data.spawn.player)) {
+      errors.push("spawn.player must be an {x, y} point");
+    }
+    if (data.checkpoints != null && !(Array.isArray(data.checkpoints) && data.checkpoints.every((cp) => cp && isPoint(cp.a) && isPoint(cp.b)))) {
+      errors.push("checkpoints must be a list of {a, b} segments");
+    }
+    if (data.racingLine != null && !(Array.isArray(data.racingLine) && data.racingLine.every(isPoint))) {
+      errors.push("racingLine must be a list of {x, y} points");
+    }
+    if (data.pitLane != null && !(data.pitLane && Array.isArray(data.pitLane.points) && data.pitLane.points.length >= 2 && data.pitLane.points.every(isPoint))) {
+      errors.push("pitLane must have at least 2 {x, y} points");
+    }
+    return errors;
+  }
+
+  function isPngData(image){
+    return !!image && typeof image.pngData === "string" && image.pngData.startsWith("data:image/png;base64,");
+  }
+
+  // Sort bundle files into {data, mask, thumbnail} by name, as downloadBundle names them
+  function classifyBundleFile(name){
+    const lower = String(name || "").toLowerCase();
+    if (lower.endsWith(".json")) return "data";
+    if (lower.endsWith(".png")) return /mask/.test(lower) ? "mask" : (/thumb/.test(lower) ? "thumbnail" : null);
+    if (lower.endsWith(".zip")) return "zip";
+    if (lower.endsWith(".rvtrack")) return "archive";
+    return null;
+  }
+
+  // PNG file -> data URL, as stored in mask/thumbnail pngData
+  async function pngFileToDataURL(blob){
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return `data:image/png;base64,${btoa(binary)}`;
+  }
+
+  async function collectBundleParts(files){
+    const parts = { archiveText: null, dataText: null, mask: null, thumbnail: null };
     for (const file of files) {
-      zip.file(file.filename, file.blob);
+      const type = classifyBundleFile(file && file.name);
+      if (type === "zip") {
+        if (typeof JSZip === "undefined") {
+          throw new Error("Zip bundles need JSZip; import the _data.json (and PNG files) instead");
+        }
+        const zip = await JSZip.loadAsync(file);
+        for (const zipName of Object.keys(zip.files)) {
+          const zipType = classifyBundleFile(zipName);
+          const zipEntry = zip.files[zipName];
+          if (zipEntry.dir || !zipType || zipType === "zip") continue;
+          if (zipType === "data") parts.dataText = await zipEntry.async("string");
+          else parts[zipType] = "data:image/png;base64," + await zipEntry.async("base64");
+        }
+      } else if (type === "archive") {
+        parts.archiveText = await file.text();
+      } else if (type === "data") {
+        parts.dataText = await file.text();
+      } else if (type) {
+        parts[type] = await pngFileToDataURL(file);
+      }
+    }
+    return parts;
+  }
+
+  /**
+   * Import a .rvtrack archive (or a legacy loose bundle) and save it as a new custom track.
+   * Archives from a newer schema are rejected; older ones are migrated by saveTrack.
+   * Missing masks and thumbnails are rebuilt from the centerline (needs TrackBuilder).
+   * @param {File|Blob|FileList|Array<File>} files - a .rvtrack file, or the _data.json plus
+   *   optional PNGs, or a _bundle.zip
+   * @returns {Promise<object>} the saved entry (fresh id)
+   */
+  async function importBundle(files){
+    const list = files && typeof files.length === "number" && !(files instanceof Blob) ? Array.from(files) : [files];
+    const parts = await collectBundleParts(list.filter(Boolean));
+    let data;
+    let archive = null;
+    if (parts.archiveText != null) {
+      if (!window.RacerTrackFile) throw new Error("Track archive support (track_file.js) is not loaded");
+      archive = window.RacerTrackFile.parse(parts.archiveText);
+      if (archive.schemaVersion > TRACK_SCHEMA_VERSION) {
+        throw new Error("This track was made by a newer version of the game; update to import it");
+      }
+      data = archive.data;
+    } else {
+      if (!parts.dataText) throw new Error("Track bundle has no _data.json or .rvtrack file");
+      try {
+        data = JSON.parse(parts.dataText);
+      } catch (_) {
+        throw new Error("Track data is not valid JSON");
+      }
+    }
+    const errors = validateTrackData(data);
+    if (errors.length) throw new Error(`Invalid track data: ${errors.join("; ")}`);
+    if (!hasIndexedDB()) throw new Error("IndexedDB unavailable; track not imported");
+
+    const points = data.points.map((p) => ({ x: p.x, y: p.y }));
+    const world = { ...data.world };
+    const roadWidth = Number(data.roadWidth);
+    const builder = window.TrackBuilder || {};
+    let mask = parts.mask ? { width: world.width, height: world.height, pngData: parts.mask } : (archive ? archive.mask : data.mask);
+    if (!isPngData(mask)) {
+      mask = typeof builder.makeMask === "function" ? builder.makeMask(points, roadWidth, world.width, world.height) : null;
+    }
+    let thumbnail = parts.thumbnail ? { pngData: parts.thumbnail } : (archive ? archive.thumbnail : data.thumbnail);
+    if (!isPngData(thumbnail)) {
+      thumbnail = typeof builder.makeThumbnail === "function"
+        ? builder.makeThumbnail(points, world.width, world.height, roadWidth * BUNDLE_WIDTH_SCALE)
+        : null;
     }
-    zip.generateAsync({ type: "blob" }).then((blob) => triggerDownload(blob, `${name}_bundle.zip`));
+
+    const now = Date.now();
+    const name = (archive && archive.name) || (typeof data.name === "string" && data.name.trim()) || "Imported Track";
+    const entry = {
+      id: uuid(),
+      schemaVersion: archive ? archive.schemaVersion : 1,
+      name,
+      data: { ...data, name, points, world, roadWidth, importedAt: now },
+      mask,
+      thumbnail,
+      decor: (archive && archive.decor) || data.decor || null,
+      isNew: true,
+      createdAt: now,
+      updatedAt: now
+    };
+    return saveTrack(entry);
   }
 
   function triggerDownload(blob, filename){
@@ -161,17 +640,6 @@
     setTimeout(() => URL.revokeObjectURL(url), 1000);
   }
 
-  function dataURLToBlob(dataUrl){
-    const m = /^data:(.+);base64,(.*)$/.exec(dataUrl || "");
-    if (!m) return null;
-    const mime = m[1];
-    const binary = atob(m[2]);
-    const len = binary.length;
-    const buffer = new Uint8Array(len);
-    for (let i = 0; i < len; i++) buffer[i] = binary.charCodeAt(i);
-    return new Blob([buffer], { type: mime });
-  }
-
   /**
    * Export a track as a JSON file for adding to built-in tracks.
    * The exported format includes only the essential data needed to recreate the track.
@@ -249,6 +717,7 @@
     
     // Format points as compact array
     const pointsStr = sampledPoints.map(p => `{x:${p.x},y:${p.y}}`).join(',');
+    const pitLaneStr = data.pitLane ? `\n              pitLane: ${JSON.stringify(data.pitLane)},` : '';
     
     const jsCode = `
 // =============================================================================
@@ -282,7 +751,7 @@
                 ${pointsStr}
               ],
               speedZones: ${JSON.stringify(speedZones)},
-              labels: ${JSON.stringify(labels)},
+              labels: ${JSON.stringify(labels)},${pitLaneStr}
               roadWidth: ${roadWidth}
             },
 `;
@@ -304,8 +773,30 @@
     getTrack,
     saveTrack,
     deleteTrack,
+    getGhost,
+    saveGhost,
+    deleteGhost,
+    getCalibration,
+    saveCalibration,
+    deleteCalibration,
+    listChampionships,
+    getChampionship,
+    saveChampionship,
+    deleteChampionship,
+    resultKey,
+    saveResult,
+    listResults,
+    getPersonalBests,
+    deleteResult,
+    clearResults,
+    filterResults,
+    summarizeResults,
     uuid,
+    migrateTrackEntry,
+    TRACK_SCHEMA_VERSION,
     downloadBundle,
+    importBundle,
+    validateTrackData,
     exportTrack,
     exportAsBuiltin
   };